@@ -0,0 +1,135 @@
+/**
+ * Content manifest — indexes every JSON file under public/data/.
+ *
+ * The admin and slideshow resolve tapes, shows and episodes through this
+ * manifest instead of hard-coded path lists, so a file dropped into
+ * public/data/ shows up without touching src/lib/api.ts.
+ *
+ * Dev: built at server start, rebuilt whenever a data file changes, and
+ *      served from memory at `{base}data/manifest.json`. The write API
+ *      rebuilds it through `api.rebuild()` before answering a save, so a
+ *      client refreshing right after never sees the index from before.
+ * Build: emitted into dist/ as `data/manifest.json`.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import type { Plugin } from 'vite';
+import type { ContentKind, ContentManifest, ContentManifestEntry } from '../src/lib/types';
+
+export const MANIFEST_FILE = 'manifest.json';
+export const CONTENT_MANIFEST_PLUGIN = 'tattoonow-content-manifest';
+
+/** What the plugin exposes to other plugins as `api`. */
+export interface ContentManifestApi {
+  rebuild(): void;
+}
+
+/**
+ * Walk `dataDir` and build a manifest entry for every parseable JSON file.
+ */
+export function buildContentManifest(dataDir: string): ContentManifest {
+  const entries: ContentManifestEntry[] = [];
+
+  for (const file of walkJSON(dataDir)) {
+    const rel = path.relative(dataDir, file).split(path.sep).join('/');
+    if (rel === MANIFEST_FILE) continue;
+
+    let data: Record<string, unknown>;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+      console.warn(`[content-manifest] Skipping unreadable ${rel}: ${(err as Error).message}`);
+      continue;
+    }
+
+    entries.push(describeFile(rel, data, fs.statSync(file).mtime));
+  }
+
+  entries.sort((a, b) => a.path.localeCompare(b.path));
+  return { generatedAt: new Date().toISOString(), entries };
+}
+
+function describeFile(rel: string, data: Record<string, unknown>, mtime: Date): ContentManifestEntry {
+  const stem = path.basename(rel, '.json');
+  const kind = kindFor(rel);
+  const episode = (data.episode || {}) as Record<string, unknown>;
+
+  return {
+    path: rel,
+    id: typeof data.id === 'string' ? data.id : stem,
+    kind,
+    type: kind === 'show'
+      ? (typeof episode.format === 'string' ? episode.format : undefined)
+      : (typeof data.type === 'string' ? data.type : undefined),
+    status: typeof data.status === 'string' ? data.status : undefined,
+    tags: Array.isArray(data.tags) ? data.tags.filter((t): t is string => typeof t === 'string') : [],
+    modified: mtime.toISOString(),
+  };
+}
+
+function kindFor(rel: string): ContentKind {
+  if (rel.startsWith('tapes/')) return 'tape';
+  if (rel.startsWith('shows/')) return 'show';
+  if (/^episode-[^/]+\.json$/.test(rel)) return 'episode';
+  return 'data';
+}
+
+function walkJSON(dir: string): string[] {
+  if (!fs.existsSync(dir)) return [];
+  const files: string[] = [];
+  for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, dirent.name);
+    if (dirent.isDirectory()) files.push(...walkJSON(full));
+    else if (dirent.name.endsWith('.json')) files.push(full);
+  }
+  return files;
+}
+
+export function contentManifest(): Plugin<ContentManifestApi> {
+  let dataDir = '';
+  let base = '/';
+  let manifest: ContentManifest | null = null;
+
+  return {
+    name: CONTENT_MANIFEST_PLUGIN,
+
+    api: {
+      rebuild() {
+        if (manifest) manifest = buildContentManifest(dataDir);
+      },
+    },
+
+    configResolved(config) {
+      dataDir = path.join(config.publicDir, 'data');
+      base = config.base;
+    },
+
+    configureServer(server) {
+      manifest = buildContentManifest(dataDir);
+
+      const rebuild = (file: string) => {
+        const rel = path.relative(dataDir, file);
+        if (rel.startsWith('..') || !rel.endsWith('.json') || rel === MANIFEST_FILE) return;
+        manifest = buildContentManifest(dataDir);
+      };
+      server.watcher.on('add', rebuild);
+      server.watcher.on('change', rebuild);
+      server.watcher.on('unlink', rebuild);
+
+      server.middlewares.use(`${base}data/${MANIFEST_FILE}`, (_req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.setHeader('Cache-Control', 'no-store');
+        res.end(JSON.stringify(manifest, null, 2));
+      });
+    },
+
+    generateBundle() {
+      this.emitFile({
+        type: 'asset',
+        fileName: `data/${MANIFEST_FILE}`,
+        source: JSON.stringify(buildContentManifest(dataDir), null, 2),
+      });
+    },
+  };
+}
@@ -0,0 +1,198 @@
+/**
+ * Dev write API — backs saveTape / saveShow / saveTalentPool in src/lib/api.ts.
+ *
+ *   POST /api/data/tapes/<file>.json
+ *   POST /api/data/shows/<file>.json
+ *   POST /api/data/talent-pool.json
+ *
+ * Payloads are shape-checked against src/lib/types.ts (via src/lib/validate.ts)
+ * and written as pretty JSON into public/data/ through a temp file + rename,
+ * so a crashed write never leaves a half-written file behind.
+ *
+ * Tapes are also checked against public/data/tape-schema.json (via
+ * src/lib/tapeSchema.ts). Schema errors refuse the write with
+ * `schema-violation` unless the request carries `?force=1`; schema warnings
+ * never block and come back on the success result.
+ *
+ * Every response is a `SaveResult`; failures carry a `code` and, for
+ * validation failures, the field-level `issues` the admin can display.
+ *
+ * Dev-server only. The static GitHub Pages build has no write path.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import type { IncomingMessage, ServerResponse } from 'node:http';
+import type { Plugin } from 'vite';
+import type { SaveResult, SaveErrorCode, Tape, TapeSchemaFile, ValidationIssue } from '../src/lib/types';
+import { validateTapeShape, validateShowShape, validateTalentPoolShape } from '../src/lib/validate';
+import { validateTapeAgainstSchema } from '../src/lib/tapeSchema';
+import { CONTENT_MANIFEST_PLUGIN, type ContentManifestApi } from './contentManifest';
+
+export const WRITE_API_ROUTE = '/api/data';
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const TAPE_SCHEMA_FILE = 'tape-schema.json';
+
+type Validator = (data: unknown) => ValidationIssue[];
+
+/**
+ * Map a request path to the validator for that kind of file, or null if the
+ * path is not writable.
+ */
+function validatorFor(rel: string): Validator | null {
+  if (/^tapes\/[\w.-]+\.json$/.test(rel)) return validateTapeShape;
+  if (/^shows\/[\w.-]+\.json$/.test(rel)) return validateShowShape;
+  if (rel === 'talent-pool.json') return validateTalentPoolShape;
+  return null;
+}
+
+class WriteError extends Error {
+  status: number;
+  code: SaveErrorCode;
+  issues?: ValidationIssue[];
+
+  constructor(status: number, code: SaveErrorCode, message: string, issues?: ValidationIssue[]) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.issues = issues;
+  }
+}
+
+function readBody(req: IncomingMessage): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const chunks: Buffer[] = [];
+    let size = 0;
+    req.on('data', (chunk: Buffer) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new WriteError(413, 'payload-too-large', `Payload exceeds ${MAX_BODY_BYTES} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Write `data` to `file` atomically: temp file in the same directory, then rename.
+ */
+export function writeJSONAtomic(file: string, data: unknown) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n', 'utf-8');
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+}
+
+function send(res: ServerResponse, status: number, body: SaveResult) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Run the tape-schema.json rules. Errors throw unless `force` is set; the
+ * returned list is whatever should travel back as warnings.
+ */
+function checkTapeSchema(dataDir: string, rel: string, tape: Tape, force: boolean): ValidationIssue[] {
+  let schema: TapeSchemaFile;
+  try {
+    schema = JSON.parse(fs.readFileSync(path.join(dataDir, TAPE_SCHEMA_FILE), 'utf-8'));
+  } catch (err) {
+    return [{ path: '', message: `${TAPE_SCHEMA_FILE} unavailable, schema not checked: ${(err as Error).message}` }];
+  }
+
+  const { errors, warnings } = validateTapeAgainstSchema(tape, schema);
+  if (errors.length === 0) return warnings;
+  if (!force) {
+    throw new WriteError(
+      422,
+      'schema-violation',
+      `${rel} breaks ${errors.length} tape-schema rule(s) — fix them or save with force`,
+      errors,
+    );
+  }
+  return [...errors, ...warnings];
+}
+
+async function handleWrite(dataDir: string, req: IncomingMessage): Promise<SaveResult> {
+  if (req.method !== 'POST') {
+    throw new WriteError(405, 'method-not-allowed', `${req.method} is not supported — use POST`);
+  }
+
+  const [pathname, query = ''] = (req.url || '').split('?');
+  const rel = decodeURIComponent(pathname).replace(/^\/+/, '');
+  const force = new URLSearchParams(query).get('force') === '1';
+  const validate = validatorFor(rel);
+  const file = path.resolve(dataDir, rel);
+  if (!validate || !file.startsWith(dataDir + path.sep)) {
+    throw new WriteError(403, 'forbidden-path', `Not a writable data path: ${rel || '(empty)'}`);
+  }
+
+  let data: unknown;
+  try {
+    data = JSON.parse(await readBody(req));
+  } catch (err) {
+    if (err instanceof WriteError) throw err;
+    throw new WriteError(400, 'invalid-json', `Body is not valid JSON: ${(err as Error).message}`);
+  }
+
+  const issues = validate(data);
+  if (issues.length > 0) {
+    throw new WriteError(422, 'validation-failed', `${rel} has ${issues.length} invalid field(s)`, issues);
+  }
+
+  const warnings = validate === validateTapeShape
+    ? checkTapeSchema(dataDir, rel, data as Tape, force)
+    : [];
+
+  try {
+    writeJSONAtomic(file, data);
+  } catch (err) {
+    throw new WriteError(500, 'write-failed', `Could not write ${rel}: ${(err as Error).message}`);
+  }
+  return warnings.length > 0 ? { ok: true, path: rel, warnings } : { ok: true, path: rel };
+}
+
+export function dataWriteApi(): Plugin {
+  let dataDir = '';
+  let manifest: ContentManifestApi | undefined;
+
+  return {
+    name: 'tattoonow-data-write-api',
+    apply: 'serve',
+
+    configResolved(config) {
+      dataDir = path.join(config.publicDir, 'data');
+      manifest = config.plugins.find(p => p.name === CONTENT_MANIFEST_PLUGIN)?.api;
+    },
+
+    configureServer(server) {
+      server.middlewares.use(WRITE_API_ROUTE, (req, res) => {
+        handleWrite(dataDir, req)
+          .then(result => {
+            // Index the write now rather than when the file watcher catches up
+            manifest?.rebuild();
+            send(res, 200, result);
+          })
+          .catch(err => {
+            if (!(err instanceof WriteError)) {
+              err = new WriteError(500, 'write-failed', (err as Error).message);
+            }
+            const { status, code, message, issues } = err as WriteError;
+            server.config.logger.warn(`[data-write-api] ${code}: ${message}`);
+            send(res, status, { ok: false, error: { code, message, issues } });
+          });
+      });
+    },
+  };
+}
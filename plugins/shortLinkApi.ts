@@ -0,0 +1,296 @@
+/**
+ * Dev short-link API — backs QRCodeWithTracking and the presenter's live
+ * scan counts (src/lib/shortLinks.ts).
+ *
+ *   POST /api/highlevel/generate-qr   { targetUrl, campaignName } → ShortLinkResult
+ *   GET  /api/highlevel/scans          CampaignScanCount[] (?campaign=<name> for one)
+ *   GET  /s/<code>                     records a scan, then redirects to the target
+ *
+ * Links come from a ShortLinkProvider. The default, localShortLinks, mints
+ * one short code per campaignName (minting again with a new targetUrl
+ * repoints it) and keeps links and scans — timestamp and user agent — in a
+ * JSON file, written atomically like the data write API. A HighLevel-backed
+ * provider can be passed in later without touching the client: it mints
+ * its own trackable links and reports its own counts.
+ *
+ * Short URLs use the host the request came in on, so a phone can only scan
+ * them when the dev server listens on the network (`vite --host`) — or set
+ * `origin` to a tunnel.
+ *
+ * Dev-server only. On the static build the POST fails and QR codes encode
+ * their target URLs directly.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import type { IncomingMessage, ServerResponse } from 'node:http';
+import type { Plugin } from 'vite';
+import type {
+  CampaignScanCount, ShortLink, ShortLinkErrorCode, ShortLinkResult, ShortLinkScan,
+} from '../src/lib/types';
+import { withUtm } from '../src/lib/qrCampaigns';
+import { writeJSONAtomic } from './dataWriteApi';
+
+export const SHORT_LINK_API_ROUTE = '/api/highlevel';
+export const SHORT_LINK_REDIRECT_ROUTE = '/s';
+
+const MAX_BODY_BYTES = 64 * 1024;
+const CODE_LENGTH = 6;
+const CODE_ALPHABET = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+/** Keeps the store small when a link is scanned all night. */
+const MAX_SCANS_PER_LINK = 10000;
+
+export interface MintRequest {
+  targetUrl: string;
+  campaignName: string;
+  /** Where short URLs point back to, e.g. http://192.168.1.20:5173. */
+  origin: string;
+}
+
+/** Where short links come from. Swap in a hosted service by implementing this. */
+export interface ShortLinkProvider {
+  name: string;
+  mint(request: MintRequest): Promise<ShortLink>;
+  /**
+   * Record a scan and return where to send the scanner, or null for an
+   * unknown code. Providers whose links don't point here can omit it.
+   */
+  scan?(code: string, scan: ShortLinkScan): Promise<string | null>;
+  counts(): Promise<CampaignScanCount[]>;
+}
+
+interface StoredLink {
+  code: string;
+  campaignName: string;
+  targetUrl: string;
+  origin: string;
+  createdAt: string;
+  scans: ShortLinkScan[];
+}
+
+interface LinkStore {
+  version: number;
+  links: Record<string, StoredLink>;
+}
+
+function newCode(taken: Record<string, unknown>): string {
+  for (;;) {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    const code = Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+    if (!taken[code]) return code;
+  }
+}
+
+function toShortLink(link: StoredLink, provider: string): ShortLink {
+  return {
+    code: link.code,
+    campaignName: link.campaignName,
+    targetUrl: link.targetUrl,
+    shortUrl: `${link.origin}${SHORT_LINK_REDIRECT_ROUTE}/${link.code}`,
+    provider,
+    createdAt: link.createdAt,
+  };
+}
+
+/** The default provider: short codes and scans in a local JSON file. */
+export function localShortLinks(file: string): ShortLinkProvider {
+  const name = 'local';
+
+  const load = (): LinkStore => {
+    try {
+      const store = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      if (store && typeof store.links === 'object') return store;
+    } catch {
+      // First run, or a store edited by hand — start over
+    }
+    return { version: 1, links: {} };
+  };
+
+  const find = (store: LinkStore, code: string): StoredLink | undefined =>
+    Object.prototype.hasOwnProperty.call(store.links, code) ? store.links[code] : undefined;
+
+  return {
+    name,
+
+    async mint({ targetUrl, campaignName, origin }) {
+      const store = load();
+      let link = Object.values(store.links).find(l => l.campaignName === campaignName);
+      if (!link || link.targetUrl !== targetUrl || link.origin !== origin) {
+        link = link
+          ? { ...link, targetUrl, origin }
+          : { code: newCode(store.links), campaignName, targetUrl, origin, createdAt: new Date().toISOString(), scans: [] };
+        store.links[link.code] = link;
+        writeJSONAtomic(file, store);
+      }
+      return toShortLink(link, name);
+    },
+
+    async scan(code, scan) {
+      const store = load();
+      const link = find(store, code);
+      if (!link) return null;
+      link.scans.push(scan);
+      if (link.scans.length > MAX_SCANS_PER_LINK) link.scans.splice(0, link.scans.length - MAX_SCANS_PER_LINK);
+      writeJSONAtomic(file, store);
+      // Tag the landing page too, for links minted from untagged URLs
+      return withUtm(link.targetUrl, { campaign: link.campaignName });
+    },
+
+    async counts() {
+      return Object.values(load().links).map(link => ({
+        campaignName: link.campaignName,
+        code: link.code,
+        targetUrl: link.targetUrl,
+        scans: link.scans.length,
+        lastScanAt: link.scans.length > 0 ? link.scans[link.scans.length - 1].at : null,
+      }));
+    },
+  };
+}
+
+class ShortLinkError extends Error {
+  status: number;
+  code: ShortLinkErrorCode;
+
+  constructor(status: number, code: ShortLinkErrorCode, message: string) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function readBody(req: IncomingMessage): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const chunks: Buffer[] = [];
+    let size = 0;
+    req.on('data', (chunk: Buffer) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new ShortLinkError(413, 'invalid-request', `Payload exceeds ${MAX_BODY_BYTES} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+function sendJSON(res: ServerResponse, status: number, body: unknown) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(JSON.stringify(body));
+}
+
+function isHttpUrl(value: unknown): value is string {
+  if (typeof value !== 'string') return false;
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+async function handleMint(
+  provider: ShortLinkProvider,
+  req: IncomingMessage,
+  origin: string,
+): Promise<ShortLinkResult> {
+  if (req.method !== 'POST') {
+    throw new ShortLinkError(405, 'method-not-allowed', `${req.method} is not supported — use POST`);
+  }
+  let body: { targetUrl?: unknown; campaignName?: unknown };
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch (err) {
+    if (err instanceof ShortLinkError) throw err;
+    throw new ShortLinkError(400, 'invalid-json', `Body is not valid JSON: ${(err as Error).message}`);
+  }
+  if (!isHttpUrl(body?.targetUrl)) {
+    throw new ShortLinkError(400, 'invalid-request', 'targetUrl must be an http(s) URL');
+  }
+  if (typeof body.campaignName !== 'string' || !body.campaignName.trim()) {
+    throw new ShortLinkError(400, 'invalid-request', 'campaignName is required');
+  }
+  try {
+    const link = await provider.mint({ targetUrl: body.targetUrl, campaignName: body.campaignName.trim(), origin });
+    return { ok: true, ...link };
+  } catch (err) {
+    throw new ShortLinkError(502, 'provider-failed', `${provider.name}: ${(err as Error).message}`);
+  }
+}
+
+export interface ShortLinkApiOptions {
+  /** Defaults to localShortLinks in .shortlinks/links.json. */
+  provider?: ShortLinkProvider;
+  /** Origin for short URLs; defaults to the host each request came in on. */
+  origin?: string;
+}
+
+export function shortLinkApi(options: ShortLinkApiOptions = {}): Plugin {
+  let provider = options.provider;
+
+  return {
+    name: 'tattoonow-short-link-api',
+    apply: 'serve',
+
+    configResolved(config) {
+      provider ??= localShortLinks(path.join(config.root, '.shortlinks', 'links.json'));
+    },
+
+    configureServer(server) {
+      const fail = (res: ServerResponse, err: unknown) => {
+        if (!(err instanceof ShortLinkError)) {
+          err = new ShortLinkError(500, 'provider-failed', (err as Error).message);
+        }
+        const { status, code, message } = err as ShortLinkError;
+        server.config.logger.warn(`[short-link-api] ${code}: ${message}`);
+        sendJSON(res, status, { ok: false, error: { code, message } });
+      };
+
+      server.middlewares.use(SHORT_LINK_API_ROUTE, (req, res) => {
+        const active = provider!;
+        const [pathname, query = ''] = (req.url || '').split('?');
+
+        if (pathname === '/generate-qr') {
+          const origin = options.origin || `http://${req.headers.host || 'localhost'}`;
+          handleMint(active, req, origin)
+            .then(result => sendJSON(res, 200, result))
+            .catch(err => fail(res, err));
+          return;
+        }
+
+        if (pathname === '/scans') {
+          const campaign = new URLSearchParams(query).get('campaign');
+          active.counts()
+            .then(counts => sendJSON(res, 200, campaign ? counts.filter(c => c.campaignName === campaign) : counts))
+            .catch(err => fail(res, err));
+          return;
+        }
+
+        fail(res, new ShortLinkError(404, 'not-found', `No short-link route ${pathname}`));
+      });
+
+      server.middlewares.use(SHORT_LINK_REDIRECT_ROUTE, (req, res, next) => {
+        const code = (req.url || '').split('?')[0].replace(/^\/+/, '');
+        if (!/^[\w-]+$/.test(code) || !provider?.scan) return next();
+        const scan: ShortLinkScan = {
+          at: new Date().toISOString(),
+          userAgent: String(req.headers['user-agent'] || ''),
+        };
+        provider.scan(code, scan)
+          .then(target => {
+            if (!target) return next();
+            res.statusCode = 302;
+            res.setHeader('Location', target);
+            res.setHeader('Cache-Control', 'no-store');
+            res.end();
+          })
+          .catch(err => fail(res, err));
+      });
+    },
+  };
+}
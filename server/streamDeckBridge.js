@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+/**
+ * Stream Deck bridge — the server end of SlideController's
+ * ws://localhost:9000/streamdeck connection.
+ *
+ *   npm run streamdeck
+ *   STREAMDECK_WEBSOCKET_PORT=9000 npm run streamdeck
+ *
+ * Commands come in three ways and all end up as one `{ action, ...args }`
+ * message to the slideshow:
+ *
+ *   HTTP       POST /command  {"action":"jumpToSegment","segmentNumber":3}
+ *              GET  /command/next, /command/jumpToSegment?segmentNumber=3
+ *              (the GET form is for Stream Deck "Website" / Companion HTTP
+ *              buttons)
+ *   WebSocket  ws://localhost:9000/streamdeck?role=controller, then send the
+ *              same JSON as POST /command
+ *   stdin      next, prev, qr, lt, grid, auto, score, seg 3, slide 12,
+ *              tally 1 [-1], state — type `help` for the list
+ *
+ * segmentNumber and panelist count from 1, the way buttons are labelled
+ * (panelist 1 is the 1 key); slideIndex counts from 0 like the URL's ?slide=.
+ *
+ * Slideshow windows connect to /streamdeck without a role and say hello with
+ * their mode. Commands go to one window only — the presenter if one is
+ * connected, otherwise the longest-connected audience window — and it
+ * syncs the others itself. That window pushes its state back (slide,
+ * segment, timers, overlay toggles); the bridge keeps the latest copy for
+ * GET /state and forwards it to every controller socket so button faces
+ * can show live labels.
+ *
+ * The bridge listens on 127.0.0.1 only. STREAMDECK_HOST=0.0.0.0 opens it to
+ * the network, and then commands need a token, as the sync relay needs its
+ * secret: STREAMDECK_TOKEN, or a random one printed at startup. Send it as
+ * ?token=<token> (HTTP or the controller socket URL) or an X-Streamdeck-Token
+ * header. Commands from web pages are refused outright — Stream Deck,
+ * Companion and curl don't send the Origin / Sec-Fetch-Site headers a
+ * browser does.
+ */
+
+import crypto from 'node:crypto';
+import http from 'node:http';
+import readline from 'node:readline';
+import { WebSocketServer } from 'ws';
+
+const PORT = Number(process.env.STREAMDECK_WEBSOCKET_PORT) || 9000;
+const WS_PATH = '/streamdeck';
+const HOST = process.env.STREAMDECK_HOST || '127.0.0.1';
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+const TOKEN = process.env.STREAMDECK_TOKEN
+  || (LOOPBACK_HOSTS.includes(HOST) ? '' : crypto.randomBytes(4).toString('hex'));
+const MAX_BODY_BYTES = 64 * 1024;
+/** Largest tally step one command may make, either way. */
+const MAX_TALLY_DELTA = 9;
+
+/** Actions SlideController understands, and the argument each one takes. */
+const ACTIONS = {
+  next: null,
+  previous: null,
+  toggleQR: null,
+  toggleLowerThird: null,
+  togglePortfolioLayout: null,
+  toggleAutoMode: null,
+  toggleScoreboard: null,
+  jumpToSegment: 'segmentNumber',
+  jumpToSlide: 'slideIndex',
+  tally: 'panelist',
+};
+
+/** stdin shorthands → actions */
+const STDIN_ALIASES = {
+  n: 'next',
+  next: 'next',
+  p: 'previous',
+  prev: 'previous',
+  previous: 'previous',
+  qr: 'toggleQR',
+  lt: 'toggleLowerThird',
+  grid: 'togglePortfolioLayout',
+  auto: 'toggleAutoMode',
+  score: 'toggleScoreboard',
+  seg: 'jumpToSegment',
+  slide: 'jumpToSlide',
+  tally: 'tally',
+};
+
+const slideshows = new Set();
+const controllers = new Set();
+let latestState = null;
+
+// ── Who may send commands ────────────────────────────────────────────
+
+function tokenMatches(candidate) {
+  if (!TOKEN) return true;
+  if (typeof candidate !== 'string') return false;
+  // Compare digests so the comparison is constant-time whatever the length
+  const a = crypto.createHash('sha256').update(candidate).digest();
+  const b = crypto.createHash('sha256').update(TOKEN).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/** A request made by a web page, rather than typed into the address bar. */
+function fromWebPage(req) {
+  const site = req.headers['sec-fetch-site'];
+  return Boolean(req.headers.origin) || (site !== undefined && site !== 'none');
+}
+
+// ── Routing commands ─────────────────────────────────────────────────
+
+/** Presenter window if there is one, else the longest-connected window. */
+function targetSlideshow() {
+  let fallback = null;
+  for (const socket of slideshows) {
+    if (socket.mode === 'presenter') return socket;
+    fallback = fallback || socket;
+  }
+  return fallback;
+}
+
+/**
+ * Check a command and send it to the slideshow. Returns an error string or
+ * null.
+ */
+function dispatch(command, source) {
+  if (!command || !Object.hasOwn(ACTIONS, command.action)) {
+    return `unknown action "${command?.action}"`;
+  }
+  const arg = ACTIONS[command.action];
+  if (arg && !Number.isFinite(command[arg])) {
+    return `${command.action} needs a numeric ${arg}`;
+  }
+  if (command.action === 'tally' && command.delta !== undefined) {
+    const delta = typeof command.delta === 'string' && command.delta.trim() !== ''
+      ? Number(command.delta)
+      : command.delta;
+    if (!Number.isInteger(delta) || Math.abs(delta) > MAX_TALLY_DELTA) {
+      return `tally delta must be a whole number from -${MAX_TALLY_DELTA} to ${MAX_TALLY_DELTA}`;
+    }
+    command = { ...command, delta };
+  }
+  const target = targetSlideshow();
+  if (!target) return 'no slideshow window connected';
+  target.send(JSON.stringify(command));
+  console.log(`[streamdeck] ${source}: ${JSON.stringify(command)}`);
+  return null;
+}
+
+function publishState(state) {
+  latestState = state;
+  const message = JSON.stringify({ type: 'state', state });
+  for (const socket of controllers) {
+    if (socket.readyState === socket.OPEN) socket.send(message);
+  }
+}
+
+/** Query-string / stdin values arrive as text; numeric ones become numbers. */
+function coerce(params) {
+  const out = {};
+  for (const [key, value] of Object.entries(params)) {
+    out[key] = value !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+  }
+  return out;
+}
+
+// ── HTTP ─────────────────────────────────────────────────────────────
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error('body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+async function handleHttp(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  if (fromWebPage(req)) {
+    return sendJson(res, 403, { ok: false, error: 'web pages cannot send commands' });
+  }
+  const { token, ...params } = Object.fromEntries(url.searchParams);
+  if (!tokenMatches(token ?? req.headers['x-streamdeck-token'])) {
+    return sendJson(res, 401, { ok: false, error: 'missing or wrong token' });
+  }
+
+  if (url.pathname === '/state' && req.method === 'GET') {
+    return sendJson(res, 200, { connected: slideshows.size, state: latestState });
+  }
+
+  const match = url.pathname.match(/^\/command(?:\/(\w+))?$/);
+  if (!match || (req.method !== 'GET' && req.method !== 'POST')) {
+    return sendJson(res, 404, { ok: false, error: 'not found' });
+  }
+
+  let command = { action: match[1], ...coerce(params) };
+  if (req.method === 'POST') {
+    try {
+      const body = await readBody(req);
+      if (body.trim()) command = { ...command, ...JSON.parse(body) };
+    } catch (error) {
+      return sendJson(res, 400, { ok: false, error: error.message });
+    }
+  }
+
+  const error = dispatch(command, 'http');
+  if (error) {
+    return sendJson(res, error === 'no slideshow window connected' ? 503 : 400, { ok: false, error });
+  }
+  sendJson(res, 200, { ok: true });
+}
+
+const server = http.createServer((req, res) => {
+  handleHttp(req, res).catch((error) => sendJson(res, 500, { ok: false, error: error.message }));
+});
+
+// ── WebSocket ────────────────────────────────────────────────────────
+
+const wss = new WebSocketServer({ server, path: WS_PATH });
+
+wss.on('connection', (socket, request) => {
+  const params = new URL(request.url, 'http://localhost').searchParams;
+  const role = params.get('role');
+
+  if (role === 'controller') {
+    if (request.headers.origin || !tokenMatches(params.get('token') ?? request.headers['x-streamdeck-token'])) {
+      socket.send(JSON.stringify({ type: 'error', error: 'not allowed to send commands' }));
+      return socket.close(4003, 'forbidden');
+    }
+    controllers.add(socket);
+    if (latestState) socket.send(JSON.stringify({ type: 'state', state: latestState }));
+    socket.on('message', (data) => {
+      let command;
+      try {
+        command = JSON.parse(data.toString());
+      } catch {
+        return socket.send(JSON.stringify({ type: 'error', error: 'invalid JSON' }));
+      }
+      const error = dispatch(command, 'controller');
+      if (error) socket.send(JSON.stringify({ type: 'error', error }));
+    });
+    socket.on('close', () => controllers.delete(socket));
+    return;
+  }
+
+  // A slideshow window
+  socket.mode = 'audience';
+  slideshows.add(socket);
+  socket.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      return;
+    }
+    if (message.type === 'hello') {
+      socket.mode = message.mode === 'presenter' ? 'presenter' : 'audience';
+      console.log(`[streamdeck] ${socket.mode} window connected (${slideshows.size} total)`);
+    } else if (message.type === 'state' && socket === targetSlideshow()) {
+      publishState(message.state);
+    }
+  });
+  socket.on('close', () => {
+    slideshows.delete(socket);
+    console.log(`[streamdeck] ${socket.mode} window disconnected (${slideshows.size} left)`);
+    // Ask whoever is in charge now for a fresh state
+    targetSlideshow()?.send(JSON.stringify({ action: 'getState' }));
+  });
+});
+
+// ── stdin ────────────────────────────────────────────────────────────
+
+function stdinCommand(line) {
+  const [word, ...args] = line.trim().split(/\s+/);
+  if (!word) return null;
+  if (word === 'help') {
+    console.log(`  ${Object.keys(STDIN_ALIASES).join(', ')}, state — e.g. "seg 3", "tally 2 -1"`);
+    return null;
+  }
+  if (word === 'state') {
+    console.log(JSON.stringify(latestState, null, 2));
+    return null;
+  }
+  const action = STDIN_ALIASES[word] || word;
+  const command = { action };
+  if (ACTIONS[action]) command[ACTIONS[action]] = Number(args[0]);
+  if (action === 'tally' && args[1] !== undefined) command.delta = Number(args[1]);
+  return command;
+}
+
+// Also works piped: `echo next | npm run streamdeck`
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  const command = stdinCommand(line);
+  if (!command) return;
+  const error = dispatch(command, 'stdin');
+  if (error) console.warn(`[streamdeck] ${error}`);
+});
+
+// ── Lifecycle ────────────────────────────────────────────────────────
+
+server.listen(PORT, HOST, () => {
+  console.log(`[streamdeck] bridge on http://${HOST}:${PORT} (slideshow socket ws://${HOST}:${PORT}${WS_PATH})`);
+  if (TOKEN && !process.env.STREAMDECK_TOKEN) console.log(`[streamdeck] command token: ${TOKEN}`);
+  if (process.stdin.isTTY) console.log('[streamdeck] type commands here — "help" for the list');
+});
+
+server.on('error', (error) => {
+  console.error(`[streamdeck] ${error.message}`);
+  process.exit(1);
+});
+
+function shutdown() {
+  for (const socket of wss.clients) socket.terminate();
+  server.close(() => process.exit(0));
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+/**
+ * Slideshow sync relay — carries the slideshow sync messages between
+ * machines (operator laptop ⇄ OBS machine), where BroadcastChannel can't
+ * reach.
+ *
+ *   npm run relay
+ *   SYNC_RELAY_PORT=9010 SYNC_RELAY_SECRET=letmein npm run relay
+ *
+ * Each window opens ws://<host>:<port>/sync and its first message must be
+ *
+ *   { relay: 'join', room: '<room id>', secret: '<shared secret>' }
+ *
+ * The relay answers { relay: 'joined', room, peers } or { relay: 'denied',
+ * reason } and hangs up. Once joined, every message is forwarded verbatim
+ * to the other sockets in the same room — the relay doesn't read the sync
+ * envelopes (see src/lib/slideshowSync.ts), so it doesn't care about the
+ * protocol version.
+ *
+ * Without SYNC_RELAY_SECRET a random pairing secret is generated and printed
+ * at startup; pass it to each window as `?key=`.
+ */
+
+import crypto from 'node:crypto';
+import { WebSocketServer } from 'ws';
+
+const PORT = Number(process.env.SYNC_RELAY_PORT) || 9010;
+const SECRET = process.env.SYNC_RELAY_SECRET || crypto.randomBytes(4).toString('hex');
+const PATH = '/sync';
+
+const MAX_PAYLOAD_BYTES = 5 * 1024 * 1024;
+const JOIN_TIMEOUT_MS = 5000;
+const HEARTBEAT_MS = 30000;
+
+/** room id → Set of joined sockets */
+const rooms = new Map();
+
+function secretMatches(candidate) {
+  if (typeof candidate !== 'string') return false;
+  // Compare digests so the comparison is constant-time whatever the length
+  const a = crypto.createHash('sha256').update(candidate).digest();
+  const b = crypto.createHash('sha256').update(SECRET).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function deny(socket, reason) {
+  socket.send(JSON.stringify({ relay: 'denied', reason }));
+  socket.close(4003, reason);
+}
+
+function join(socket, room) {
+  if (!rooms.has(room)) rooms.set(room, new Set());
+  const members = rooms.get(room);
+  members.add(socket);
+  socket.room = room;
+  socket.send(JSON.stringify({ relay: 'joined', room, peers: members.size - 1 }));
+  console.log(`[relay] ${socket.label} joined "${room}" (${members.size} in room)`);
+}
+
+function leave(socket) {
+  const members = rooms.get(socket.room);
+  if (!members) return;
+  members.delete(socket);
+  if (members.size === 0) rooms.delete(socket.room);
+  console.log(`[relay] ${socket.label} left "${socket.room}" (${members.size} in room)`);
+}
+
+const server = new WebSocketServer({ port: PORT, path: PATH, maxPayload: MAX_PAYLOAD_BYTES });
+
+server.on('connection', (socket, request) => {
+  socket.label = request.socket.remoteAddress;
+  socket.alive = true;
+  socket.on('pong', () => { socket.alive = true; });
+
+  const joinTimer = setTimeout(() => deny(socket, 'join-timeout'), JOIN_TIMEOUT_MS);
+
+  socket.on('message', (data, isBinary) => {
+    if (!socket.room) {
+      let hello;
+      try {
+        hello = JSON.parse(data.toString());
+      } catch {
+        return deny(socket, 'bad-join');
+      }
+      clearTimeout(joinTimer);
+      if (hello?.relay !== 'join' || typeof hello.room !== 'string' || !hello.room) {
+        return deny(socket, 'bad-join');
+      }
+      if (!secretMatches(hello.secret)) {
+        console.warn(`[relay] ${socket.label} gave the wrong secret`);
+        return deny(socket, 'bad-secret');
+      }
+      return join(socket, hello.room);
+    }
+
+    for (const peer of rooms.get(socket.room) || []) {
+      if (peer !== socket && peer.readyState === peer.OPEN) {
+        peer.send(data, { binary: isBinary });
+      }
+    }
+  });
+
+  socket.on('close', () => {
+    clearTimeout(joinTimer);
+    if (socket.room) leave(socket);
+  });
+
+  socket.on('error', (error) => {
+    console.warn(`[relay] ${socket.label}: ${error.message}`);
+  });
+});
+
+// Drop sockets that stopped answering pings (laptop lid closed, Wi-Fi gone)
+const heartbeat = setInterval(() => {
+  for (const socket of server.clients) {
+    if (!socket.alive) {
+      socket.terminate();
+      continue;
+    }
+    socket.alive = false;
+    socket.ping();
+  }
+}, HEARTBEAT_MS);
+
+server.on('listening', () => {
+  console.log(`[relay] listening on ws://0.0.0.0:${PORT}${PATH}`);
+  if (!process.env.SYNC_RELAY_SECRET) {
+    console.log(`[relay] pairing secret: ${SECRET}`);
+  }
+  console.log(`[relay] add ?relay=ws://<this-machine>:${PORT}${PATH}&key=<secret> to each slideshow URL`);
+});
+
+server.on('error', (error) => {
+  console.error(`[relay] ${error.message}`);
+  process.exit(1);
+});
+
+function shutdown() {
+  clearInterval(heartbeat);
+  server.close(() => process.exit(0));
+  for (const socket of server.clients) socket.terminate();
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
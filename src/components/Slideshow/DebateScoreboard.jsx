@@ -0,0 +1,68 @@
+import React from 'react';
+
+/**
+ * DebateScoreboard - Panel debate overlay
+ * Lists each panelist with their stance and the live audience tally.
+ * Toggled with S; tallies move with 1–9 (Shift to take a vote back) or the
+ * presenter controls.
+ */
+export function DebateScoreboard({ scoreboard, tallies = [], display = true }) {
+  if (!display || !scoreboard) return null;
+
+  const total = tallies.reduce((sum, n) => sum + n, 0);
+  const leader = total > 0 ? Math.max(...tallies) : -1;
+
+  return (
+    <div
+      className="absolute top-16 right-16 z-50"
+      style={{ width: 560 }}
+    >
+      <div className="relative bg-card/95 backdrop-blur-sm border-l-4 brand-border rounded-lg overflow-hidden">
+        <div className="absolute inset-0 brand-gradient opacity-10"></div>
+
+        <div className="relative z-10 px-8 py-6">
+          <div className="flex items-baseline justify-between mb-4">
+            <div className="text-sm text-muted-foreground uppercase tracking-widest">Audience Leaning</div>
+            <div className="text-sm text-muted-foreground">{total} vote{total === 1 ? '' : 's'}</div>
+          </div>
+          {scoreboard.topic && (
+            <div className="text-xl font-semibold mb-5 leading-snug">{scoreboard.topic}</div>
+          )}
+
+          <div className="space-y-4">
+            {scoreboard.entries.map((entry, i) => {
+              const votes = tallies[i] || 0;
+              const pct = total > 0 ? Math.round((votes / total) * 100) : 0;
+              return (
+                <div key={i}>
+                  <div className="flex items-center gap-3 mb-1">
+                    {entry.headshot && (
+                      <img src={entry.headshot} alt="" className="w-10 h-10 rounded-full object-cover" />
+                    )}
+                    <div className="flex-1 min-w-0">
+                      <div className="text-lg font-bold truncate">{entry.name}</div>
+                      {entry.stance && (
+                        <div className="brand-accent text-sm font-semibold">{entry.stance}</div>
+                      )}
+                    </div>
+                    <div className={`text-2xl font-bold font-mono ${votes === leader ? 'brand-accent' : ''}`}>
+                      {pct}%
+                    </div>
+                  </div>
+                  <div className="h-2 bg-black/40 rounded overflow-hidden">
+                    <div
+                      className="h-full brand-gradient"
+                      style={{ width: `${pct}%`, transition: 'width 0.4s ease-out' }}
+                    />
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        <div className="absolute top-0 left-0 right-0 h-1 brand-gradient"></div>
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,8 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { generateTeleprompterLines, findLineForSegment } from '@/lib/markdown/script-parser';
 import type { Episode, TeleprompterLine } from '@/lib/types';
+import { shortcutLabel } from '@/lib/keymap';
+import { useShortcuts, useKeymap } from '@/hooks/useShortcuts';
 import styles from './Teleprompter.module.css';
 
 /**
@@ -220,34 +222,19 @@ export function EpisodeTeleprompter({ episodeData, currentSlideIndex = 0 }: Epis
     }
   }, []);
 
-  // Keyboard shortcuts
-  useEffect(() => {
-    const handler = (e: KeyboardEvent) => {
-      if (e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement || e.target instanceof HTMLSelectElement) return;
-      switch (e.key) {
-        case ' ':
-          e.preventDefault();
-          if (listeningRef.current) stopListening(); else startListening();
-          break;
-        case 'ArrowDown':
-          e.preventDefault();
-          advance();
-          break;
-        case 'ArrowUp':
-          e.preventDefault();
-          goBack();
-          break;
-        case 'r':
-        case 'R':
-          e.preventDefault();
-          setCurLine(0);
-          setWordIndex(0);
-          break;
-      }
-    };
-    window.addEventListener('keydown', handler);
-    return () => window.removeEventListener('keydown', handler);
-  }, [advance, goBack, startListening, stopListening]);
+  // Keyboard shortcuts (keys from lib/keymap, 'teleprompter' scope)
+  useShortcuts('teleprompter', {
+    'teleprompter.voice': () => {
+      if (listeningRef.current) stopListening(); else startListening();
+    },
+    'teleprompter.advance': () => advance(),
+    'teleprompter.back': () => goBack(),
+    'teleprompter.restart': () => {
+      setCurLine(0);
+      setWordIndex(0);
+    },
+  });
+  const keymap = useKeymap();
 
   // ── Empty state ──
   if (!episodeData?.SHOW_SCRIPT || episodeData.SHOW_SCRIPT.length === 0) {
@@ -354,8 +341,9 @@ export function EpisodeTeleprompter({ episodeData, currentSlideIndex = 0 }: Epis
       {/* Status bar */}
       <div className={styles.status}>
         <span>
-          <kbd>Space</kbd> Voice &nbsp; <kbd>&uarr;</kbd><kbd>&darr;</kbd> Navigate &nbsp;
-          <kbd>R</kbd> Reset
+          <kbd>{shortcutLabel('teleprompter.voice', keymap)}</kbd> Voice &nbsp;
+          <kbd>{shortcutLabel('teleprompter.back', keymap)}</kbd><kbd>{shortcutLabel('teleprompter.advance', keymap)}</kbd> Navigate &nbsp;
+          <kbd>{shortcutLabel('teleprompter.restart', keymap)}</kbd> Reset
         </span>
         <span>Line {curLine + 1} / {lines.length}</span>
       </div>
@@ -0,0 +1,90 @@
+import React from 'react';
+
+const PRICING_LABELS = {
+  'project-based': 'Project-Based',
+  'hourly': 'Hourly',
+  'day-rate': 'Day Rate',
+};
+
+/**
+ * PanelistSpotlightSlide - One panelist during the panel intro
+ *
+ * Headshot, name and the panelist's pricing model / perspective callout on
+ * the left, a portfolio strip on the right. The bottom-left corner is kept
+ * clear for the LowerThird overlay, which reads the slide's guest* fields.
+ */
+export function PanelistSpotlightSlide({
+  name,
+  title,
+  location,
+  instagram,
+  headshot,
+  portfolio = [],
+  pricingModel,
+  perspective,
+  index,
+  total,
+}) {
+  const pricingLabel = PRICING_LABELS[pricingModel] || pricingModel;
+
+  return (
+    <div className="slideshow-container bg-background"
+      style={{ display: 'flex', padding: '4rem 4rem 14rem', gap: '4rem' }}
+    >
+      {total > 1 && (
+        <div className="absolute top-8 right-8 text-xl text-muted-foreground tracking-widest uppercase">
+          Panelist {index + 1} of {total}
+        </div>
+      )}
+
+      {/* Left: who they are and where they stand */}
+      <div className="flex flex-col justify-center" style={{ flex: '0 0 55%', minWidth: 0 }}>
+        <div className="flex items-center gap-10 mb-12">
+          {headshot && (
+            <img
+              src={headshot}
+              alt={name}
+              className="rounded-full border-4 brand-border object-cover flex-shrink-0"
+              style={{ width: 260, height: 260 }}
+            />
+          )}
+          <div style={{ minWidth: 0 }}>
+            <h2 className="text-7xl font-bold leading-tight">{name}</h2>
+            {title && <div className="text-2xl text-foreground/80 mt-3">{title}</div>}
+            <div className="text-xl text-muted-foreground mt-2">
+              {[location, instagram && `@${instagram}`].filter(Boolean).join(' · ')}
+            </div>
+          </div>
+        </div>
+
+        {(pricingLabel || perspective) && (
+          <div className="bg-card rounded-lg border-l-4 brand-border px-10 py-8">
+            {pricingLabel && (
+              <div className="brand-accent text-2xl font-semibold uppercase tracking-widest mb-3">
+                {pricingLabel}
+              </div>
+            )}
+            {perspective && (
+              <div className="text-4xl leading-snug">“{perspective}”</div>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Right: portfolio strip */}
+      {portfolio.length > 0 && (
+        <div className="flex gap-6" style={{ flex: 1, minWidth: 0 }}>
+          {portfolio.slice(0, 2).map((url, i) => (
+            <img
+              key={i}
+              src={url}
+              alt={`${name} portfolio ${i + 1}`}
+              className="rounded-lg object-cover"
+              style={{ flex: 1, minWidth: 0, height: '100%' }}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
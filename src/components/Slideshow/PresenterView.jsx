@@ -1,13 +1,16 @@
 import React, { useState, useCallback, useRef, useEffect } from 'react';
-import { ChevronLeft, ChevronRight, ExternalLink, Maximize2, Settings, Play, Pause } from 'lucide-react';
+import { ChevronLeft, ChevronRight, ExternalLink, Maximize2, Settings, Play, Pause, RotateCcw, FileDown } from 'lucide-react';
 import { Link } from 'react-router-dom';
 import { Timer } from './Timer';
 import { Clock } from './Clock';
-import { TitleCard } from './TitleCard';
-import { PortfolioSlide } from './PortfolioSlide';
-import { EducationSlide } from './EducationSlide';
-import ScriptSlide from '../slides/ScriptSlide';
-import { formatMsToTimeCode } from '../../lib/buildSlidesFromShow';
+import { renderSlide, renderSlideThumbnail, getSlideNotes, slideColor, slideStageLabel } from './slideTypes';
+import { formatMsToTimeCode, segmentLabel } from '../../lib/buildSlidesFromShow';
+import { openNotesChannel } from '../../lib/slideshowSync';
+import { backTime, dropCandidates, isSkipped, stepForward, suggestDrops } from '../../lib/backTiming';
+import { useShortcuts, useKeymap } from '../../hooks/useShortcuts';
+import { shortcutLabel } from '../../lib/keymap';
+import { fetchScanCounts, SCAN_POLL_MS } from '../../lib/shortLinks';
+import { ShortcutsOverlay } from './ShortcutsOverlay';
 import styles from './PresenterView.module.css';
 
 /**
@@ -69,6 +72,7 @@ function useDragResize(initialPct, direction = 'horizontal') {
 export function PresenterView({
   episodeData,
   currentSlideIndex,
+  slideStage = 0,
   slides,
   nextSlide,
   previousSlide,
@@ -85,36 +89,45 @@ export function PresenterView({
   toggleAutoMode,
   slideElapsedMs = 0,
   showElapsedMs = 0,
-  jumpToSlide
+  jumpToSlide,
+  scoreboard,
+  tallies = [],
+  showScoreboard = false,
+  toggleScoreboard,
+  adjustTally,
+  resetSession,
+  exportAsRun,
+  hardOut = false,
+  toggleHardOut,
+  skippedEntries = [],
+  autoScale = 1
 }) {
   const hSplit = useDragResize(60, 'horizontal');
   const vSplit = useDragResize(55, 'vertical');
   const notesChannelRef = useRef(null);
   const [showShortcuts, setShowShortcuts] = useState(false);
 
-  // Keyboard shortcut: ? toggles shortcut overlay
-  useEffect(() => {
-    const handleKey = (e) => {
-      if (e.key === '?') {
-        setShowShortcuts(prev => !prev);
-      } else if (e.key === 'Escape' && showShortcuts) {
-        setShowShortcuts(false);
-      }
-    };
-    window.addEventListener('keydown', handleKey);
-    return () => window.removeEventListener('keydown', handleKey);
-  }, [showShortcuts]);
+  // Button tooltips show the current (possibly rebound) keys
+  const keymap = useKeymap();
+  const keyHint = (id) => shortcutLabel(id, keymap);
+
+  // ? toggles the shortcut overlay (slide keys are handled by SlideController)
+  useShortcuts('presenter', {
+    'help.toggle': () => setShowShortcuts(prev => !prev),
+    'help.close': () => setShowShortcuts(false),
+  });
+
+  // Latest notes broadcaster, for answering a popout's STATE_REQUEST
+  const broadcastNotesRef = useRef(null);
 
   // Broadcast notes to popout window
   useEffect(() => {
-    notesChannelRef.current = new BroadcastChannel('tattoonow-notes-sync');
-
-    // Listen for NOTES_READY from the popout to send current state immediately
-    notesChannelRef.current.onmessage = (event) => {
-      if (event.data?.type === 'NOTES_READY') {
-        broadcastCurrentNotes();
+    // A popout that opens (or reloads) asks for the current notes
+    notesChannelRef.current = openNotesChannel(({ type }) => {
+      if (type === 'STATE_REQUEST') {
+        broadcastNotesRef.current?.();
       }
-    };
+    });
 
     return () => {
       if (notesChannelRef.current) notesChannelRef.current.close();
@@ -126,26 +139,43 @@ export function PresenterView({
     if (!notesChannelRef.current || !slides || slides.length === 0) return;
     const slide = slides[currentSlideIndex];
     if (!slide) return;
-
-    notesChannelRef.current.postMessage({
-      type: 'NOTES_UPDATE',
-      payload: {
-        presenterNotes: slide.presenterNotes || slide.notes || '',
-        slideIndex: currentSlideIndex,
-        totalSlides: slides.length,
-        slideType: slide.type,
-        slideTitle: slide.title || slide.segment || '',
-        talkingPoints: slide.talkingPoints || [],
-        episodeData: episodeData
-      }
+    const { presenterNotes, talkingPoints } = getSlideNotes(slide, slideStage);
+
+    notesChannelRef.current.send('NOTES_UPDATE', {
+      presenterNotes,
+      slideIndex: currentSlideIndex,
+      totalSlides: slides.length,
+      slideType: slide.type,
+      slideTitle: slide.title || slide.segment || '',
+      talkingPoints,
+      episodeData: episodeData
     });
-  }, [currentSlideIndex, slides, episodeData]);
+  }, [currentSlideIndex, slideStage, slides, episodeData]);
 
   // Send notes update whenever slide changes
   useEffect(() => {
+    broadcastNotesRef.current = broadcastCurrentNotes;
     broadcastCurrentNotes();
   }, [broadcastCurrentNotes]);
 
+  // Live QR traction — scan counts from the short-link API, while the deck
+  // has campaigns to count (dev server only; null without it)
+  const [scanCounts, setScanCounts] = useState(null);
+  const hasCampaigns = !!slides?.some(s => s.qrCampaigns?.length > 0);
+  useEffect(() => {
+    if (!hasCampaigns) return;
+    let cancelled = false;
+    const poll = () => fetchScanCounts().then(counts => {
+      if (!cancelled) setScanCounts(counts);
+    });
+    poll();
+    const timer = setInterval(poll, SCAN_POLL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [hasCampaigns]);
+
   if (!episodeData || !slides || slides.length === 0) {
     return (
       <div className={styles.container}>
@@ -158,7 +188,22 @@ export function PresenterView({
   }
 
   const currentSlide = slides[currentSlideIndex];
-  const nextSlideData = slides[currentSlideIndex + 1];
+  // A staged slide's next step is the same slide one stage further along;
+  // entries dropped by hard-out protection are stepped over
+  const stageCount = currentSlide.stages || 1;
+  const hasNextStage = slideStage < stageCount - 1;
+  const nextStep = stepForward(slides, currentSlideIndex, slideStage, skippedEntries);
+  const nextSlideData = nextStep ? slides[nextStep.index] : null;
+  const nextStage = nextStep?.stage || 0;
+
+  // Scans of the campaigns on screen now, and of every campaign in the show
+  const scansFor = (campaigns = []) => campaigns.reduce(
+    (sum, c) => sum + (scanCounts?.find(count => count.campaignName === c.name)?.scans || 0), 0,
+  );
+  const segmentScans = scansFor(currentSlide.qrCampaigns);
+  const showScans = scansFor([...new Map(
+    slides.flatMap(s => s.qrCampaigns || []).map(c => [c.name, c]),
+  ).values()]);
 
   // Timing for current slide
   const slideDurationMs = currentSlide.durationMs || 0;
@@ -167,10 +212,14 @@ export function PresenterView({
     ? Math.min(100, (slideElapsedMs / slideDurationMs) * 100)
     : 0;
 
-  // Auto-advance countdown (seconds remaining on this slide)
-  const slideRemainingMs = slideDurationMs > 0 ? Math.max(0, slideDurationMs - slideElapsedMs) : 0;
+  // Auto-advance countdown (seconds remaining on this slide), on the
+  // shortened duration when hard-out protection is compressing auto mode;
+  // bumper stings count down in manual mode too
+  const autoDurationMs = autoMode ? slideDurationMs * autoScale : slideDurationMs;
+  const slideRemainingMs = autoDurationMs > 0 ? Math.max(0, autoDurationMs - slideElapsedMs) : 0;
   const slideRemainingSeconds = Math.ceil(slideRemainingMs / 1000);
-  const showCountdown = autoMode && slideDurationMs > 0 && slideRemainingSeconds <= 10 && slideRemainingSeconds > 0;
+  const showCountdown = (autoMode || currentSlide.forceAutoAdvance)
+    && slideDurationMs > 0 && slideRemainingSeconds <= 10 && slideRemainingSeconds > 0;
 
   function openNotesPopout() {
     const params = new URLSearchParams(window.location.search);
@@ -212,6 +261,11 @@ export function PresenterView({
                 {currentSlide.rundownLabel}
               </span>
             )}
+            {stageCount > 1 && (
+              <span style={{ marginLeft: '10px', fontSize: '12px', color: '#ec4899', fontWeight: 600 }}>
+                {slideStageLabel(currentSlide, slideStage)}
+              </span>
+            )}
             {slideDurationMs > 0 && (
               <span style={{
                 marginLeft: '12px',
@@ -241,7 +295,7 @@ export function PresenterView({
             </div>
           )}
           <div className={styles.slidePreviewContainer} style={{ position: 'relative' }}>
-            {renderSlidePreview(currentSlide, 'current', portfolioLayout, selectedImage, onSelectImage)}
+            {renderSlidePreview(currentSlide, 'current', portfolioLayout, selectedImage, onSelectImage, slideStage)}
             {/* Auto-advance countdown overlay */}
             {showCountdown && (
               <div style={{
@@ -282,10 +336,12 @@ export function PresenterView({
 
         {/* Next Slide Preview */}
         <div className={styles.nextSlidePreview} style={{ flex: 1 }}>
-          <div className={styles.previewLabel}>Next Slide</div>
+          <div className={styles.previewLabel}>
+            {hasNextStage ? `Next Step — ${slideStageLabel(currentSlide, nextStage)}` : 'Next Slide'}
+          </div>
           <div className={styles.slidePreviewContainer}>
             {nextSlideData ? (
-              renderSlidePreview(nextSlideData, 'next', portfolioLayout, null, null)
+              renderSlidePreview(nextSlideData, 'next', portfolioLayout, null, null, nextStage)
             ) : (
               <div className={styles.endOfShow}>
                 <p>End of Show</p>
@@ -329,6 +385,8 @@ export function PresenterView({
           currentSlideIndex={currentSlideIndex}
           slideElapsedMs={slideElapsedMs}
           showElapsedMs={showElapsedMs}
+          targetMs={(parseInt(episodeData.DURATION) || 60) * 60000}
+          skippedEntries={skippedEntries}
           onJumpToSlide={jumpToSlide}
         />
       </div>
@@ -393,11 +451,23 @@ export function PresenterView({
             <button
               onClick={toggleAutoMode}
               className={`${styles.toggleButton} ${autoMode ? styles.active : ''}`}
-              title="Toggle Auto/Manual navigation (A)"
+              title={`Toggle Auto/Manual navigation (${keyHint('mode.auto')})`}
               style={{ display: 'flex', alignItems: 'center', gap: '4px' }}
             >
               {autoMode ? <Pause size={14} /> : <Play size={14} />}
               {autoMode ? 'Auto' : 'Manual'}
+              {autoMode && autoScale < 1 && (
+                <span style={{ fontFamily: 'monospace', opacity: 0.7 }}>×{autoScale.toFixed(2)}</span>
+              )}
+            </button>
+          )}
+          {toggleHardOut && (
+            <button
+              onClick={toggleHardOut}
+              className={`${styles.toggleButton} ${hardOut ? styles.active : ''}`}
+              title={`Protect the hard out — offer to drop optional entries and shorten auto mode when running long (${keyHint('mode.hardOut')})`}
+            >
+              Hard out{skippedEntries.length > 0 ? ` −${skippedEntries.length}` : ''}
             </button>
           )}
 
@@ -406,7 +476,7 @@ export function PresenterView({
               onClick={previousSlide}
               disabled={currentSlideIndex === 0}
               className={styles.navButton}
-              title="Previous Slide (←)"
+              title={`Previous Slide (${keyHint('slide.previous')})`}
             >
               <ChevronLeft size={20} />
               <span>Prev</span>
@@ -423,7 +493,7 @@ export function PresenterView({
               onClick={nextSlide}
               disabled={currentSlideIndex === slides.length - 1}
               className={styles.navButton}
-              title="Next Slide (→)"
+              title={`Next Slide (${keyHint('slide.next')})`}
             >
               <span>Next</span>
               <ChevronRight size={20} />
@@ -431,6 +501,33 @@ export function PresenterView({
           </div>
         </div>
 
+        {/* ─── Group 4b: Debate scoreboard tallies (panel shows) ─── */}
+        {scoreboard && (
+          <div style={{ display: 'flex', gap: '6px' }}>
+            {scoreboard.entries.map((entry, i) => (
+              <div key={i} className={styles.slideCounter} title={`${entry.name} — ${entry.stance} (${keyHint(`scoreboard.vote${i + 1}`)} / ${keyHint(`scoreboard.unvote${i + 1}`)})`}>
+                <div className={styles.counterLabel}>{entry.name.split(' ')[0]}</div>
+                <div className={styles.counterValue} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  <button
+                    onClick={() => adjustTally(i, -1)}
+                    disabled={!tallies[i]}
+                    style={{ color: '#9ca3af', padding: '0 4px' }}
+                  >
+                    −
+                  </button>
+                  <span style={{ fontFamily: 'monospace', minWidth: '2ch', textAlign: 'center' }}>{tallies[i] || 0}</span>
+                  <button
+                    onClick={() => adjustTally(i, 1)}
+                    style={{ color: '#9ca3af', padding: '0 4px' }}
+                  >
+                    +
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* ─── Group 5: Overlay toggles (stacked) ─── */}
         <div className={styles.overlayToggles} style={{ flexDirection: 'column', gap: '4px' }}>
           <button
@@ -440,9 +537,19 @@ export function PresenterView({
               opacity: currentSlide.showQR !== undefined || currentSlide.showLowerThird ? 1 : 0.4,
               padding: '6px 12px', fontSize: '11px',
             }}
-            title="Toggle QR Code (Q)"
+            title={[
+              `Toggle QR Code (${keyHint('overlay.qr')})`,
+              ...(currentSlide.qrCampaigns || []).map(c => c.url),
+              ...(scanCounts ? [`${showScans} scan${showScans === 1 ? '' : 's'} this show`] : []),
+            ].join('\n')}
           >
             QR Code
+            {currentSlide.qrCampaigns?.length > 0 && (
+              <span style={{ opacity: 0.7, marginLeft: '4px' }}>
+                · {currentSlide.qrCampaigns.map(c => c.key).join(' / ')}
+                {scanCounts && ` · ${segmentScans} scan${segmentScans === 1 ? '' : 's'}`}
+              </span>
+            )}
           </button>
           <button
             onClick={toggleLowerThird}
@@ -451,10 +558,20 @@ export function PresenterView({
               opacity: currentSlide.showLowerThird ? 1 : 0.4,
               padding: '6px 12px', fontSize: '11px',
             }}
-            title="Toggle Lower-Third (L)"
+            title={`Toggle Lower-Third (${keyHint('overlay.lowerThird')})`}
           >
             Lower-Third
           </button>
+          {scoreboard && (
+            <button
+              onClick={toggleScoreboard}
+              className={`${styles.toggleButton} ${showScoreboard ? styles.active : ''}`}
+              style={{ padding: '6px 12px', fontSize: '11px' }}
+              title={`Toggle Debate Scoreboard (${keyHint('scoreboard.toggle')})`}
+            >
+              Scoreboard
+            </button>
+          )}
         </div>
 
         {/* ─── Group 6: Open windows (stacked) ─── */}
@@ -486,6 +603,28 @@ export function PresenterView({
           </button>
         </div>
 
+        {exportAsRun && (
+          <button
+            onClick={exportAsRun}
+            className={styles.navButton}
+            title="Download the as-run log (CSV) — the show's admin page has the planned vs actual report"
+            style={{ opacity: 0.35, padding: '6px 8px' }}
+          >
+            <FileDown size={14} />
+          </button>
+        )}
+
+        {resetSession && (
+          <button
+            onClick={resetSession}
+            className={styles.navButton}
+            title="Reset session — back to slide 1, clock stopped"
+            style={{ opacity: 0.35, padding: '6px 8px' }}
+          >
+            <RotateCcw size={14} />
+          </button>
+        )}
+
         <Link
           to="/admin"
           className={styles.navButton}
@@ -498,65 +637,12 @@ export function PresenterView({
 
       {/* Keyboard shortcut overlay — press ? to toggle */}
       {showShortcuts && (
-        <div
-          style={{
-            position: 'fixed', inset: 0,
-            background: 'rgba(0, 0, 0, 0.85)',
-            backdropFilter: 'blur(8px)',
-            zIndex: 100,
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'center',
-          }}
-          onClick={() => setShowShortcuts(false)}
-        >
-          <div style={{
-            background: '#1a1a1a',
-            border: '1px solid rgba(255,255,255,0.15)',
-            borderRadius: '16px',
-            padding: '32px 40px',
-            maxWidth: '520px',
-            width: '90%',
-          }}
-            onClick={e => e.stopPropagation()}
-          >
-            <h2 style={{ fontSize: '20px', fontWeight: 700, color: '#f97316', marginBottom: '20px' }}>
-              Keyboard Shortcuts
-            </h2>
-            <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: '8px 20px' }}>
-              {[
-                ['← →', 'Previous / Next slide'],
-                ['Home', 'First slide'],
-                ['End', 'Last slide'],
-                ['A', 'Toggle Auto / Manual mode'],
-                ['G', 'Toggle portfolio Grid / Fullscreen'],
-                ['Q', 'Toggle QR Code overlay'],
-                ['L', 'Toggle Lower-Third overlay'],
-                ['?', 'Show / hide this shortcut guide'],
-                ['Esc', 'Close this overlay'],
-              ].map(([key, desc]) => (
-                <React.Fragment key={key}>
-                  <kbd style={{
-                    background: '#2a2a2a',
-                    border: '1px solid #444',
-                    borderRadius: '4px',
-                    padding: '3px 8px',
-                    fontSize: '13px',
-                    fontFamily: 'monospace',
-                    color: '#fff',
-                    textAlign: 'center',
-                    minWidth: '40px',
-                    whiteSpace: 'nowrap',
-                  }}>{key}</kbd>
-                  <span style={{ fontSize: '14px', color: '#ccc', display: 'flex', alignItems: 'center' }}>{desc}</span>
-                </React.Fragment>
-              ))}
-            </div>
-            <div style={{ marginTop: '20px', fontSize: '12px', color: '#666', textAlign: 'center' }}>
-              Click a segment in the timeline to jump to it
-            </div>
-          </div>
-        </div>
+        <ShortcutsOverlay
+          scope="presenter"
+          hiddenGroups={scoreboard ? [] : ['Scoreboard']}
+          footer="Click a segment in the timeline to jump to it"
+          onClose={() => setShowShortcuts(false)}
+        />
       )}
     </div>
   );
@@ -567,23 +653,19 @@ export function PresenterView({
  * and a scrollable segment list showing all segments with timing.
  *
  * Layout (top to bottom):
+ *   - Back-timing: projected end vs the out time, and optional entries
+ *     to drop when it runs over (lib/backTiming)
  *   - Timeline bar (proportional colored blocks + playhead)
  *   - Time marks
- *   - Full segment list (auto-scrolls to current segment)
+ *   - Full segment list (auto-scrolls to current segment), with the running
+ *     over/under on segments that have aired
  */
-function ShowTimeline({ slides, currentSlideIndex, slideElapsedMs = 0, onJumpToSlide }) {
+function ShowTimeline({ slides, currentSlideIndex, slideElapsedMs = 0, showElapsedMs = 0, targetMs = 0, skippedEntries = [], onJumpToSlide }) {
   const listRef = useRef(null);
   const currentRowRef = useRef(null);
-
-  const TYPE_COLORS = {
-    title: '#f97316',
-    portfolio: '#3b82f6',
-    education: '#10b981',
-    script: '#a855f7',
-    intro: '#eab308',
-    bumper: '#6b7280',
-    outro: '#eab308',
-  };
+  // Show clock when each segment was left, for its actual over/under
+  const segmentEndsRef = useRef({});
+  const prevSegmentRef = useRef(null);
 
   // Total show duration from sum of all slide durations
   const totalMs = slides.reduce((sum, s) => sum + (s.durationMs || 0), 0);
@@ -605,7 +687,7 @@ function ShowTimeline({ slides, currentSlideIndex, slideElapsedMs = 0, onJumpToS
   // Group consecutive slides with the same rundownLabel into segments
   const segments = [];
   for (let i = 0; i < slides.length; i++) {
-    const label = slides[i].rundownLabel || slides[i].segment || slides[i].title || '';
+    const label = segmentLabel(slides[i]);
     const last = segments[segments.length - 1];
     if (last && last.label === label) {
       last.endIndex = i;
@@ -644,6 +726,23 @@ function ShowTimeline({ slides, currentSlideIndex, slideElapsedMs = 0, onJumpToS
     seg => currentSlideIndex >= seg.startIndex && currentSlideIndex <= seg.endIndex
   );
 
+  // Back-timing: where the show lands at this pace, and what to cut if over
+  const timing = backTime(slides, currentSlideIndex, slideElapsedMs, showElapsedMs, targetMs || totalMs, skippedEntries);
+  const drops = suggestDrops(dropCandidates(slides, currentSlideIndex, skippedEntries), timing.overUnderMs);
+  const droppedEntries = new Set(drops.map(d => d.rundownIndex));
+  const savedMs = drops.reduce((sum, d) => sum + d.durationMs, 0);
+
+  useEffect(() => {
+    const prev = prevSegmentRef.current;
+    prevSegmentRef.current = currentSegmentIdx;
+    if (prev === null || prev === currentSegmentIdx) return;
+    if (showElapsedMs > 0) {
+      segmentEndsRef.current[prev] = showElapsedMs;
+    } else {
+      segmentEndsRef.current = {}; // clock reset
+    }
+  }, [currentSegmentIdx]);
+
   // Auto-scroll horizontally to keep current segment visible
   useEffect(() => {
     if (currentRowRef.current && listRef.current) {
@@ -669,6 +768,23 @@ function ShowTimeline({ slides, currentSlideIndex, slideElapsedMs = 0, onJumpToS
       overflow: 'hidden',
       gap: '4px',
     }}>
+      {/* Back-timing */}
+      {totalMs > 0 && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '10px', fontSize: '11px', fontFamily: 'monospace', color: '#888', flexShrink: 0, whiteSpace: 'nowrap', overflow: 'hidden' }}>
+          <span>Out {formatMsToTimeCode(timing.targetMs)}</span>
+          <span>Projected {formatMsToTimeCode(timing.projectedEndMs)}</span>
+          <span style={{ fontWeight: 700, color: overUnderColor(timing.overUnderMs) }}>
+            {formatOverUnder(timing.overUnderMs)}
+          </span>
+          {drops.length > 0 && (
+            <span style={{ color: '#fca5a5', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+              Drop {drops.map(d => `${d.label} (${formatMsToTimeCode(d.durationMs)})`).join(', ')}
+              {' → '}{formatOverUnder(timing.overUnderMs - savedMs)}
+            </span>
+          )}
+        </div>
+      )}
+
       {/* Timeline bar */}
       <div style={{ position: 'relative', height: '24px', borderRadius: '3px', overflow: 'hidden', background: '#1a1a1a', flexShrink: 0 }}>
         <div style={{ display: 'flex', height: '100%' }}>
@@ -676,7 +792,7 @@ function ShowTimeline({ slides, currentSlideIndex, slideElapsedMs = 0, onJumpToS
             const widthPct = totalMs > 0 ? ((slide.durationMs || 0) / totalMs) * 100 : 0;
             const isCurrent = i === currentSlideIndex;
             const isPast = i < currentSlideIndex;
-            const baseColor = TYPE_COLORS[slide.type] || '#555';
+            const baseColor = slideColor(slide.type);
             return (
               <div
                 key={i}
@@ -760,10 +876,22 @@ function ShowTimeline({ slides, currentSlideIndex, slideElapsedMs = 0, onJumpToS
             ? cumulativeMs[currentSlideIndex] - seg.startMs + slideElapsedMs
             : 0;
           const segOvertime = isCurrent && seg.durationMs > 0 && segElapsedMs > seg.durationMs;
+          // Running over/under at the segment's end: as it aired for past
+          // segments, as projected for the current one (the first slide airs
+          // before the show clock starts, so its time is added back)
+          const segEndMs = segmentEndsRef.current[i];
+          const segRunningMs = isCurrent && showElapsedMs > 0
+            ? timing.runningMs
+            : isPast && segEndMs !== undefined
+              ? segEndMs + (slides[0]?.durationMs || 0) - (seg.startMs + seg.durationMs)
+              : null;
+          const segSlides = slides.slice(seg.startIndex, seg.endIndex + 1);
+          const segSkipped = !isCurrent && segSlides.every(s => isSkipped(s, skippedEntries));
+          const segDrop = !isPast && !isCurrent && segSlides.some(s => droppedEntries.has(s.rundownIndex));
 
           // Width proportional to duration, with a minimum so labels are readable
           const widthPct = totalMs > 0 ? (seg.durationMs / totalMs) * 100 : (100 / segments.length);
-          const primaryColor = TYPE_COLORS[seg.types[0]] || '#555';
+          const primaryColor = slideColor(seg.types[0]);
 
           return (
             <div
@@ -779,7 +907,10 @@ function ShowTimeline({ slides, currentSlideIndex, slideElapsedMs = 0, onJumpToS
                 borderRadius: '4px',
                 background: isCurrent ? 'rgba(249, 115, 22, 0.15)' : '#141414',
                 borderTop: `3px solid ${isCurrent ? '#f97316' : primaryColor}`,
-                opacity: isPast ? 0.4 : 1,
+                outline: segDrop ? '1px dashed #ef4444' : 'none',
+                outlineOffset: '-1px',
+                opacity: isPast || segSkipped ? 0.4 : 1,
+                textDecoration: segSkipped ? 'line-through' : 'none',
                 transition: 'all 0.2s',
                 overflow: 'hidden',
                 position: 'relative',
@@ -797,8 +928,14 @@ function ShowTimeline({ slides, currentSlideIndex, slideElapsedMs = 0, onJumpToS
                 }} />
               )}
 
-              {/* Top row: time code + type badges */}
+              {/* Top row: thumbnail + time code + type badges */}
               <div style={{ display: 'flex', alignItems: 'center', gap: '4px', marginBottom: '2px', position: 'relative' }}>
+                <div style={{
+                  width: '32px', height: '18px', flexShrink: 0,
+                  borderRadius: '2px', overflow: 'hidden', background: '#1a1a1a',
+                }}>
+                  {renderSlideThumbnail(slides[seg.startIndex])}
+                </div>
                 <span style={{
                   fontSize: '10px', fontFamily: 'monospace', color: '#555',
                 }}>
@@ -807,7 +944,7 @@ function ShowTimeline({ slides, currentSlideIndex, slideElapsedMs = 0, onJumpToS
                 {seg.types.map((t, ti) => (
                   <span key={ti} style={{
                     display: 'inline-block', width: '6px', height: '6px',
-                    borderRadius: '2px', background: TYPE_COLORS[t] || '#555',
+                    borderRadius: '2px', background: slideColor(t),
                   }} />
                 ))}
               </div>
@@ -858,8 +995,23 @@ function ShowTimeline({ slides, currentSlideIndex, slideElapsedMs = 0, onJumpToS
                 </div>
               )}
 
-              {/* Bottom row: duration */}
+              {/* Bottom row: over/under + duration */}
               <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end', gap: '4px', marginTop: 'auto', paddingTop: '2px', position: 'relative' }}>
+                {segDrop && (
+                  <span style={{ fontSize: '9px', fontWeight: 700, color: '#ef4444', marginRight: 'auto' }}>
+                    DROP?
+                  </span>
+                )}
+                {segSkipped && (
+                  <span style={{ fontSize: '9px', fontWeight: 700, color: '#888', marginRight: 'auto' }}>
+                    DROPPED
+                  </span>
+                )}
+                {segRunningMs !== null && (
+                  <span style={{ fontSize: '10px', fontFamily: 'monospace', color: overUnderColor(segRunningMs), marginRight: 'auto' }}>
+                    {formatOverUnder(segRunningMs, true)}
+                  </span>
+                )}
                 <span style={{
                   fontSize: '10px', fontFamily: 'monospace',
                   color: segOvertime ? '#ef4444' : isCurrent ? '#f97316' : '#555',
@@ -878,10 +1030,23 @@ function ShowTimeline({ slides, currentSlideIndex, slideElapsedMs = 0, onJumpToS
   );
 }
 
+/** Within a second counts as on time. */
+function overUnderColor(ms) {
+  return ms >= 1000 ? '#ef4444' : ms <= -1000 ? '#22c55e' : '#888';
+}
+
+/** "+2:30 OVER" / "−0:45 UNDER" / "ON TIME"; short form drops the word. */
+function formatOverUnder(ms, short = false) {
+  if (Math.abs(ms) < 1000) return short ? '±0:00' : 'ON TIME';
+  const sign = ms > 0 ? '+' : '−';
+  const text = `${sign}${formatMsToTimeCode(Math.abs(ms))}`;
+  return short ? text : `${text} ${ms > 0 ? 'OVER' : 'UNDER'}`;
+}
+
 /**
  * Render slide preview (scaled down for presenter view)
  */
-function renderSlidePreview(slide, size = 'current', portfolioLayout = 'grid', selectedImage = null, onSelectImage = null) {
+function renderSlidePreview(slide, size = 'current', portfolioLayout = 'grid', selectedImage = null, onSelectImage = null, stage = 0) {
   const scale = size === 'current' ? 0.5 : 0.35;
   const interactive = size === 'current';
 
@@ -895,82 +1060,7 @@ function renderSlidePreview(slide, size = 'current', portfolioLayout = 'grid', s
         pointerEvents: interactive ? 'auto' : 'none'
       }}
     >
-      {renderSlide(slide, portfolioLayout, selectedImage, onSelectImage)}
+      {renderSlide(slide, { stage, portfolioLayout, selectedImage, onSelectImage })}
     </div>
   );
 }
-
-function renderSlide(slide, portfolioLayout = 'grid', selectedImage = null, onSelectImage = null) {
-  switch (slide.type) {
-    case 'title':
-      return (
-        <TitleCard
-          title={slide.title}
-          episodeNumber={slide.episodeNumber}
-          airDate={slide.airDate}
-          host={slide.host}
-        />
-      );
-
-    case 'portfolio':
-      return (
-        <PortfolioSlide
-          artistName={slide.artistName}
-          artistStyle={slide.artistStyle}
-          artistLocation={slide.artistLocation}
-          artistInstagram={slide.artistInstagram}
-          images={slide.images}
-          range={slide.range}
-          autoAdvance={slide.autoAdvance || false}
-          autoAdvanceMs={slide.autoAdvanceMs || 20000}
-          layout={portfolioLayout}
-          selectedImage={selectedImage}
-          onSelectImage={onSelectImage}
-        />
-      );
-
-    case 'education':
-      return (
-        <EducationSlide
-          slideNumber={slide.slideNumber}
-          title={slide.title}
-          visual={slide.visual}
-          keyPoints={slide.keyPoints}
-          stats={slide.stats}
-          layout={slide.layout}
-        />
-      );
-
-    case 'script':
-      return (
-        <ScriptSlide
-          script={{
-            segment: slide.segment,
-            timeCode: slide.timeCode,
-            title: slide.title,
-            type: slide.scriptType,
-            talkingPoints: slide.talkingPoints,
-            notes: slide.notes,
-            cue: slide.cue
-          }}
-        />
-      );
-
-    default:
-      return (
-        <div
-          style={{
-            width: '100%',
-            height: '100%',
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'center',
-            background: '#0a0a0a',
-            color: '#666'
-          }}
-        >
-          <div style={{ fontSize: '24px' }}>Unknown slide type: {slide.type}</div>
-        </div>
-      );
-  }
-}
@@ -1,8 +1,112 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { encodeQr, drawQr, logoArea, qrSvgPath } from '../../lib/qrcode';
+import { BRAND } from '../../lib/brand';
+import { mintShortLink } from '../../lib/shortLinks';
+
+/**
+ * QRImage - A QR code drawn in the browser (lib/qrcode), no network needed
+ *
+ * Renders as inline SVG by default, or to a canvas with renderAs="canvas".
+ * `color` tints the modules (keep it dark — scanners need the contrast);
+ * `logo` puts the TattooNOW mark in the middle and encodes with enough
+ * error correction to cover it.
+ */
+export function QRImage({
+  value,
+  size = 200,
+  level = 'M', // 'L', 'M', 'Q', 'H' — minimum; raised to Q with a logo
+  margin = 4, // quiet zone, in modules
+  color = '#000',
+  background = '#fff',
+  logo = false,
+  renderAs = 'svg', // 'svg' or 'canvas'
+  className,
+  title,
+}) {
+  const canvasRef = useRef(null);
+  const qr = useMemo(() => {
+    try {
+      return encodeQr(value, { ecl: level, logo });
+    } catch (error) {
+      console.error('QR encode failed:', error);
+      return null;
+    }
+  }, [value, level, logo]);
+
+  useEffect(() => {
+    if (renderAs === 'canvas' && qr && canvasRef.current) {
+      drawQr(canvasRef.current, qr, size, { margin, dark: color, light: background, logo });
+    }
+  }, [renderAs, qr, size, margin, color, background, logo]);
+
+  if (!qr) return null;
+
+  if (renderAs === 'canvas') {
+    return (
+      <canvas
+        ref={canvasRef}
+        role="img"
+        aria-label={title}
+        className={className}
+        style={{ width: size, height: size }}
+      />
+    );
+  }
+
+  const full = qr.size + margin * 2;
+  const area = logo ? logoArea(qr) : null;
+  return (
+    <svg
+      viewBox={`0 0 ${full} ${full}`}
+      width={size}
+      height={size}
+      shapeRendering="crispEdges"
+      role="img"
+      aria-label={title}
+      className={className}
+    >
+      <rect width={full} height={full} fill={background} />
+      <path d={qrSvgPath(qr, margin, area)} fill={color} />
+      {area && <QRLogo x={area.start + margin} size={area.size} background={background} />}
+    </svg>
+  );
+}
+
+/**
+ * QRLogo - The TattooNOW mark for the middle of a QR code (SVG units)
+ */
+function QRLogo({ x, size, background }) {
+  const pad = size * 0.08;
+  return (
+    <g>
+      <rect x={x} y={x} width={size} height={size} fill={background} />
+      <rect
+        x={x + pad}
+        y={x + pad}
+        width={size - pad * 2}
+        height={size - pad * 2}
+        rx={size * 0.18}
+        fill={BRAND.colors.primary}
+      />
+      <text
+        x={x + size / 2}
+        y={x + size / 2}
+        textAnchor="middle"
+        dominantBaseline="central"
+        fill="#fff"
+        fontWeight={800}
+        fontSize={size * 0.42}
+        style={{ fontFamily: BRAND.fonts.heading }}
+      >
+        TN
+      </text>
+    </g>
+  );
+}
 
 /**
  * QRCode - Dynamic QR code display
- * Supports both in-browser generation and HighLevel API
+ * Generated in the browser (QRImage), or the HighLevel image when given one.
  * Can be toggled on/off via Stream Deck or keyboard
  */
 export function QRCode({
@@ -11,26 +115,11 @@ export function QRCode({
   highlevelUrl = null, // If provided, use HighLevel QR code instead of generating
   display = true,
   position = 'bottom-right', // 'bottom-right', 'bottom-left', 'top-right', 'top-left'
-  size = 200
+  size = 200,
+  color = '#000', // module colour for the generated code
+  logo = false // TattooNOW mark in the centre of the generated code
 }) {
-  const [qrCodeUrl, setQrCodeUrl] = useState(null);
-
-  useEffect(() => {
-    if (!url && !highlevelUrl) return;
-
-    // If HighLevel URL is provided, use it directly
-    if (highlevelUrl) {
-      setQrCodeUrl(highlevelUrl);
-      return;
-    }
-
-    // Otherwise, generate QR code using a public API (can be replaced with library)
-    // Using qrcode.react library would be better, but this works for now
-    const qrApiUrl = `https://api.qrserver.com/v1/create-qr-code/?size=${size}x${size}&data=${encodeURIComponent(url)}`;
-    setQrCodeUrl(qrApiUrl);
-  }, [url, highlevelUrl, size]);
-
-  if (!display || !qrCodeUrl) return null;
+  if (!display || (!url && !highlevelUrl)) return null;
 
   const positionClasses = {
     'bottom-right': 'bottom-16 right-16',
@@ -49,13 +138,25 @@ export function QRCode({
       {/* QR Code card */}
       <div className="bg-white p-6 rounded-lg shadow-2xl border-4 brand-border">
         {/* QR Code image */}
-        <img
-          src={qrCodeUrl}
-          alt={`QR Code for ${url}`}
-          width={size}
-          height={size}
-          className="rounded"
-        />
+        {highlevelUrl ? (
+          <img
+            src={highlevelUrl}
+            alt={`QR Code for ${url}`}
+            width={size}
+            height={size}
+            className="rounded"
+          />
+        ) : (
+          <QRImage
+            value={url}
+            size={size}
+            color={color}
+            logo={logo}
+            margin={2}
+            title={`QR Code for ${url}`}
+            className="rounded"
+          />
+        )}
 
         {/* Message/CTA */}
         {message && (
@@ -75,8 +176,41 @@ export function QRCode({
 }
 
 /**
- * QRCodeWithTracking - HighLevel integration wrapper
- * Generates trackable QR codes via HighLevel API
+ * useTrackedLink - The short link (lib/shortLinks) for a campaign's target
+ * URL. `link` stays null when the short-link API isn't running; `loading`
+ * holds until the answer is in, so a QR never swaps its code mid-scan.
+ */
+export function useTrackedLink(targetUrl, campaignName) {
+  const [link, setLink] = useState(null);
+  const [loading, setLoading] = useState(!!(targetUrl && campaignName));
+
+  useEffect(() => {
+    if (!targetUrl || !campaignName) {
+      setLink(null);
+      setLoading(false);
+      return;
+    }
+    let cancelled = false;
+    setLoading(true);
+    mintShortLink(targetUrl, campaignName).then((result) => {
+      if (cancelled) return;
+      if (!result.ok && result.error.code !== 'unavailable') {
+        console.error('Failed to generate tracked QR code:', result.error.message);
+      }
+      setLink(result.ok ? result : null);
+      setLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [targetUrl, campaignName]);
+
+  return { link, loading };
+}
+
+/**
+ * QRCodeWithTracking - A QR code that counts its scans
+ * Encodes a short link from the short-link API (useTrackedLink), which logs
+ * each scan against campaignName before redirecting to targetUrl. Falls back
+ * to encoding targetUrl directly when the API isn't running.
  */
 export function QRCodeWithTracking({
   targetUrl,
@@ -84,52 +218,22 @@ export function QRCodeWithTracking({
   message,
   display = true,
   position = 'bottom-right',
-  size = 200
+  size = 200,
+  logo = false
 }) {
-  const [highlevelUrl, setHighlevelUrl] = useState(null);
-  const [loading, setLoading] = useState(true);
-
-  useEffect(() => {
-    async function generateHighLevelQR() {
-      try {
-        // Call HighLevel API to generate trackable QR code
-        // This would be replaced with actual HighLevel API integration
-        const response = await fetch('/api/highlevel/generate-qr', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            targetUrl,
-            campaignName,
-            trackingEnabled: true
-          })
-        });
-
-        const data = await response.json();
-        setHighlevelUrl(data.qrCodeUrl);
-      } catch (error) {
-        console.error('Failed to generate HighLevel QR code:', error);
-        // Fallback to regular QR code
-        setHighlevelUrl(null);
-      } finally {
-        setLoading(false);
-      }
-    }
-
-    if (targetUrl && campaignName) {
-      generateHighLevelQR();
-    }
-  }, [targetUrl, campaignName]);
+  const { link, loading } = useTrackedLink(targetUrl, campaignName);
 
   if (loading) return null;
 
   return (
     <QRCode
-      url={targetUrl}
-      highlevelUrl={highlevelUrl}
+      url={link?.shortUrl || targetUrl}
+      highlevelUrl={link?.qrCodeUrl || null}
       message={message}
       display={display}
       position={position}
       size={size}
+      logo={logo}
     />
   );
 }
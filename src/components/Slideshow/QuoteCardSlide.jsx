@@ -0,0 +1,154 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { BRAND } from '../../lib/brand';
+
+/**
+ * QuoteCardSlide - Text Q&A answer typeset as a broadcast quote card
+ *
+ * The question sits above the answer; the tape's pullQuote is highlighted
+ * inside the answer with a marker sweep once the text has landed. If the
+ * pull quote isn't a verbatim part of this card's text it is set on its own
+ * below the answer instead. Long answers arrive pre-split by the builder
+ * (`part` / `parts`), so font size only has to cope with one card's worth.
+ *
+ * Props:
+ *   question, answer, pullQuote
+ *   part, parts   - position of this card within a split answer
+ *   guestName     - attribution line
+ *   images[]      - optional thumbnail URLs shown alongside
+ */
+export function QuoteCardSlide({ question, answer = '', pullQuote, part = 1, parts = 1, guestName, images = [] }) {
+  const quoteAt = pullQuote ? answer.indexOf(pullQuote) : -1;
+  const standaloneQuote = pullQuote && quoteAt === -1 && part === parts;
+  const fontSize = answer.length < 120 ? 56 : answer.length < 200 ? 48 : 42;
+
+  return (
+    <div
+      style={{
+        width: '100%',
+        height: '100%',
+        background: `linear-gradient(135deg, ${BRAND.colors.dark} 0%, #10232a 100%)`,
+        padding: '80px 100px',
+        display: 'flex',
+        gap: '64px',
+        fontFamily: BRAND.fonts.body,
+        color: BRAND.colors.text,
+      }}
+    >
+      <div style={{ flex: 1, display: 'flex', flexDirection: 'column', justifyContent: 'center', minWidth: 0 }}>
+        {/* Question */}
+        <motion.div
+          initial={{ opacity: 0, y: -16 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.4 }}
+          style={{
+            fontSize: '32px',
+            fontFamily: BRAND.fonts.heading,
+            color: BRAND.colors.primary,
+            lineHeight: 1.3,
+            marginBottom: '48px',
+          }}
+        >
+          {question}
+          {parts > 1 && (
+            <span style={{ marginLeft: '16px', fontSize: '22px', color: BRAND.colors.textMuted }}>
+              {part}/{parts}
+            </span>
+          )}
+        </motion.div>
+
+        {/* Answer */}
+        <motion.blockquote
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          transition={{ duration: 0.6, delay: 0.2 }}
+          style={{
+            margin: 0,
+            fontSize: `${fontSize}px`,
+            lineHeight: 1.35,
+            borderLeft: `6px solid ${BRAND.colors.accentLight}`,
+            paddingLeft: '40px',
+          }}
+        >
+          {quoteAt === -1 ? answer : (
+            <>
+              {answer.slice(0, quoteAt)}
+              <motion.span
+                initial={{ backgroundSize: '0% 100%' }}
+                animate={{ backgroundSize: '100% 100%' }}
+                transition={{ duration: 1.2, delay: 1, ease: 'easeInOut' }}
+                style={{
+                  backgroundImage: 'linear-gradient(hsl(25 95% 53% / 0.35), hsl(25 95% 53% / 0.35))',
+                  backgroundRepeat: 'no-repeat',
+                  boxDecorationBreak: 'clone',
+                  WebkitBoxDecorationBreak: 'clone',
+                  fontWeight: 700,
+                  color: 'white',
+                }}
+              >
+                {pullQuote}
+              </motion.span>
+              {answer.slice(quoteAt + pullQuote.length)}
+            </>
+          )}
+        </motion.blockquote>
+
+        {/* Paraphrased pull quote */}
+        {standaloneQuote && (
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            transition={{ duration: 0.6, delay: 1.2 }}
+            style={{
+              marginTop: '48px',
+              fontSize: '44px',
+              fontWeight: 700,
+              fontFamily: BRAND.fonts.heading,
+              color: BRAND.colors.primary,
+            }}
+          >
+            “{pullQuote}”
+          </motion.div>
+        )}
+
+        {guestName && (
+          <div style={{ marginTop: '40px', fontSize: '26px', color: BRAND.colors.textMuted }}>
+            — {guestName}
+          </div>
+        )}
+      </div>
+
+      {/* Referenced portfolio images */}
+      {images.length > 0 && (
+        <motion.div
+          initial={{ opacity: 0, x: 24 }}
+          animate={{ opacity: 1, x: 0 }}
+          transition={{ duration: 0.5, delay: 0.4 }}
+          style={{
+            width: '440px',
+            flexShrink: 0,
+            display: 'flex',
+            flexDirection: 'column',
+            justifyContent: 'center',
+            gap: '24px',
+          }}
+        >
+          {images.slice(0, 2).map((url, i) => (
+            <img
+              key={i}
+              src={url}
+              alt=""
+              style={{
+                width: '100%',
+                maxHeight: images.length > 1 ? '440px' : '880px',
+                objectFit: 'cover',
+                borderRadius: '12px',
+                border: `2px solid ${BRAND.colors.border}`,
+              }}
+            />
+          ))}
+        </motion.div>
+      )}
+    </div>
+  );
+}
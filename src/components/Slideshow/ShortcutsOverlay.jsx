@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import { useKeymap } from '../../hooks/useShortcuts';
+import {
+  chordFromEvent, findConflicts, keysLabel, loadOverrides, resetKeymap, setShortcutKeys,
+} from '../../lib/keymap';
+
+const kbdStyle = {
+  background: '#2a2a2a',
+  border: '1px solid #444',
+  borderRadius: '4px',
+  padding: '3px 8px',
+  fontSize: '13px',
+  fontFamily: 'monospace',
+  color: '#fff',
+  textAlign: 'center',
+  minWidth: '40px',
+  whiteSpace: 'nowrap',
+};
+
+/**
+ * Overlay rows for a scope: one row per shortcut, families (the 1–9 votes)
+ * folded into one row, grouped under their headings in keymap order.
+ */
+function overlayGroups(keymap, scope, hiddenGroups) {
+  const groups = [];
+  for (const def of keymap) {
+    if (!def.scopes.includes(scope) || hiddenGroups.includes(def.group)) continue;
+    let group = groups.find(g => g.name === def.group);
+    if (!group) {
+      group = { name: def.group, rows: [] };
+      groups.push(group);
+    }
+    const row = def.family && group.rows.find(r => r.family === def.family);
+    if (row) {
+      row.ids.push(def.id);
+      row.keys.push(...def.keys);
+    } else {
+      group.rows.push({ family: def.family, ids: [def.id], keys: [...def.keys], description: def.description });
+    }
+  }
+  return groups;
+}
+
+/**
+ * ShortcutsOverlay - The `?` guide, generated from the keymap
+ *
+ * Click a key to rebind that shortcut (Esc cancels); the change is saved to
+ * localStorage for every window. Keys bound twice within this scope are
+ * flagged in red. Families like the 1–9 votes are listed but rebound only
+ * by editing the saved keymap.
+ */
+export function ShortcutsOverlay({ scope, hiddenGroups = [], footer, onClose }) {
+  const keymap = useKeymap();
+  const [recording, setRecording] = useState(null);
+
+  // Capture the next key press for the shortcut being rebound, before the
+  // window's own shortcut handlers see it
+  useEffect(() => {
+    if (!recording) return;
+    const onKeyDown = (e) => {
+      const chord = chordFromEvent(e);
+      if (!chord) return;
+      e.preventDefault();
+      e.stopPropagation();
+      if (chord !== 'Escape') setShortcutKeys(recording, [chord]);
+      setRecording(null);
+    };
+    window.addEventListener('keydown', onKeyDown, true);
+    return () => window.removeEventListener('keydown', onKeyDown, true);
+  }, [recording]);
+
+  const conflicts = findConflicts(keymap).filter(c => c.scope === scope);
+  const conflictFor = (ids) => conflicts.find(c => c.ids.some(id => ids.includes(id)));
+  const hasOverrides = Object.keys(loadOverrides()).length > 0;
+  const groups = overlayGroups(keymap, scope, hiddenGroups);
+
+  return (
+    <div
+      style={{
+        position: 'fixed', inset: 0,
+        background: 'rgba(0, 0, 0, 0.85)',
+        backdropFilter: 'blur(8px)',
+        zIndex: 100,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+      }}
+      onClick={onClose}
+    >
+      <div style={{
+        background: '#1a1a1a',
+        border: '1px solid rgba(255,255,255,0.15)',
+        borderRadius: '16px',
+        padding: '32px 40px',
+        maxWidth: '560px',
+        width: '90%',
+        maxHeight: '90vh',
+        overflowY: 'auto',
+      }}
+        onClick={e => e.stopPropagation()}
+      >
+        <h2 style={{ fontSize: '20px', fontWeight: 700, color: '#f97316', marginBottom: '20px' }}>
+          Keyboard Shortcuts
+        </h2>
+
+        {groups.map(group => (
+          <div key={group.name} style={{ marginBottom: '16px' }}>
+            <div style={{ fontSize: '11px', color: '#888', textTransform: 'uppercase', letterSpacing: '0.1em', marginBottom: '8px' }}>
+              {group.name}
+            </div>
+            <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: '8px 20px' }}>
+              {group.rows.map(row => {
+                const conflict = conflictFor(row.ids);
+                const isRecording = recording === row.ids[0];
+                return (
+                  <React.Fragment key={row.ids[0]}>
+                    <kbd
+                      onClick={row.family ? undefined : () => setRecording(isRecording ? null : row.ids[0])}
+                      title={conflict
+                        ? `${conflict.chord} is also bound to ${conflict.ids.filter(id => !row.ids.includes(id)).join(', ')}`
+                        : row.family ? undefined : 'Click to rebind'}
+                      style={{
+                        ...kbdStyle,
+                        cursor: row.family ? 'default' : 'pointer',
+                        borderColor: isRecording ? '#f97316' : conflict ? '#ef4444' : '#444',
+                        color: conflict ? '#fca5a5' : '#fff',
+                      }}
+                    >
+                      {isRecording ? 'Press a key…' : keysLabel(row.keys) || '—'}
+                    </kbd>
+                    <span style={{ fontSize: '14px', color: '#ccc', display: 'flex', alignItems: 'center' }}>
+                      {row.description}
+                    </span>
+                  </React.Fragment>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+
+        {conflicts.length > 0 && (
+          <div style={{ marginTop: '12px', fontSize: '12px', color: '#fca5a5' }}>
+            {conflicts.length} key{conflicts.length === 1 ? ' is' : 's are'} bound twice — the first shortcut listed wins.
+          </div>
+        )}
+
+        <div style={{ marginTop: '20px', fontSize: '12px', color: '#666', textAlign: 'center' }}>
+          {footer}
+          {footer && ' · '}
+          Click a key to rebind
+          {hasOverrides && (
+            <>
+              {' · '}
+              <button onClick={resetKeymap} style={{ color: '#f97316', textDecoration: 'underline' }}>
+                Reset to defaults
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
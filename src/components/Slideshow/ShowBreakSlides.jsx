@@ -1,4 +1,5 @@
 import React from 'react';
+import { motion } from 'framer-motion';
 
 /**
  * IntroSlide - "Starting Soon" / pre-show holding slide
@@ -35,8 +36,16 @@ export function IntroSlide({ episodeTitle, episodeNumber, host, airDate }) {
 
 /**
  * BumperSlide - Ad break / sponsor interstitial between segments
+ *
+ * With `sting` it's the short animated transition a rundown bumper entry
+ * plays instead: the kicker and next segment label sweep in and a brand bar
+ * fills over `durationMs`, after which the slide advances on its own.
  */
-export function BumperSlide({ message, qrUrl, qrMessage, nextSegmentLabel }) {
+export function BumperSlide({ message, qrUrl, qrMessage, nextSegmentLabel, sting = false, kicker, durationMs = 5000 }) {
+  if (sting) {
+    return <BumperSting kicker={kicker} nextSegmentLabel={nextSegmentLabel} durationMs={durationMs} />;
+  }
+
   return (
     <div className="slideshow-container flex items-center justify-center">
       <div className="absolute inset-0" style={{
@@ -80,6 +89,66 @@ export function BumperSlide({ message, qrUrl, qrMessage, nextSegmentLabel }) {
   );
 }
 
+function BumperSting({ kicker, nextSegmentLabel, durationMs }) {
+  const seconds = Math.max(durationMs, 1000) / 1000;
+
+  return (
+    <div className="slideshow-container flex items-center justify-center overflow-hidden">
+      {/* Brand wipe across the frame as the sting opens */}
+      <motion.div
+        className="absolute inset-0 brand-gradient"
+        initial={{ x: '-100%', opacity: 0.9 }}
+        animate={{ x: '100%', opacity: 0.9 }}
+        transition={{ duration: Math.min(0.9, seconds / 3), ease: 'easeInOut' }}
+      />
+      <div className="absolute inset-0" style={{
+        background: 'radial-gradient(ellipse at center, rgba(234,147,32,0.1) 0%, transparent 70%)',
+      }} />
+
+      <div className="relative z-10 text-center px-16 max-w-5xl">
+        <motion.div
+          className="text-3xl text-muted-foreground tracking-widest uppercase mb-6"
+          initial={{ opacity: 0, y: -24 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.4, duration: 0.4 }}
+        >
+          {kicker || 'Up Next'}
+        </motion.div>
+
+        {nextSegmentLabel && (
+          <motion.div
+            className="text-7xl font-bold"
+            initial={{ opacity: 0, scale: 0.9 }}
+            animate={{ opacity: 1, scale: 1 }}
+            transition={{ delay: 0.6, type: 'spring', stiffness: 200, damping: 20 }}
+          >
+            {nextSegmentLabel}
+          </motion.div>
+        )}
+
+        <motion.div
+          className="text-2xl brand-accent font-semibold mt-10 tracking-wide"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          transition={{ delay: 0.9, duration: 0.4 }}
+        >
+          TattooNOW Weekly
+        </motion.div>
+      </div>
+
+      {/* Fills over the bumper's duration — it advances when full */}
+      <motion.div
+        className="absolute bottom-0 left-0 w-full h-2 brand-gradient"
+        style={{ originX: 0 }}
+        initial={{ scaleX: 0 }}
+        animate={{ scaleX: 1 }}
+        transition={{ duration: seconds, ease: 'linear' }}
+      />
+      <div className="absolute top-0 left-0 w-full h-1 brand-gradient" />
+    </div>
+  );
+}
+
 /**
  * OutroSlide - End-of-show closing slide with CTA
  */
@@ -1,18 +1,31 @@
-import React, { useState, useEffect, useCallback, useRef, useLayoutEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useLayoutEffect, useMemo } from 'react';
 import { useSearchParams } from 'react-router-dom';
-import { TitleCard } from './TitleCard';
-import { PortfolioSlide } from './PortfolioSlide';
-import { EducationSlide } from './EducationSlide';
 import { LowerThird } from './LowerThird';
+import { DebateScoreboard } from './DebateScoreboard';
 import { QRCode, QRCodeWithTracking } from './QRCode';
-import ScriptSlide from '../slides/ScriptSlide';
-import { IntroSlide, BumperSlide, OutroSlide } from './ShowBreakSlides';
 import { PresenterView } from './PresenterView';
+import { renderSlide, applyDefaultDurations, slideOwnsQR } from './slideTypes';
+import { adjustTally as applyTally } from '../../lib/debateScoreboard';
+import { formatMsToTimeCode, segmentLabel, segmentStartIndices, withSkippedEntries } from '../../lib/buildSlidesFromShow';
+import { useShortcuts } from '../../hooks/useShortcuts';
+import {
+  sessionKey, saveSession, loadSession, clearSession, SESSION_AUTO_RESUME_MS,
+} from '../../lib/liveSession';
+import { appendAsRun, asRunEvent, loadAsRun, downloadAsRun } from '../../lib/asRunLog';
+import {
+  autoCompression, backTime, dropCandidates, stepBack, stepForward, suggestDrops,
+} from '../../lib/backTiming';
+import { openSlideshowChannel, relayConfigFromParams, STATE_REQUEST_TIMEOUT_MS } from '../../lib/slideshowSync';
+
+const DECK_BRIDGE_URL = 'ws://localhost:9000/streamdeck';
+const DECK_RETRY_MIN_MS = 1000;
+const DECK_RETRY_MAX_MS = 30000;
 
 /**
  * SlideController - Main slideshow controller
  * Handles slide sequencing, keyboard controls, overlay toggling,
- * and dual-window presenter mode with BroadcastChannel sync.
+ * and dual-window presenter mode with BroadcastChannel sync
+ * (protocol in lib/slideshowSync).
  */
 export function SlideController({ episodeData, prebuiltSlides }) {
   const [searchParams] = useSearchParams();
@@ -27,22 +40,111 @@ export function SlideController({ episodeData, prebuiltSlides }) {
   const [showLowerThird, setShowLowerThird] = useState(false);
   const [portfolioLayout, setPortfolioLayout] = useState('grid'); // 'grid' or 'fullscreen'
   const [selectedImage, setSelectedImage] = useState(null);
+  // Build step within a staged slide (slide.stages > 1, e.g. variety rounds)
+  const [slideStage, setSlideStage] = useState(0);
+  // Debate scoreboard overlay (panel shows) — one audience tally per panelist
+  const [showScoreboard, setShowScoreboard] = useState(false);
+  const [tallies, setTallies] = useState(
+    () => (episodeData?.SCOREBOARD?.entries || []).map(() => 0)
+  );
 
   // Auto/manual navigation mode
   const [autoMode, setAutoMode] = useState(false);
-  // Elapsed time on the current slide (ms)
-  const [slideElapsedMs, setSlideElapsedMs] = useState(0);
+  // Hard-out protection (lib/backTiming): offer to drop optional entries
+  // when the show runs long, skip the dropped ones, and shorten auto-mode
+  // slides to land on the out time
+  const [hardOut, setHardOut] = useState(false);
+  const [skippedEntries, setSkippedEntries] = useState([]);
+  const [autoScale, setAutoScale] = useState(1);
+  // The drop suggestion the presenter said no to, so it isn't offered again
+  // until a different set of entries would be needed
+  const [declinedDrops, setDeclinedDrops] = useState('');
+  // Elapsed time on the current slide (ms), kept with the slide it was
+  // measured on: the render that changes slides still holds the old slide's
+  // time, which must not count against the new one
+  const [slideClock, setSlideClock] = useState({ index: currentSlideIndex, ms: 0 });
+  const slideElapsedMs = slideClock.index === currentSlideIndex ? slideClock.ms : 0;
   // Total show elapsed time (ms) — starts when first slide advances
   const [showStartTime, setShowStartTime] = useState(null);
   const [showElapsedMs, setShowElapsedMs] = useState(0);
   const slideTimerRef = useRef(null);
   const showTimerRef = useRef(null);
 
-  // BroadcastChannel for syncing between audience and presenter windows
+  // Sync channel between audience and presenter windows
   const channelRef = useRef(null);
+  // Set once this window's state is the show's state — it received a
+  // snapshot, or nobody answered its request. Only then does it answer
+  // other windows' requests.
+  const syncedRef = useRef(false);
+
+  // Crash recovery (lib/liveSession): a reloaded presenter is offered the
+  // journaled session instead of silently starting over
+  const journalKey = sessionKey(episodeData);
+  const [resumeOffer, setResumeOffer] = useState(
+    () => (mode === 'presenter' ? loadSession(journalKey) : null)
+  );
+
+  // Use prebuilt slides (from Show) or build from episode data; slides
+  // without timing get their type's default duration
+  const builtSlides = useMemo(
+    () => applyDefaultDurations(prebuiltSlides || buildSlides(episodeData)),
+    [prebuiltSlides, episodeData]
+  );
+  // Bumpers announce the next entry that's still in the show
+  const slides = useMemo(
+    () => withSkippedEntries(builtSlides, skippedEntries),
+    [builtSlides, skippedEntries]
+  );
 
-  // Use prebuilt slides (from Show) or build from episode data
-  const slides = prebuiltSlides || buildSlides(episodeData);
+  // Latest position for navigation callbacks — the keyboard and Stream Deck
+  // handlers keep the callbacks from their first render
+  const positionRef = useRef({ index: currentSlideIndex, stage: slideStage, slides, skippedEntries });
+  const segmentStarts = useMemo(() => segmentStartIndices(slides), [slides]);
+
+  // Latest full state, for answering STATE_REQUEST from a late-opened window
+  const snapshotRef = useRef(null);
+  // Latest state as pushed to the Stream Deck bridge for button labels
+  const deckStateRef = useRef(null);
+  useLayoutEffect(() => {
+    positionRef.current = { index: currentSlideIndex, stage: slideStage, slides, skippedEntries };
+    snapshotRef.current = {
+      slideIndex: currentSlideIndex,
+      stage: slideStage,
+      showQR,
+      showLowerThird,
+      portfolioLayout,
+      selectedImage,
+      autoMode,
+      showScoreboard,
+      tallies,
+      hardOut,
+      skippedEntries,
+      showStartTime,
+    };
+    const slide = slides[currentSlideIndex] || {};
+    const segmentNumber = segmentStarts.filter(start => start <= currentSlideIndex).length;
+    const nextSegmentStart = segmentStarts[segmentNumber];
+    deckStateRef.current = {
+      slideIndex: currentSlideIndex,
+      totalSlides: slides.length,
+      stage: slideStage,
+      stages: slide.stages || 1,
+      slideType: slide.type || '',
+      slideTitle: slide.title || slide.segment || '',
+      segmentNumber,
+      segmentCount: segmentStarts.length,
+      segmentLabel: segmentLabel(slide),
+      nextSegmentLabel: nextSegmentStart !== undefined ? segmentLabel(slides[nextSegmentStart]) : '',
+      slideElapsedMs,
+      slideDurationMs: slide.durationMs || 0,
+      showElapsedMs,
+      autoMode,
+      showQR,
+      showLowerThird,
+      showScoreboard,
+      portfolioLayout,
+    };
+  });
 
   // Clamp initial slide index to valid range once slides are available
   useEffect(() => {
@@ -51,16 +153,65 @@ export function SlideController({ episodeData, prebuiltSlides }) {
     }
   }, [slides.length]);
 
-  // Initialize BroadcastChannel for window sync
+  // Adopt a full SlideshowState — a snapshot, a resume or a reset
+  const applyState = useCallback((state) => {
+    setCurrentSlideIndex(state.slideIndex);
+    setSlideStage(state.stage);
+    setShowQR(state.showQR);
+    setShowLowerThird(state.showLowerThird);
+    setPortfolioLayout(state.portfolioLayout);
+    setSelectedImage(state.selectedImage);
+    setAutoMode(state.autoMode);
+    setShowScoreboard(state.showScoreboard);
+    setTallies(state.tallies);
+    // Journals written before hard-out protection don't carry it
+    setHardOut(state.hardOut ?? false);
+    setSkippedEntries(state.skippedEntries || []);
+    setShowStartTime(state.showElapsedMs > 0 ? Date.now() - state.showElapsedMs : null);
+    setShowElapsedMs(state.showElapsedMs);
+  }, []);
+
+  // Open the sync channel and ask any window already running for its state.
+  // With ?relay= the channel also runs over the WebSocket relay, for windows
+  // on another machine (server/syncRelay.js).
   useEffect(() => {
-    channelRef.current = new BroadcastChannel('tattoonow-slideshow-sync');
+    // The current state as sent to other windows — show clock as elapsed
+    const currentState = () => {
+      const { showStartTime: startedAt, ...state } = snapshotRef.current;
+      return { ...state, showElapsedMs: startedAt ? Date.now() - startedAt : 0 };
+    };
 
-    channelRef.current.onmessage = (event) => {
-      const { type, payload } = event.data;
+    let syncTimeout;
+    const requestState = () => {
+      syncedRef.current = false;
+      clearTimeout(syncTimeout);
+      channel.send('STATE_REQUEST', {});
+      syncTimeout = setTimeout(() => {
+        if (syncedRef.current) return;
+        syncedRef.current = true;
+        // Nobody answered. An audience window reloaded moments ago picks up
+        // where the journal left off (the presenter asks first instead).
+        if (mode !== 'presenter') {
+          const saved = loadSession(journalKey, SESSION_AUTO_RESUME_MS);
+          if (saved) applyState(saved.state);
+        }
+      }, STATE_REQUEST_TIMEOUT_MS);
+    };
+
+    const relay = relayConfigFromParams(searchParams);
+    if (relay && mode !== 'presenter') {
+      // An audience machine that lost the relay may have missed changes;
+      // the presenter's own state stays authoritative
+      relay.onJoined = requestState;
+    }
 
+    const channel = openSlideshowChannel(({ type, payload }) => {
       switch (type) {
         case 'SLIDE_CHANGE':
           setCurrentSlideIndex(payload.slideIndex);
+          setSlideStage(payload.stage || 0);
+          // Follow the show clock too, so every window journals the same start
+          setShowStartTime(prev => prev || Date.now());
           break;
         case 'QR_TOGGLE':
           setShowQR(payload.show);
@@ -78,24 +229,130 @@ export function SlideController({ episodeData, prebuiltSlides }) {
         case 'AUTO_MODE_TOGGLE':
           setAutoMode(payload.auto);
           break;
+        case 'SCOREBOARD_TOGGLE':
+          setShowScoreboard(payload.show);
+          break;
+        case 'SCOREBOARD_TALLY':
+          setTallies(payload.tallies);
+          break;
+        case 'HARD_OUT_TOGGLE':
+          setHardOut(payload.on);
+          if (!payload.on) setSkippedEntries([]);
+          break;
+        case 'SKIP_ENTRIES':
+          setSkippedEntries(payload.entries);
+          break;
+        case 'STATE_REQUEST':
+          if (syncedRef.current && snapshotRef.current) {
+            channel.send('STATE_SNAPSHOT', currentState());
+          }
+          break;
+        case 'STATE_SNAPSHOT':
+          // First answer wins; every synced window holds the same state.
+          // The live show beats the journal, so drop any resume offer.
+          if (syncedRef.current) break;
+          syncedRef.current = true;
+          applyState(payload);
+          setResumeOffer(null);
+          break;
+        case 'STATE_REPLACE':
+          applyState(payload);
+          setResumeOffer(null);
+          break;
         default:
           break;
       }
-    };
+    }, relay);
+    channelRef.current = channel;
+
+    requestState();
 
     return () => {
-      if (channelRef.current) {
-        channelRef.current.close();
-      }
+      clearTimeout(syncTimeout);
+      channel.close();
     };
   }, []);
 
+  // Journal the session on every change once this window holds the show's
+  // state (not while its defaults are still waiting on a snapshot, and not
+  // over a session the presenter hasn't decided whether to resume)
+  useEffect(() => {
+    if (!syncedRef.current || resumeOffer) return;
+    const { showStartTime: startedAt, ...state } = snapshotRef.current;
+    saveSession(journalKey, { ...state, showElapsedMs: startedAt ? Date.now() - startedAt : 0 }, startedAt);
+  }, [
+    journalKey, resumeOffer, currentSlideIndex, slideStage, showQR, showLowerThird,
+    portfolioLayout, selectedImage, autoMode, showScoreboard, tallies, hardOut, skippedEntries, showStartTime,
+  ]);
+
+  // As-run log (lib/asRunLog): the presenter records every transition and
+  // toggle once the show clock runs — whichever window or Stream Deck made
+  // the change, it lands here through the sync channel
+  const asRunPrevRef = useRef(null);
+  useEffect(() => {
+    if (mode !== 'presenter') return;
+    const prev = asRunPrevRef.current;
+    const current = {
+      index: currentSlideIndex, stage: slideStage, showStartTime,
+      qr: showQR, lowerThird: showLowerThird, scoreboard: showScoreboard, portfolioLayout, auto: autoMode,
+      hardOut, skippedEntries,
+    };
+    asRunPrevRef.current = current;
+    if (!showStartTime || resumeOffer) return;
+
+    const position = { slideIndex: currentSlideIndex, stage: slideStage, slide: slides[currentSlideIndex] };
+    const log = (detail) => appendAsRun(journalKey, showStartTime, asRunEvent(detail, position, showStartTime));
+    // The clock just started — from the top, or restored by a resume or a
+    // snapshot with the show long under way
+    const started = !prev?.showStartTime;
+    if (started && Date.now() - showStartTime > 2000) log({ kind: 'session', name: 'resume' });
+    if (started || prev.index !== currentSlideIndex || prev.stage !== slideStage) {
+      log({ kind: 'slide' });
+    }
+    if (started) return;
+    for (const name of ['qr', 'lowerThird', 'scoreboard', 'portfolioLayout']) {
+      if (prev[name] !== current[name]) log({ kind: 'overlay', name, value: current[name] });
+    }
+    if (prev.auto !== autoMode) log({ kind: 'mode', name: 'auto', value: autoMode });
+    if (prev.hardOut !== hardOut) log({ kind: 'mode', name: 'hardOut', value: hardOut });
+    for (const entryIdx of skippedEntries) {
+      if (prev.skippedEntries.includes(entryIdx)) continue;
+      const label = slides.find(slide => slide.rundownIndex === entryIdx)?.rundownLabel || '';
+      log({ kind: 'drop', name: label, value: String(entryIdx + 1) });
+    }
+  }, [
+    mode, journalKey, resumeOffer, slides, currentSlideIndex, slideStage, showStartTime,
+    showQR, showLowerThird, showScoreboard, portfolioLayout, autoMode, hardOut, skippedEntries,
+  ]);
+
+  // Closing the presenter ends the last stretch in the log
+  useEffect(() => {
+    if (mode !== 'presenter') return;
+    const onPageHide = () => {
+      const { slideIndex, stage, showStartTime: startedAt } = snapshotRef.current || {};
+      if (!startedAt) return;
+      const position = { slideIndex, stage, slide: positionRef.current.slides[slideIndex] };
+      appendAsRun(journalKey, startedAt, asRunEvent({ kind: 'session', name: 'close' }, position, startedAt));
+    };
+    window.addEventListener('pagehide', onPageHide);
+    return () => window.removeEventListener('pagehide', onPageHide);
+  }, [mode, journalKey]);
+
+  const exportAsRun = useCallback(() => {
+    const log = loadAsRun(journalKey);
+    if (log) {
+      downloadAsRun(log, 'csv');
+    } else {
+      window.alert('Nothing logged yet — the as-run log starts with the show clock.');
+    }
+  }, [journalKey]);
+
   // Slide elapsed timer — resets on slide change
   useEffect(() => {
-    setSlideElapsedMs(0);
+    setSlideClock({ index: currentSlideIndex, ms: 0 });
     clearInterval(slideTimerRef.current);
     slideTimerRef.current = setInterval(() => {
-      setSlideElapsedMs(prev => prev + 250);
+      setSlideClock(prev => ({ ...prev, ms: prev.ms + 250 }));
     }, 250);
     return () => clearInterval(slideTimerRef.current);
   }, [currentSlideIndex]);
@@ -110,176 +367,224 @@ export function SlideController({ episodeData, prebuiltSlides }) {
     }
   }, [showStartTime]);
 
-  // Auto-advance: when auto mode is on and slide duration has elapsed, go next
+  // Out time the back-timing works to — the episode's length
+  const targetMs = (parseInt(episodeData?.DURATION) || 60) * 60000;
+
+  // Hard-out compression for auto mode, fixed as each slide goes up so the
+  // slide's countdown doesn't drift while it's on air
+  useEffect(() => {
+    const startedAt = snapshotRef.current?.showStartTime;
+    setAutoScale(hardOut
+      ? autoCompression(slides, currentSlideIndex, startedAt ? Date.now() - startedAt : 0, targetMs, skippedEntries)
+      : 1);
+  }, [hardOut, skippedEntries, currentSlideIndex, slides, targetMs]);
+
+  // Auto-advance: when auto mode is on and slide duration has elapsed, go next.
+  // Staged slides split their duration evenly across stages. Slides marked
+  // forceAutoAdvance (bumper stings) time themselves out even in manual mode.
   useEffect(() => {
-    if (!autoMode) return;
     const currentSlide = slides[currentSlideIndex];
+    if (!autoMode && !currentSlide?.forceAutoAdvance) return;
     if (!currentSlide?.durationMs || currentSlide.durationMs <= 0) return;
-    if (slideElapsedMs >= currentSlide.durationMs && currentSlideIndex < slides.length - 1) {
+    const stages = currentSlide.stages || 1;
+    const scale = autoMode ? autoScale : 1;
+    const stageEndMs = (currentSlide.durationMs * scale * (slideStage + 1)) / stages;
+    const isLastStep = !stepForward(slides, currentSlideIndex, slideStage, skippedEntries);
+    if (slideElapsedMs >= stageEndMs && !isLastStep) {
       nextSlide();
     }
-  }, [autoMode, slideElapsedMs, currentSlideIndex, slides]);
+  }, [autoMode, autoScale, slideElapsedMs, currentSlideIndex, slideStage, slides, skippedEntries]);
 
   const toggleAutoMode = useCallback(() => {
     setAutoMode(prev => {
       const newVal = !prev;
-      channelRef.current?.postMessage({
-        type: 'AUTO_MODE_TOGGLE',
-        payload: { auto: newVal }
-      });
+      channelRef.current?.send('AUTO_MODE_TOGGLE', { auto: newVal });
       return newVal;
     });
   }, []);
 
   // Broadcast functions
-  const broadcastSlideChange = useCallback((index) => {
-    channelRef.current?.postMessage({
-      type: 'SLIDE_CHANGE',
-      payload: { slideIndex: index }
-    });
+  const broadcastSlideChange = useCallback((index, stage = 0) => {
+    channelRef.current?.send('SLIDE_CHANGE', { slideIndex: index, stage });
   }, []);
 
   const broadcastQRToggle = useCallback((show) => {
-    channelRef.current?.postMessage({
-      type: 'QR_TOGGLE',
-      payload: { show }
-    });
+    channelRef.current?.send('QR_TOGGLE', { show });
   }, []);
 
   const broadcastLowerThirdToggle = useCallback((show) => {
-    channelRef.current?.postMessage({
-      type: 'LOWER_THIRD_TOGGLE',
-      payload: { show }
-    });
+    channelRef.current?.send('LOWER_THIRD_TOGGLE', { show });
   }, []);
 
   const broadcastPortfolioLayoutToggle = useCallback((layout) => {
-    channelRef.current?.postMessage({
-      type: 'PORTFOLIO_LAYOUT_TOGGLE',
-      payload: { layout }
-    });
+    channelRef.current?.send('PORTFOLIO_LAYOUT_TOGGLE', { layout });
   }, []);
 
   const broadcastSelectedImage = useCallback((imageIndex) => {
-    channelRef.current?.postMessage({
-      type: 'SELECTED_IMAGE',
-      payload: { imageIndex }
-    });
+    channelRef.current?.send('SELECTED_IMAGE', { imageIndex });
   }, []);
 
-  // Keyboard controls
-  useEffect(() => {
-    const handleKeyPress = (e) => {
-      switch (e.key) {
-        case 'ArrowRight':
-        case 'PageDown':
-          nextSlide();
-          break;
-        case 'ArrowLeft':
-        case 'PageUp':
-          previousSlide();
-          break;
-        case 'q':
-        case 'Q':
-          toggleQR();
-          break;
-        case 'l':
-        case 'L':
-          toggleLowerThird();
-          break;
-        case 'g':
-        case 'G':
-          togglePortfolioLayout();
-          break;
-        case 'a':
-        case 'A':
-          toggleAutoMode();
-          break;
-        case 'Home':
-          setCurrentSlideIndex(0);
-          break;
-        case 'End':
-          setCurrentSlideIndex(slides.length - 1);
-          break;
-        default:
-          break;
-      }
-    };
+  const broadcastScoreboardToggle = useCallback((show) => {
+    channelRef.current?.send('SCOREBOARD_TOGGLE', { show });
+  }, []);
 
-    window.addEventListener('keydown', handleKeyPress);
-    return () => window.removeEventListener('keydown', handleKeyPress);
-  }, [slides.length]);
+  const broadcastTallies = useCallback((tallies) => {
+    channelRef.current?.send('SCOREBOARD_TALLY', { tallies });
+  }, []);
 
-  // Stream Deck WebSocket integration
-  useEffect(() => {
-    // Connect to Stream Deck WebSocket server
-    const ws = new WebSocket('ws://localhost:9000/streamdeck');
+  // Keyboard controls — keys come from the keymap (lib/keymap), so they can
+  // be rebound; the handlers are wrapped because they're declared below
+  const voteHandlers = {};
+  for (let n = 1; n <= 9; n++) {
+    voteHandlers[`scoreboard.vote${n}`] = () => adjustTally(n - 1, 1);
+    voteHandlers[`scoreboard.unvote${n}`] = () => adjustTally(n - 1, -1);
+  }
+  useShortcuts(mode === 'presenter' ? 'presenter' : 'audience', {
+    'slide.next': () => nextSlide(),
+    'slide.previous': () => previousSlide(),
+    'slide.first': () => jumpToSlide(0),
+    'slide.last': () => jumpToSlide(slides.length - 1),
+    'mode.auto': () => toggleAutoMode(),
+    'overlay.qr': () => toggleQR(),
+    'overlay.lowerThird': () => toggleLowerThird(),
+    'overlay.portfolioLayout': () => togglePortfolioLayout(),
+    'scoreboard.toggle': () => toggleScoreboard(),
+    'mode.hardOut': () => toggleHardOut(),
+    ...voteHandlers,
+  });
 
-    ws.onmessage = (event) => {
-      const command = JSON.parse(event.data);
+  // Stream Deck bridge (server/streamDeckBridge.js): commands in, state out
+  const deckSocketRef = useRef(null);
 
-      switch (command.action) {
-        case 'next':
-          nextSlide();
-          break;
-        case 'previous':
-          previousSlide();
-          break;
-        case 'toggleQR':
-          toggleQR();
-          break;
-        case 'toggleLowerThird':
-          toggleLowerThird();
-          break;
-        case 'togglePortfolioLayout':
-          togglePortfolioLayout();
-          break;
-        case 'jumpToSegment':
-          jumpToSegment(command.segmentNumber);
-          break;
-        default:
-          console.warn('Unknown Stream Deck command:', command);
-      }
-    };
+  const pushDeckState = useCallback(() => {
+    const ws = deckSocketRef.current;
+    if (ws?.readyState === WebSocket.OPEN && deckStateRef.current) {
+      ws.send(JSON.stringify({ type: 'state', state: deckStateRef.current }));
+    }
+  }, []);
 
-    ws.onerror = (error) => {
-      console.warn('Stream Deck WebSocket not connected:', error.message);
-      // Gracefully degrade - keyboard controls still work
+  useEffect(() => {
+    let ws = null;
+    let closed = false;
+    let retryMs = DECK_RETRY_MIN_MS;
+    let retryTimer;
+
+    const connect = () => {
+      ws = new WebSocket(DECK_BRIDGE_URL);
+      deckSocketRef.current = ws;
+
+      ws.onopen = () => {
+        retryMs = DECK_RETRY_MIN_MS;
+        ws.send(JSON.stringify({ type: 'hello', mode: mode === 'presenter' ? 'presenter' : 'audience' }));
+        pushDeckState();
+      };
+
+      ws.onmessage = (event) => {
+        let command;
+        try {
+          command = JSON.parse(event.data);
+        } catch {
+          return;
+        }
+
+        switch (command.action) {
+          case 'next':
+            nextSlide();
+            break;
+          case 'previous':
+            previousSlide();
+            break;
+          case 'toggleQR':
+            toggleQR();
+            break;
+          case 'toggleLowerThird':
+            toggleLowerThird();
+            break;
+          case 'togglePortfolioLayout':
+            togglePortfolioLayout();
+            break;
+          case 'toggleAutoMode':
+            toggleAutoMode();
+            break;
+          case 'jumpToSegment':
+            jumpToSegment(command.segmentNumber);
+            break;
+          case 'jumpToSlide':
+            jumpToSlide(command.slideIndex);
+            break;
+          case 'toggleScoreboard':
+            toggleScoreboard();
+            break;
+          case 'tally':
+            // Panelists are numbered from 1 on the deck, like the 1–9 keys
+            adjustTally(command.panelist - 1, command.delta ?? 1);
+            break;
+          case 'getState':
+            pushDeckState();
+            break;
+          default:
+            console.warn('Unknown Stream Deck command:', command);
+        }
+      };
+
+      // Bridge not running (or restarted) — keyboard controls still work,
+      // keep retrying in the background
+      ws.onclose = () => {
+        if (closed) return;
+        retryTimer = setTimeout(connect, retryMs);
+        retryMs = Math.min(retryMs * 2, DECK_RETRY_MAX_MS);
+      };
     };
 
+    connect();
+
+    // Timers move continuously; a label refresh once a second is plenty
+    const stateTimer = setInterval(pushDeckState, 1000);
+
     return () => {
-      if (ws.readyState === WebSocket.OPEN) {
-        ws.close();
-      }
+      closed = true;
+      clearTimeout(retryTimer);
+      clearInterval(stateTimer);
+      ws?.close();
     };
   }, []);
 
+  // Push discrete changes straight away so buttons don't lag a second behind
+  useEffect(() => {
+    pushDeckState();
+  }, [currentSlideIndex, slideStage, autoMode, showQR, showLowerThird, showScoreboard, portfolioLayout, pushDeckState]);
+
   // Navigation functions (with broadcast)
+  const goTo = useCallback((index, stage) => {
+    const prev = positionRef.current;
+    positionRef.current = { ...prev, index, stage };
+    setCurrentSlideIndex(index);
+    setSlideStage(stage);
+    broadcastSlideChange(index, stage);
+    // Reset portfolio state when navigating away from a slide
+    if (index !== prev.index) {
+      setSelectedImage(null);
+      setPortfolioLayout('grid');
+      broadcastSelectedImage(null);
+    }
+  }, [broadcastSlideChange, broadcastSelectedImage]);
+
+  // Staged slides step through their stages before moving on; slides of
+  // entries dropped by hard-out protection are stepped over
   const nextSlide = useCallback(() => {
     // Start the show clock on first advance
     setShowStartTime(prev => prev || Date.now());
-    setCurrentSlideIndex((prev) => {
-      const newIndex = Math.min(prev + 1, slides.length - 1);
-      broadcastSlideChange(newIndex);
-      return newIndex;
-    });
-    // Reset portfolio state when navigating away from a slide
-    setSelectedImage(null);
-    setPortfolioLayout('grid');
-    broadcastSelectedImage(null);
-  }, [slides.length, broadcastSlideChange, broadcastSelectedImage]);
+    const { index, stage, slides: current, skippedEntries: skipped } = positionRef.current;
+    const next = stepForward(current, index, stage, skipped);
+    if (next) goTo(next.index, next.stage);
+  }, [goTo]);
 
+  // Stepping back into a staged slide lands on its fully built last stage
   const previousSlide = useCallback(() => {
-    setCurrentSlideIndex((prev) => {
-      const newIndex = Math.max(prev - 1, 0);
-      broadcastSlideChange(newIndex);
-      return newIndex;
-    });
-    // Reset portfolio state when navigating away from a slide
-    setSelectedImage(null);
-    setPortfolioLayout('grid');
-    broadcastSelectedImage(null);
-  }, [broadcastSlideChange, broadcastSelectedImage]);
+    const { index, stage, slides: current, skippedEntries: skipped } = positionRef.current;
+    const previous = stepBack(current, index, stage, skipped);
+    if (previous) goTo(previous.index, previous.stage);
+  }, [goTo]);
 
   const toggleQR = useCallback(() => {
     setShowQR((prev) => {
@@ -305,6 +610,40 @@ export function SlideController({ episodeData, prebuiltSlides }) {
     });
   }, [broadcastPortfolioLayoutToggle]);
 
+  const toggleScoreboard = useCallback(() => {
+    setShowScoreboard((prev) => {
+      const newValue = !prev;
+      broadcastScoreboardToggle(newValue);
+      return newValue;
+    });
+  }, [broadcastScoreboardToggle]);
+
+  const adjustTally = useCallback((index, delta) => {
+    setTallies((prev) => {
+      const next = applyTally(prev, index, delta);
+      if (next !== prev) broadcastTallies(next);
+      return next;
+    });
+  }, [broadcastTallies]);
+
+  // Turning protection off puts the dropped entries back in the show
+  const toggleHardOut = useCallback(() => {
+    setHardOut((prev) => {
+      const newValue = !prev;
+      channelRef.current?.send('HARD_OUT_TOGGLE', { on: newValue });
+      if (!newValue) setSkippedEntries([]);
+      return newValue;
+    });
+  }, []);
+
+  const skipEntries = useCallback((entries) => {
+    setSkippedEntries((prev) => {
+      const next = [...new Set([...prev, ...entries])].sort((a, b) => a - b);
+      channelRef.current?.send('SKIP_ENTRIES', { entries: next });
+      return next;
+    });
+  }, []);
+
   const handleSelectImage = useCallback((imageIndex) => {
     setSelectedImage(imageIndex);
     setPortfolioLayout(imageIndex !== null ? 'fullscreen' : 'grid');
@@ -314,7 +653,9 @@ export function SlideController({ episodeData, prebuiltSlides }) {
   const jumpToSlide = useCallback((slideIndex) => {
     const clamped = Math.max(0, Math.min(slideIndex, slides.length - 1));
     setShowStartTime(prev => prev || Date.now());
+    positionRef.current = { ...positionRef.current, index: clamped, stage: 0 };
     setCurrentSlideIndex(clamped);
+    setSlideStage(0);
     broadcastSlideChange(clamped);
     setSelectedImage(null);
     setPortfolioLayout('grid');
@@ -322,14 +663,57 @@ export function SlideController({ episodeData, prebuiltSlides }) {
   }, [slides.length, broadcastSlideChange, broadcastSelectedImage]);
 
   const jumpToSegment = useCallback((segmentNumber) => {
-    // Find the index of the first slide for the given segment
-    const segmentIndex = slides.findIndex(
+    // Legacy episode slides carry a numeric segment; show slides are
+    // numbered by their rundown segment, as in the ShowTimeline
+    let segmentIndex = slides.findIndex(
       (slide) => slide.segment === segmentNumber
     );
+    if (segmentIndex < 0) segmentIndex = segmentStarts[segmentNumber - 1] ?? -1;
     if (segmentIndex >= 0) {
       jumpToSlide(segmentIndex);
     }
-  }, [slides, jumpToSlide]);
+  }, [slides, segmentStarts, jumpToSlide]);
+
+  // Pick the journaled session back up, in every window
+  const resumeSession = useCallback(() => {
+    if (!resumeOffer) return;
+    const state = {
+      ...resumeOffer.state,
+      slideIndex: Math.min(resumeOffer.state.slideIndex, slides.length - 1),
+      showElapsedMs: resumeOffer.showStartTime ? Date.now() - resumeOffer.showStartTime : 0,
+    };
+    applyState(state);
+    channelRef.current?.send('STATE_REPLACE', state);
+    setResumeOffer(null);
+  }, [resumeOffer, slides.length, applyState]);
+
+  const dismissResume = useCallback(() => {
+    clearSession(journalKey);
+    setResumeOffer(null);
+  }, [journalKey]);
+
+  // Back to the top: first slide, overlays off, clock stopped, journal cleared
+  const resetSession = useCallback(() => {
+    if (!window.confirm('Reset the show session? The slide position, show clock and scoreboard tallies start over in every window.')) return;
+    const state = {
+      slideIndex: 0,
+      stage: 0,
+      showQR: false,
+      showLowerThird: false,
+      portfolioLayout: 'grid',
+      selectedImage: null,
+      autoMode: false,
+      showScoreboard: false,
+      tallies: tallies.map(() => 0),
+      hardOut: false,
+      skippedEntries: [],
+      showElapsedMs: 0,
+    };
+    clearSession(journalKey);
+    applyState(state);
+    channelRef.current?.send('STATE_REPLACE', state);
+    setResumeOffer(null);
+  }, [tallies, journalKey, applyState]);
 
   if (!episodeData || slides.length === 0) {
     return (
@@ -345,28 +729,66 @@ export function SlideController({ episodeData, prebuiltSlides }) {
 
   // Render Presenter View if mode=presenter
   if (mode === 'presenter') {
+    // Hard out: when the show is projected past its out time, offer to
+    // drop the optional entries that would bring it back
+    const overUnderMs = hardOut
+      ? backTime(slides, currentSlideIndex, slideElapsedMs, showElapsedMs, targetMs, skippedEntries).overUnderMs
+      : 0;
+    const drops = overUnderMs > 0 ? suggestDrops(dropCandidates(slides, currentSlideIndex, skippedEntries), overUnderMs) : [];
+    const dropsKey = drops.map(d => d.rundownIndex).join(',');
+
     return (
-      <PresenterView
-        episodeData={episodeData}
-        currentSlideIndex={currentSlideIndex}
-        slides={slides}
-        nextSlide={nextSlide}
-        previousSlide={previousSlide}
-        toggleQR={toggleQR}
-        toggleLowerThird={toggleLowerThird}
-        showQR={showQR}
-        showLowerThird={showLowerThird}
-        portfolioLayout={portfolioLayout}
-        togglePortfolioLayout={togglePortfolioLayout}
-        selectedImage={selectedImage}
-        onSelectImage={handleSelectImage}
-        showId={episodeData?._showId}
-        autoMode={autoMode}
-        toggleAutoMode={toggleAutoMode}
-        slideElapsedMs={slideElapsedMs}
-        showElapsedMs={showElapsedMs}
-        jumpToSlide={jumpToSlide}
-      />
+      <>
+        {resumeOffer && (
+          <ResumeSessionBanner
+            session={resumeOffer}
+            slides={slides}
+            onResume={resumeSession}
+            onDismiss={dismissResume}
+          />
+        )}
+        {!resumeOffer && drops.length > 0 && dropsKey !== declinedDrops && (
+          <HardOutBanner
+            overUnderMs={overUnderMs}
+            drops={drops}
+            onConfirm={() => skipEntries(drops.map(d => d.rundownIndex))}
+            onDecline={() => setDeclinedDrops(dropsKey)}
+          />
+        )}
+        <PresenterView
+          episodeData={episodeData}
+          currentSlideIndex={currentSlideIndex}
+          slideStage={slideStage}
+          slides={slides}
+          nextSlide={nextSlide}
+          previousSlide={previousSlide}
+          toggleQR={toggleQR}
+          toggleLowerThird={toggleLowerThird}
+          showQR={showQR}
+          showLowerThird={showLowerThird}
+          portfolioLayout={portfolioLayout}
+          togglePortfolioLayout={togglePortfolioLayout}
+          selectedImage={selectedImage}
+          onSelectImage={handleSelectImage}
+          showId={episodeData?._showId}
+          autoMode={autoMode}
+          toggleAutoMode={toggleAutoMode}
+          slideElapsedMs={slideElapsedMs}
+          showElapsedMs={showElapsedMs}
+          jumpToSlide={jumpToSlide}
+          scoreboard={episodeData.SCOREBOARD}
+          tallies={tallies}
+          showScoreboard={showScoreboard}
+          toggleScoreboard={toggleScoreboard}
+          adjustTally={adjustTally}
+          resetSession={resetSession}
+          exportAsRun={exportAsRun}
+          hardOut={hardOut}
+          toggleHardOut={toggleHardOut}
+          skippedEntries={skippedEntries}
+          autoScale={autoScale}
+        />
+      </>
     );
   }
 
@@ -374,24 +796,141 @@ export function SlideController({ episodeData, prebuiltSlides }) {
   return <AudienceView
     currentSlide={currentSlide}
     currentSlideIndex={currentSlideIndex}
+    slideStage={slideStage}
     slides={slides}
     portfolioLayout={portfolioLayout}
     selectedImage={selectedImage}
     handleSelectImage={handleSelectImage}
     showLowerThird={showLowerThird}
     showQR={showQR}
+    showScoreboard={showScoreboard}
+    tallies={tallies}
     episodeData={episodeData}
   />;
 }
 
+/**
+ * ResumeSessionBanner — Offered to a reloaded presenter window when the
+ * journal holds a session in progress. Elapsed time keeps counting from the
+ * original start, so it includes the time the window was down.
+ */
+function ResumeSessionBanner({ session, slides, onResume, onDismiss }) {
+  const index = Math.min(session.state.slideIndex, slides.length - 1);
+  const slide = slides[index];
+  const elapsed = session.showStartTime ? formatMsToTimeCode(Date.now() - session.showStartTime) : null;
+
+  return (
+    <div style={{
+      position: 'fixed', top: '16px', left: '50%', transform: 'translateX(-50%)',
+      zIndex: 200,
+      display: 'flex', alignItems: 'center', gap: '16px',
+      background: '#1a1a1a',
+      border: '1px solid #f97316',
+      borderRadius: '12px',
+      padding: '12px 20px',
+      boxShadow: '0 8px 32px rgba(0,0,0,0.6)',
+      color: '#fff',
+      fontSize: '14px',
+    }}>
+      <span>
+        Resume show at slide {index + 1}
+        {slide?.title ? ` (${slide.title})` : ''}
+        {elapsed ? `, elapsed ${elapsed}` : ''}?
+      </span>
+      <button
+        onClick={onResume}
+        style={{ background: '#f97316', color: '#000', fontWeight: 600, borderRadius: '6px', padding: '6px 14px' }}
+      >
+        Resume
+      </button>
+      <button
+        onClick={onDismiss}
+        style={{ color: '#9ca3af', padding: '6px 8px' }}
+      >
+        Start fresh
+      </button>
+    </div>
+  );
+}
+
+/**
+ * HardOutBanner — Asks the presenter to drop optional entries when the show
+ * is projected to run past its out time. Dropped entries are skipped by
+ * next / previous in every window; a direct jump still reaches them.
+ */
+function HardOutBanner({ overUnderMs, drops, onConfirm, onDecline }) {
+  const savedMs = drops.reduce((sum, d) => sum + d.durationMs, 0);
+
+  return (
+    <div style={{
+      position: 'fixed', top: '16px', left: '50%', transform: 'translateX(-50%)',
+      zIndex: 200,
+      display: 'flex', alignItems: 'center', gap: '16px',
+      background: '#1a1a1a',
+      border: '1px solid #ef4444',
+      borderRadius: '12px',
+      padding: '12px 20px',
+      boxShadow: '0 8px 32px rgba(0,0,0,0.6)',
+      color: '#fff',
+      fontSize: '14px',
+    }}>
+      <span>
+        Projected {formatMsToTimeCode(overUnderMs)} past the out.
+        Drop {drops.map(d => `${d.label} (${formatMsToTimeCode(d.durationMs)})`).join(', ')}
+        {savedMs < overUnderMs ? ` — still ${formatMsToTimeCode(overUnderMs - savedMs)} over` : ''}?
+      </span>
+      <button
+        onClick={onConfirm}
+        style={{ background: '#ef4444', color: '#fff', fontWeight: 600, borderRadius: '6px', padding: '6px 14px' }}
+      >
+        Drop
+      </button>
+      <button
+        onClick={onDecline}
+        style={{ color: '#9ca3af', padding: '6px 8px' }}
+      >
+        Keep
+      </button>
+    </div>
+  );
+}
+
+/**
+ * CampaignQRCode — The QR overlay for a slide's campaigns (lib/qrCampaigns),
+ * rotating through them every rotateMs from when they went up. Keyed by
+ * the campaigns, so the code stays put across a segment's slides and a new
+ * segment starts its rotation from the top. Each code is a tracked short
+ * link, so the presenter sees its scans.
+ */
+function CampaignQRCode({ campaigns, rotateMs, display }) {
+  const [turn, setTurn] = useState(0);
+
+  useEffect(() => {
+    if (campaigns.length <= 1 || !rotateMs) return;
+    const timer = setInterval(() => setTurn(t => t + 1), rotateMs);
+    return () => clearInterval(timer);
+  }, [campaigns.length, rotateMs]);
+
+  const campaign = campaigns[turn % campaigns.length];
+  return (
+    <QRCodeWithTracking
+      targetUrl={campaign.url}
+      campaignName={campaign.name}
+      message={campaign.message || 'Book Your Consultation'}
+      display={display}
+      logo
+    />
+  );
+}
+
 /**
  * AudienceView — Renders slides at their designed 1920x1080 size,
  * then CSS-transform-scales the whole thing to fill the viewport.
  * This makes ALL content (text, images, padding) scale proportionally.
  */
 function AudienceView({
-  currentSlide, currentSlideIndex, slides, portfolioLayout,
-  selectedImage, handleSelectImage, showLowerThird, showQR, episodeData
+  currentSlide, currentSlideIndex, slideStage, slides, portfolioLayout,
+  selectedImage, handleSelectImage, showLowerThird, showQR, showScoreboard, tallies, episodeData
 }) {
   const [scale, setScale] = useState(1);
 
@@ -429,7 +968,12 @@ function AudienceView({
         }}
       >
         {/* Main slide content */}
-        {renderSlide(currentSlide, portfolioLayout, selectedImage, handleSelectImage)}
+        {renderSlide(currentSlide, {
+          stage: slideStage,
+          portfolioLayout,
+          selectedImage,
+          onSelectImage: handleSelectImage,
+        })}
 
         {/* Overlays */}
         {currentSlide.showLowerThird && (
@@ -442,12 +986,26 @@ function AudienceView({
           />
         )}
 
-        {episodeData.QR_CODE_URL && (
+        <DebateScoreboard
+          scoreboard={episodeData.SCOREBOARD}
+          tallies={tallies}
+          display={showScoreboard}
+        />
+
+        {slideOwnsQR(currentSlide) ? null : currentSlide.qrCampaigns?.length > 0 ? (
+          <CampaignQRCode
+            key={currentSlide.qrCampaigns.map(c => c.name).join('|')}
+            campaigns={currentSlide.qrCampaigns}
+            rotateMs={currentSlide.qrRotateMs}
+            display={showQR}
+          />
+        ) : episodeData.QR_CODE_URL && (
           <QRCode
             url={episodeData.QR_CODE_URL}
             highlevelUrl={episodeData.HIGHLEVEL_QR_URL}
             message={episodeData.QR_CODE_MESSAGE || 'Book Your Consultation'}
             display={showQR}
+            logo
           />
         )}
 
@@ -647,104 +1205,3 @@ function parseEducationSlides(episodeData, segmentNumber) {
 
   return slides;
 }
-
-/**
- * Render individual slide based on type
- */
-function renderSlide(slide, portfolioLayout, selectedImage, onSelectImage) {
-  switch (slide.type) {
-    case 'title':
-      return (
-        <TitleCard
-          title={slide.title}
-          episodeNumber={slide.episodeNumber}
-          airDate={slide.airDate}
-          host={slide.host}
-        />
-      );
-
-    case 'portfolio':
-      return (
-        <PortfolioSlide
-          artistName={slide.artistName}
-          artistStyle={slide.artistStyle}
-          artistLocation={slide.artistLocation}
-          artistInstagram={slide.artistInstagram}
-          images={slide.images}
-          range={slide.range}
-          autoAdvance={slide.autoAdvance || false}
-          autoAdvanceMs={slide.autoAdvanceMs || 20000}
-          layout={portfolioLayout}
-          selectedImage={selectedImage}
-          onSelectImage={onSelectImage}
-        />
-      );
-
-    case 'education':
-      return (
-        <EducationSlide
-          slideNumber={slide.slideNumber}
-          title={slide.title}
-          visual={slide.visual}
-          keyPoints={slide.keyPoints}
-          stats={slide.stats}
-          layout={slide.layout}
-        />
-      );
-
-    case 'script':
-      return (
-        <ScriptSlide
-          script={{
-            segment: slide.segment,
-            timeCode: slide.timeCode,
-            title: slide.title,
-            type: slide.scriptType,
-            talkingPoints: slide.talkingPoints,
-            notes: slide.notes,
-            cue: slide.cue
-          }}
-        />
-      );
-
-    case 'intro':
-      return (
-        <IntroSlide
-          episodeTitle={slide.title}
-          episodeNumber={slide.episodeNumber}
-          host={slide.host}
-          airDate={slide.airDate}
-        />
-      );
-
-    case 'bumper':
-      return (
-        <BumperSlide
-          message={slide.message}
-          qrUrl={slide.qrUrl}
-          qrMessage={slide.qrMessage}
-          nextSegmentLabel={slide.nextSegmentLabel}
-        />
-      );
-
-    case 'outro':
-      return (
-        <OutroSlide
-          episodeTitle={slide.title}
-          episodeNumber={slide.episodeNumber}
-          host={slide.host}
-          qrUrl={slide.qrUrl}
-          qrMessage={slide.qrMessage}
-        />
-      );
-
-    default:
-      return (
-        <div className="slideshow-container flex items-center justify-center">
-          <div className="text-4xl text-muted-foreground">
-            Unknown slide type: {slide.type}
-          </div>
-        </div>
-      );
-  }
-}
@@ -0,0 +1,214 @@
+import React, { useEffect, useState } from 'react';
+import { QRImage, useTrackedLink } from './QRCode';
+import { BRAND } from '../../lib/brand';
+
+const ARTIST_ROTATE_MS = 5000;
+
+const SPONSOR_TYPE_LABELS = {
+  convention: 'Convention',
+  supplier: 'Supplier',
+  brand: 'Brand',
+  studio: 'Studio',
+};
+
+/**
+ * SlideQR - The QR code that stays on a sponsor or CTA slide for as long as
+ * it's up, independent of the QR overlay toggle. Encodes the campaign's
+ * tracked short link when the short-link API is running.
+ */
+function SlideQR({ campaign, message, size = 220 }) {
+  const { link, loading } = useTrackedLink(campaign?.url, campaign?.name);
+  if (!campaign?.url || loading) return null;
+
+  return (
+    <div className="flex items-center gap-8" style={{
+      background: 'rgba(255,255,255,0.05)', borderRadius: '16px',
+      padding: '20px 28px 20px 20px', border: '1px solid rgba(255,255,255,0.1)',
+    }}>
+      <div className="bg-white rounded-lg flex-shrink-0" style={{ padding: 10 }}>
+        <QRImage value={link?.shortUrl || campaign.url} size={size} margin={1} logo />
+      </div>
+      <div className="text-3xl brand-accent font-semibold leading-snug" style={{ maxWidth: 420 }}>
+        {message || campaign.message || 'Scan to Learn More'}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * SponsorSlide - Sponsor segment from a promo tape's SponsorInfo
+ *
+ * Brand, event dates and location, ad copy and a persistent QR on the left;
+ * the sponsor's featured artists rotate through a carousel on the right.
+ * Without featured artists the logo takes the right-hand side.
+ */
+export function SponsorSlide({
+  name,
+  type,
+  logo,
+  website,
+  instagram,
+  adCopy,
+  eventDates,
+  eventLocation,
+  featuredArtists = [],
+  qrCampaign,
+  qrMessage,
+}) {
+  const [artistIndex, setArtistIndex] = useState(0);
+
+  useEffect(() => {
+    if (featuredArtists.length <= 1) return;
+    const timer = setInterval(
+      () => setArtistIndex(i => (i + 1) % featuredArtists.length),
+      ARTIST_ROTATE_MS,
+    );
+    return () => clearInterval(timer);
+  }, [featuredArtists.length]);
+
+  const artist = featuredArtists[artistIndex % Math.max(featuredArtists.length, 1)];
+  const typeLabel = SPONSOR_TYPE_LABELS[type] || type;
+
+  return (
+    <div className="slideshow-container bg-background"
+      style={{ display: 'flex', padding: '5rem 5rem 4rem', gap: '5rem' }}
+    >
+      <div className="absolute inset-0" style={{
+        background: 'radial-gradient(ellipse at top left, rgba(234,147,32,0.08) 0%, transparent 60%)',
+      }} />
+
+      {/* Left: who they are, when and where, and the call to action */}
+      <div className="relative z-10 flex flex-col" style={{ flex: '1 1 0', minWidth: 0 }}>
+        <div className="text-xl text-muted-foreground tracking-widest uppercase mb-8">
+          Sponsored by
+        </div>
+
+        <div className="flex items-center gap-10 mb-10">
+          {logo && (
+            <img
+              src={logo}
+              alt={name}
+              className="rounded-2xl object-contain flex-shrink-0 bg-white/5"
+              style={{ width: 200, height: 200 }}
+            />
+          )}
+          <div style={{ minWidth: 0 }}>
+            <h2 className="text-6xl font-bold leading-tight">{name}</h2>
+            {typeLabel && (
+              <div className="inline-block mt-4 px-4 py-1 rounded-full text-lg brand-accent border brand-border">
+                {typeLabel}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {(eventDates || eventLocation) && (
+          <div className="mb-8">
+            {eventDates && <div className="text-4xl font-semibold brand-accent">{eventDates}</div>}
+            {eventLocation && <div className="text-2xl text-foreground/80 mt-2">{eventLocation}</div>}
+          </div>
+        )}
+
+        {adCopy && (
+          <p className="text-2xl text-foreground/80 leading-relaxed mb-8" style={{
+            display: '-webkit-box', WebkitLineClamp: 5, WebkitBoxOrient: 'vertical', overflow: 'hidden',
+          }}>
+            {adCopy}
+          </p>
+        )}
+
+        <div className="mt-auto flex items-end justify-between gap-8">
+          <SlideQR campaign={qrCampaign} message={qrMessage} />
+          <div className="text-xl text-muted-foreground text-right">
+            {[website?.replace(/^https?:\/\//, ''), instagram && `@${instagram}`].filter(Boolean).join(' · ')}
+          </div>
+        </div>
+      </div>
+
+      {/* Right: featured artist carousel */}
+      <div className="relative z-10 flex flex-col" style={{ flex: '0 0 36%' }}>
+        {artist ? (
+          <>
+            <div className="text-xl text-muted-foreground tracking-widest uppercase mb-6">
+              Featured Artists
+            </div>
+            <div className="relative flex-1 rounded-2xl overflow-hidden border-2 brand-border bg-white/5" style={{ minHeight: 0 }}>
+              {featuredArtists.map((a, i) => a.image && (
+                <img
+                  key={a.name}
+                  src={a.image}
+                  alt={a.name}
+                  className="absolute inset-0 w-full h-full object-cover"
+                  style={{ opacity: i === artistIndex ? 1 : 0, transition: 'opacity 0.8s ease' }}
+                />
+              ))}
+              <div className="absolute bottom-0 left-0 right-0 px-8 py-6" style={{
+                background: 'linear-gradient(to top, rgba(0,0,0,0.85), transparent)',
+              }}>
+                <div className="text-4xl font-bold">{artist.name}</div>
+                {artist.instagram && (
+                  <div className="text-2xl brand-accent mt-1">@{artist.instagram}</div>
+                )}
+              </div>
+            </div>
+            {featuredArtists.length > 1 && (
+              <div className="flex justify-center gap-3 mt-6">
+                {featuredArtists.map((a, i) => (
+                  <div
+                    key={a.name}
+                    className="rounded-full"
+                    style={{
+                      width: 14, height: 14,
+                      background: i === artistIndex ? BRAND.colors.primary : 'rgba(255,255,255,0.25)',
+                      transition: 'background 0.3s',
+                    }}
+                  />
+                ))}
+              </div>
+            )}
+          </>
+        ) : logo && (
+          <div className="flex-1 flex items-center justify-center">
+            <img src={logo} alt={name} className="object-contain" style={{ maxWidth: '100%', maxHeight: '80%' }} />
+          </div>
+        )}
+      </div>
+
+      <div className="absolute top-0 left-0 w-full h-1 brand-gradient" />
+      <div className="absolute bottom-0 left-0 w-full h-1 brand-gradient" />
+    </div>
+  );
+}
+
+/**
+ * PlatformCtaSlide - The TattooNOW platform pitch from an ad break's
+ * `platform-cta` slot: the host's script as a branded card, with the QR.
+ */
+export function PlatformCtaSlide({ script, qrCampaign, qrMessage }) {
+  return (
+    <div className="slideshow-container flex items-center justify-center">
+      <div className="absolute inset-0 brand-gradient opacity-10" />
+
+      <div className="relative z-10 flex items-center gap-20 px-16" style={{ maxWidth: 1600 }}>
+        <div style={{ flex: '1 1 0', minWidth: 0 }}>
+          <div className="text-2xl text-muted-foreground tracking-widest uppercase mb-6">
+            Built for Tattoo Artists
+          </div>
+          <div className="text-7xl font-bold mb-10">
+            Tattoo<span className="brand-accent">NOW</span>
+          </div>
+          {script && (
+            <p className="text-3xl text-foreground/85 leading-relaxed">{script}</p>
+          )}
+        </div>
+
+        <div className="flex-shrink-0">
+          <SlideQR campaign={qrCampaign} message={qrMessage} size={260} />
+        </div>
+      </div>
+
+      <div className="absolute top-0 left-0 w-full h-2 brand-gradient" />
+      <div className="absolute bottom-0 left-0 w-full h-2 brand-gradient" />
+    </div>
+  );
+}
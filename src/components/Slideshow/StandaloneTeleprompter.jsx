@@ -1,5 +1,7 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import styles from './Teleprompter.module.css';
+import { useShortcuts, useKeymap } from '../../hooks/useShortcuts';
+import { shortcutLabel } from '../../lib/keymap';
 
 const DEFAULT_SCRIPT = `## Welcome to the TattooNOW Show
 
@@ -351,44 +353,25 @@ export function Teleprompter() {
     URL.revokeObjectURL(url);
   }, [modalText, modalSelect]);
 
-  // Keyboard shortcuts
-  useEffect(() => {
-    const handler = (e) => {
-      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') return;
-      if (e.target.contentEditable === 'true') return;
-      if (modalOpen) {
-        if (e.key === 'Escape') setModalOpen(false);
-        return;
-      }
-      switch (e.key) {
-        case ' ':
-          e.preventDefault();
-          if (listeningRef.current) stopListening(); else startListening();
-          break;
-        case 'ArrowDown':
-          e.preventDefault();
-          advance();
-          break;
-        case 'ArrowUp':
-          e.preventDefault();
-          goBack();
-          break;
-        case 's': case 'S':
-          e.preventDefault();
-          openModal();
-          break;
-        case 'r': case 'R':
-          e.preventDefault();
-          setCurLine(0); setWordIndex(0);
-          break;
-        case 'Escape':
-          if (editingLine >= 0) setEditingLine(-1);
-          break;
-      }
-    };
-    window.addEventListener('keydown', handler);
-    return () => window.removeEventListener('keydown', handler);
-  }, [advance, goBack, startListening, stopListening, openModal, modalOpen, editingLine]);
+  // Keyboard shortcuts (keys from lib/keymap, 'teleprompter' scope). While
+  // the script manager is open only the cancel key does anything.
+  const unlessModal = (fn) => () => { if (!modalOpen) fn(); };
+  useShortcuts('teleprompter', {
+    'teleprompter.voice': unlessModal(() => {
+      if (listeningRef.current) stopListening(); else startListening();
+    }),
+    'teleprompter.advance': unlessModal(advance),
+    'teleprompter.back': unlessModal(goBack),
+    'teleprompter.scripts': unlessModal(openModal),
+    'teleprompter.restart': unlessModal(() => {
+      setCurLine(0); setWordIndex(0);
+    }),
+    'teleprompter.cancel': () => {
+      if (modalOpen) setModalOpen(false);
+      else if (editingLine >= 0) setEditingLine(-1);
+    },
+  });
+  const keymap = useKeymap();
 
   // Render
   const cur = lines[curLine];
@@ -505,8 +488,9 @@ export function Teleprompter() {
       {/* Status bar */}
       <div className={styles.status}>
         <span>
-          <kbd>Space</kbd> Voice &nbsp; <kbd>&uarr;</kbd><kbd>&darr;</kbd> Navigate &nbsp;
-          <kbd>Dbl-click</kbd> Edit &nbsp; <kbd>S</kbd> Scripts
+          <kbd>{shortcutLabel('teleprompter.voice', keymap)}</kbd> Voice &nbsp;
+          <kbd>{shortcutLabel('teleprompter.back', keymap)}</kbd><kbd>{shortcutLabel('teleprompter.advance', keymap)}</kbd> Navigate &nbsp;
+          <kbd>Dbl-click</kbd> Edit &nbsp; <kbd>{shortcutLabel('teleprompter.scripts', keymap)}</kbd> Scripts
         </span>
         <span>Line {curLine + 1} / {lines.length}</span>
       </div>
@@ -0,0 +1,86 @@
+import React from 'react';
+
+/**
+ * VarietyRoundSlide - One round of "Who Tattooed It?"
+ *
+ * Rendered in stages so the host can build the reveal with the normal
+ * next-slide controls:
+ *   stage 0              mystery image only
+ *   stage 1..hints       hints appear one at a time
+ *   stage hints + 1      answer, Instagram handle and reveal image
+ */
+export function VarietyRoundSlide({
+  roundNumber,
+  totalRounds,
+  image,
+  imageDescription,
+  hints = [],
+  answer,
+  answerInstagram,
+  revealImage,
+  revealNote,
+  stage = 0,
+}) {
+  const hintsShown = Math.min(stage, hints.length);
+  const revealed = stage > hints.length;
+
+  return (
+    <div className="slideshow-container bg-background"
+      style={{ display: 'flex', flexDirection: 'column', padding: '3rem 4rem' }}
+    >
+      {/* Header */}
+      <div className="flex items-baseline justify-between" style={{ flexShrink: 0, marginBottom: '2rem' }}>
+        <h2 className="text-6xl font-bold brand-accent">Who Tattooed It?</h2>
+        <div className="text-2xl text-muted-foreground tracking-widest uppercase">
+          Round {roundNumber}{totalRounds ? ` of ${totalRounds}` : ''}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-12" style={{ flex: 1, minHeight: 0 }}>
+        {/* Left: mystery image, swapped for the reveal image once answered */}
+        <div className="flex items-center justify-center bg-card rounded-lg border-2 brand-border p-6"
+          style={{ minHeight: 0 }}
+        >
+          <img
+            src={revealed && revealImage ? revealImage : image}
+            alt={imageDescription || `Round ${roundNumber}`}
+            className="max-w-full max-h-full object-contain rounded"
+          />
+        </div>
+
+        {/* Right: hints, then the answer */}
+        <div className="flex flex-col justify-center">
+          {hintsShown === 0 && !revealed && (
+            <div className="text-4xl text-muted-foreground">Who do you think it is?</div>
+          )}
+
+          {hintsShown > 0 && (
+            <ul className="space-y-6">
+              {hints.slice(0, hintsShown).map((hint, index) => (
+                <li key={index} className="flex items-start gap-4">
+                  <span className="brand-accent text-3xl font-bold flex-shrink-0">
+                    Hint {index + 1}
+                  </span>
+                  <span className="text-3xl leading-relaxed">{hint}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {revealed && (
+            <div className="mt-12 p-8 bg-card rounded-lg border-2 brand-border">
+              <div className="text-xl text-muted-foreground uppercase tracking-widest mb-2">It was</div>
+              <div className="text-6xl font-bold brand-accent">{answer}</div>
+              {answerInstagram && (
+                <div className="text-3xl text-foreground/80 mt-3">@{answerInstagram}</div>
+              )}
+              {revealNote && (
+                <div className="text-xl text-muted-foreground mt-6 leading-relaxed">{revealNote}</div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
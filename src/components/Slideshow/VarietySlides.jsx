@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from 'react';
+
+/**
+ * ShowcaseSlide - One image with a name and a short story
+ * Used by critique, viewer-spotlight, call-a-friend and drawing submissions.
+ * When `reveal` is set the slide has two stages and the reveal text
+ * appears on the second.
+ */
+export function ShowcaseSlide({ kicker, title, subtitle, image, video, body, reveal, stage = 0 }) {
+  return (
+    <div className="slideshow-container bg-background"
+      style={{ display: 'flex', flexDirection: 'column', padding: '3rem 4rem' }}
+    >
+      {kicker && (
+        <div className="text-2xl text-muted-foreground tracking-widest uppercase" style={{ flexShrink: 0, marginBottom: '1.5rem' }}>
+          {kicker}
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-12" style={{ flex: 1, minHeight: 0 }}>
+        <div className="flex items-center justify-center bg-card rounded-lg border-2 brand-border p-6"
+          style={{ minHeight: 0 }}
+        >
+          {video && !image ? (
+            <video src={video} className="max-w-full max-h-full rounded" autoPlay muted loop playsInline />
+          ) : image ? (
+            <img src={image} alt={title} className="max-w-full max-h-full object-contain rounded" />
+          ) : (
+            <div className="text-4xl text-muted-foreground">{kicker}</div>
+          )}
+        </div>
+
+        <div className="flex flex-col justify-center">
+          <h2 className="text-6xl font-bold brand-accent">{title}</h2>
+          {subtitle && <div className="text-3xl text-foreground/80 mt-3">{subtitle}</div>}
+          {body && <div className="text-2xl text-muted-foreground mt-8 leading-relaxed">{body}</div>}
+          {reveal && stage > 0 && (
+            <div className="mt-10 p-8 bg-card rounded-lg border-2 brand-border text-2xl leading-relaxed">
+              {reveal}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Countdown - Seconds remaining, restarted by remounting (key) per card
+ */
+function Countdown({ seconds }) {
+  const [remaining, setRemaining] = useState(seconds);
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      setRemaining(prev => Math.max(0, prev - 1));
+    }, 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const m = Math.floor(remaining / 60);
+  const s = String(remaining % 60).padStart(2, '0');
+  return (
+    <div
+      className={`text-5xl font-bold font-mono ${remaining <= 5 ? 'text-red-500' : 'brand-accent'}`}
+    >
+      {m}:{s}
+    </div>
+  );
+}
+
+/**
+ * PromptCardSlide - Big statement cards, one per stage
+ * Hot-takes deals its statements as a rapid-fire deck; drawing-exercise and
+ * tattoo-roulette show their prompt / combo. An optional countdown restarts
+ * on every card.
+ */
+export function PromptCardSlide({ kicker, cards = [], countdownSeconds = 0, stage = 0 }) {
+  const card = cards[Math.min(stage, cards.length - 1)] || { text: '' };
+
+  return (
+    <div className="slideshow-container flex items-center justify-center">
+      <div className="absolute inset-0 brand-gradient opacity-10" />
+
+      {countdownSeconds > 0 && (
+        <div className="absolute top-12 right-16 z-10">
+          <Countdown key={`${stage}-${card.text}`} seconds={countdownSeconds} />
+        </div>
+      )}
+
+      <div className="relative z-10 text-center px-24 max-w-6xl">
+        {kicker && (
+          <div className="text-3xl text-muted-foreground mb-10 tracking-widest uppercase">{kicker}</div>
+        )}
+        <div className="text-7xl font-bold leading-tight">{card.text}</div>
+        {card.detail && (
+          <div className="text-2xl text-muted-foreground mt-10">{card.detail}</div>
+        )}
+      </div>
+
+      {cards.length > 1 && (
+        <div className="absolute bottom-12 left-0 w-full flex justify-center gap-3 z-10">
+          {cards.map((_, i) => (
+            <span
+              key={i}
+              className={i <= stage ? 'brand-gradient' : 'bg-card'}
+              style={{ width: i === stage ? 40 : 14, height: 14, borderRadius: 7 }}
+            />
+          ))}
+        </div>
+      )}
+
+      <div className="absolute top-0 left-0 w-full h-2 brand-gradient" />
+    </div>
+  );
+}
+
+/**
+ * BeforeAfterSlide - Cover-up / rework comparison
+ *   layout 'wipe'   stage 0 before, stage 1 the after wipes across it
+ *   layout 'split'  side by side, the after fades in on stage 1
+ */
+export function BeforeAfterSlide({ before, after, artistName, story, layout = 'wipe', stage = 0 }) {
+  const showAfter = stage > 0;
+  const label = (text) => (
+    <span className="absolute top-4 left-4 bg-black/60 px-4 py-1 rounded text-xl uppercase tracking-widest">
+      {text}
+    </span>
+  );
+
+  return (
+    <div className="slideshow-container bg-background"
+      style={{ display: 'flex', flexDirection: 'column', padding: '3rem 4rem' }}
+    >
+      <div className="flex items-baseline justify-between" style={{ flexShrink: 0, marginBottom: '2rem' }}>
+        <h2 className="text-6xl font-bold brand-accent">Before &amp; After</h2>
+        {artistName && <div className="text-3xl text-foreground/80">{artistName}</div>}
+      </div>
+
+      {layout === 'split' ? (
+        <div className="grid grid-cols-2 gap-8" style={{ flex: 1, minHeight: 0 }}>
+          <div className="relative flex items-center justify-center bg-card rounded-lg overflow-hidden">
+            <img src={before} alt="Before" className="max-w-full max-h-full object-contain" />
+            {label('Before')}
+          </div>
+          <div className="relative flex items-center justify-center bg-card rounded-lg overflow-hidden"
+            style={{ opacity: showAfter ? 1 : 0, transition: 'opacity 0.8s ease' }}
+          >
+            <img src={after} alt="After" className="max-w-full max-h-full object-contain" />
+            {label('After')}
+          </div>
+        </div>
+      ) : (
+        <div className="relative bg-card rounded-lg overflow-hidden" style={{ flex: 1, minHeight: 0 }}>
+          <img src={before} alt="Before" className="absolute inset-0 w-full h-full object-contain" />
+          <div
+            className="absolute inset-0"
+            style={{
+              clipPath: showAfter ? 'inset(0 0 0 0)' : 'inset(0 100% 0 0)',
+              transition: 'clip-path 1.2s ease-in-out',
+            }}
+          >
+            <img src={after} alt="After" className="absolute inset-0 w-full h-full object-contain bg-card" />
+          </div>
+          {label(showAfter ? 'After' : 'Before')}
+        </div>
+      )}
+
+      {story && showAfter && (
+        <div className="text-2xl text-muted-foreground mt-6 leading-relaxed" style={{ flexShrink: 0 }}>{story}</div>
+      )}
+    </div>
+  );
+}
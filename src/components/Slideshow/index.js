@@ -7,5 +7,12 @@ export { SlideController } from './SlideController';
 export { TitleCard } from './TitleCard';
 export { PortfolioSlide } from './PortfolioSlide';
 export { EducationSlide } from './EducationSlide';
+export { QuoteCardSlide } from './QuoteCardSlide';
+export { PanelistSpotlightSlide } from './PanelistSpotlightSlide';
+export { VarietyRoundSlide } from './VarietyRoundSlide';
+export { ShowcaseSlide, PromptCardSlide, BeforeAfterSlide } from './VarietySlides';
 export { LowerThird } from './LowerThird';
-export { QRCode, QRCodeWithTracking } from './QRCode';
+export { DebateScoreboard } from './DebateScoreboard';
+export { SponsorSlide, PlatformCtaSlide } from './SponsorSlide';
+export { QRCode, QRCodeWithTracking, QRImage } from './QRCode';
+export { registerSlideType, getSlideType, renderSlide } from './slideTypes';
@@ -0,0 +1,408 @@
+import React from 'react';
+import { TitleCard } from './TitleCard';
+import { PortfolioSlide } from './PortfolioSlide';
+import { EducationSlide } from './EducationSlide';
+import ScriptSlide from '../slides/ScriptSlide';
+import { IntroSlide, BumperSlide, OutroSlide } from './ShowBreakSlides';
+import { QuoteCardSlide } from './QuoteCardSlide';
+import { PanelistSpotlightSlide } from './PanelistSpotlightSlide';
+import { VarietyRoundSlide } from './VarietyRoundSlide';
+import { ShowcaseSlide, PromptCardSlide, BeforeAfterSlide } from './VarietySlides';
+import { SponsorSlide, PlatformCtaSlide } from './SponsorSlide';
+
+/**
+ * Slide-type registry — everything the slideshow needs to know about a
+ * slide `type`, in one place. SlideController (audience) and PresenterView
+ * (previews, notes, timeline) both go through here, so a new slide type is a
+ * single registerSlideType() call.
+ *
+ * Each entry:
+ *   render(slide, ctx)        full 1920x1080 slide; ctx = { stage,
+ *                             portfolioLayout, selectedImage, onSelectImage }
+ *   thumbnail(slide)          small preview for the ShowTimeline (optional —
+ *                             defaults to a colour swatch)
+ *   notes(slide, stage)       { presenterNotes, talkingPoints } for the notes
+ *                             popout (optional — defaults to the slide fields)
+ *   stageLabel(slide, stage)  name of a build step on staged slides (optional)
+ *   color                     timeline colour
+ *   defaultDurationMs         used when the slide has no durationMs of its own
+ *   ownsQR                    the slide draws its own QR, so the QR overlay
+ *                             stays off it (optional)
+ */
+
+const registry = new Map();
+
+export function registerSlideType(type, definition) {
+  registry.set(type, { type, color: '#555', defaultDurationMs: 0, ...definition });
+}
+
+export function getSlideType(type) {
+  return registry.get(type) || null;
+}
+
+// ── Shared helpers ───────────────────────────────────────────────────
+
+function mediaUrl(media) {
+  return media && typeof media === 'object' ? media.url : media;
+}
+
+function imageThumbnail(url) {
+  if (!url) return null;
+  return (
+    <img
+      src={url}
+      alt=""
+      style={{ width: '100%', height: '100%', objectFit: 'cover', display: 'block' }}
+    />
+  );
+}
+
+function defaultNotes(slide) {
+  return {
+    presenterNotes: slide.presenterNotes || slide.notes || '',
+    talkingPoints: slide.talkingPoints || [],
+  };
+}
+
+// ── Rendering entry points ───────────────────────────────────────────
+
+/**
+ * Render a slide at full size. Unknown types render a placeholder rather
+ * than throwing, so one bad entry can't take the show down.
+ */
+export function renderSlide(slide, ctx = {}) {
+  const definition = getSlideType(slide.type);
+  if (!definition) {
+    return (
+      <div className="slideshow-container flex items-center justify-center">
+        <div className="text-4xl text-muted-foreground">
+          Unknown slide type: {slide.type}
+        </div>
+      </div>
+    );
+  }
+  return definition.render(slide, {
+    stage: 0,
+    portfolioLayout: 'grid',
+    selectedImage: null,
+    onSelectImage: null,
+    ...ctx,
+  });
+}
+
+export function renderSlideThumbnail(slide) {
+  const definition = getSlideType(slide.type);
+  const thumb = definition?.thumbnail?.(slide);
+  return thumb || <div style={{ width: '100%', height: '100%', background: slideColor(slide.type) }} />;
+}
+
+export function getSlideNotes(slide, stage = 0) {
+  const definition = getSlideType(slide.type);
+  return definition?.notes ? definition.notes(slide, stage) : defaultNotes(slide);
+}
+
+export function slideColor(type) {
+  return getSlideType(type)?.color || '#555';
+}
+
+export function slideOwnsQR(slide) {
+  return !!getSlideType(slide?.type)?.ownsQR;
+}
+
+export function slideStageLabel(slide, stage) {
+  const definition = getSlideType(slide.type);
+  if (definition?.stageLabel) return definition.stageLabel(slide, stage);
+  return `Step ${stage + 1}/${slide.stages || 1}`;
+}
+
+/**
+ * Fill in durationMs from the registry for slides that don't carry one
+ * (legacy episode slides). Slides built from a Show rundown already do.
+ */
+export function applyDefaultDurations(slides) {
+  return slides.map(slide => {
+    if (slide.durationMs !== undefined) return slide;
+    const defaultMs = getSlideType(slide.type)?.defaultDurationMs;
+    return defaultMs ? { ...slide, durationMs: defaultMs } : slide;
+  });
+}
+
+// ── Built-in slide types ─────────────────────────────────────────────
+
+registerSlideType('title', {
+  color: '#f97316',
+  defaultDurationMs: 15000,
+  render: (slide) => (
+    <TitleCard
+      title={slide.title}
+      episodeNumber={slide.episodeNumber}
+      airDate={slide.airDate}
+      host={slide.host}
+    />
+  ),
+});
+
+registerSlideType('portfolio', {
+  color: '#3b82f6',
+  defaultDurationMs: 60000,
+  render: (slide, { portfolioLayout, selectedImage, onSelectImage }) => (
+    <PortfolioSlide
+      artistName={slide.artistName}
+      artistStyle={slide.artistStyle}
+      artistLocation={slide.artistLocation}
+      artistInstagram={slide.artistInstagram}
+      images={slide.images}
+      range={slide.range}
+      autoAdvance={slide.autoAdvance || false}
+      autoAdvanceMs={slide.autoAdvanceMs || 20000}
+      layout={portfolioLayout}
+      selectedImage={selectedImage}
+      onSelectImage={onSelectImage}
+    />
+  ),
+  thumbnail: (slide) => imageThumbnail(mediaUrl(slide.images?.[slide.range?.[0] || 0])),
+});
+
+registerSlideType('education', {
+  color: '#10b981',
+  defaultDurationMs: 45000,
+  render: (slide) => (
+    <EducationSlide
+      slideNumber={slide.slideNumber}
+      title={slide.title}
+      visual={slide.visual}
+      keyPoints={slide.keyPoints}
+      stats={slide.stats}
+      layout={slide.layout}
+    />
+  ),
+  thumbnail: (slide) => (typeof slide.visual === 'string' ? imageThumbnail(slide.visual) : null),
+  notes: (slide) => ({
+    presenterNotes: slide.presenterNotes || '',
+    talkingPoints: slide.keyPoints || [],
+  }),
+});
+
+registerSlideType('script', {
+  color: '#a855f7',
+  defaultDurationMs: 60000,
+  render: (slide) => (
+    <ScriptSlide
+      script={{
+        segment: slide.segment,
+        timeCode: slide.timeCode,
+        title: slide.title,
+        type: slide.scriptType,
+        talkingPoints: slide.talkingPoints,
+        notes: slide.notes,
+        cue: slide.cue
+      }}
+    />
+  ),
+});
+
+registerSlideType('quote-card', {
+  color: '#14b8a6',
+  defaultDurationMs: 30000,
+  render: (slide) => (
+    <QuoteCardSlide
+      question={slide.question}
+      answer={slide.answer}
+      pullQuote={slide.pullQuote}
+      part={slide.part}
+      parts={slide.parts}
+      guestName={slide.guestName}
+      images={slide.images}
+    />
+  ),
+  thumbnail: (slide) => imageThumbnail(slide.images?.[0]),
+  // The host reads the answer aloud from the notes window
+  notes: (slide) => ({
+    presenterNotes: slide.presenterNotes || '',
+    talkingPoints: [slide.question, slide.answer].filter(Boolean),
+  }),
+});
+
+registerSlideType('panelist-spotlight', {
+  color: '#6366f1',
+  defaultDurationMs: 45000,
+  render: (slide) => (
+    <PanelistSpotlightSlide
+      name={slide.name}
+      title={slide.panelistTitle}
+      location={slide.location}
+      instagram={slide.instagram}
+      headshot={slide.headshot}
+      portfolio={slide.portfolio}
+      pricingModel={slide.pricingModel}
+      perspective={slide.perspective}
+      index={slide.index}
+      total={slide.total}
+    />
+  ),
+  thumbnail: (slide) => imageThumbnail(slide.headshot),
+});
+
+registerSlideType('intro', {
+  color: '#eab308',
+  // pre-show hold — runs until the host goes live
+  defaultDurationMs: 0,
+  render: (slide) => (
+    <IntroSlide
+      episodeTitle={slide.title}
+      episodeNumber={slide.episodeNumber}
+      host={slide.host}
+      airDate={slide.airDate}
+    />
+  ),
+});
+
+registerSlideType('bumper', {
+  color: '#6b7280',
+  defaultDurationMs: 30000,
+  render: (slide) => (
+    <BumperSlide
+      message={slide.message}
+      qrUrl={slide.qrUrl}
+      qrMessage={slide.qrMessage}
+      nextSegmentLabel={slide.nextSegmentLabel}
+      sting={slide.sting}
+      kicker={slide.kicker}
+      durationMs={slide.durationMs}
+    />
+  ),
+});
+
+registerSlideType('outro', {
+  color: '#eab308',
+  defaultDurationMs: 60000,
+  render: (slide) => (
+    <OutroSlide
+      episodeTitle={slide.title}
+      episodeNumber={slide.episodeNumber}
+      host={slide.host}
+      qrUrl={slide.qrUrl}
+      qrMessage={slide.qrMessage}
+    />
+  ),
+});
+
+registerSlideType('sponsor', {
+  color: '#f59e0b',
+  defaultDurationMs: 60000,
+  ownsQR: true,
+  render: (slide) => (
+    <SponsorSlide
+      name={slide.sponsorName}
+      type={slide.sponsorType}
+      logo={slide.logo}
+      website={slide.website}
+      instagram={slide.instagram}
+      adCopy={slide.adCopy}
+      eventDates={slide.eventDates}
+      eventLocation={slide.eventLocation}
+      featuredArtists={slide.featuredArtists}
+      qrCampaign={slide.qrCampaigns?.[0]}
+      qrMessage={slide.qrMessage}
+    />
+  ),
+  thumbnail: (slide) => imageThumbnail(slide.logo),
+});
+
+registerSlideType('platform-cta', {
+  color: '#f97316',
+  defaultDurationMs: 30000,
+  ownsQR: true,
+  render: (slide) => (
+    <PlatformCtaSlide
+      script={slide.script}
+      qrCampaign={slide.qrCampaigns?.[0]}
+      qrMessage={slide.qrMessage}
+    />
+  ),
+});
+
+registerSlideType('variety-round', {
+  color: '#ec4899',
+  defaultDurationMs: 120000,
+  render: (slide, { stage }) => (
+    <VarietyRoundSlide
+      roundNumber={slide.roundNumber}
+      totalRounds={slide.totalRounds}
+      image={slide.image}
+      imageDescription={slide.imageDescription}
+      hints={slide.hints}
+      answer={slide.answer}
+      answerInstagram={slide.answerInstagram}
+      revealImage={slide.revealImage}
+      revealNote={slide.revealNote}
+      stage={stage}
+    />
+  ),
+  thumbnail: (slide) => imageThumbnail(slide.image),
+  stageLabel: (slide, stage) => {
+    const hintCount = slide.hints?.length || 0;
+    if (stage === 0) return 'Image';
+    if (stage <= hintCount) return `Hint ${stage}/${hintCount}`;
+    return 'Reveal';
+  },
+  // Hints revealed so far read as talking points
+  notes: (slide, stage) => ({
+    presenterNotes: slide.presenterNotes || '',
+    talkingPoints: (slide.hints || []).slice(0, stage),
+  }),
+});
+
+registerSlideType('showcase', {
+  color: '#ec4899',
+  defaultDurationMs: 45000,
+  render: (slide, { stage }) => (
+    <ShowcaseSlide
+      kicker={slide.kicker}
+      title={slide.title}
+      subtitle={slide.subtitle}
+      image={slide.image}
+      video={slide.video}
+      body={slide.body}
+      reveal={slide.reveal}
+      stage={stage}
+    />
+  ),
+  thumbnail: (slide) => imageThumbnail(slide.image),
+  stageLabel: (slide, stage) => (stage === 0 ? 'Image' : 'Reveal'),
+});
+
+registerSlideType('prompt-card', {
+  color: '#ec4899',
+  defaultDurationMs: 30000,
+  render: (slide, { stage }) => (
+    <PromptCardSlide
+      kicker={slide.kicker}
+      cards={slide.cards}
+      countdownSeconds={slide.countdownSeconds}
+      stage={stage}
+    />
+  ),
+  stageLabel: (slide, stage) => `Card ${stage + 1}/${slide.cards?.length || 1}`,
+  notes: (slide, stage) => ({
+    presenterNotes: slide.presenterNotes || '',
+    talkingPoints: slide.cards?.[stage] ? [slide.cards[stage].text] : [],
+  }),
+});
+
+registerSlideType('before-after', {
+  color: '#ec4899',
+  defaultDurationMs: 45000,
+  render: (slide, { stage }) => (
+    <BeforeAfterSlide
+      before={slide.before}
+      after={slide.after}
+      artistName={slide.artistName}
+      story={slide.story}
+      layout={slide.layout}
+      stage={stage}
+    />
+  ),
+  thumbnail: (slide) => imageThumbnail(slide.before),
+  stageLabel: (slide, stage) => (stage === 0 ? 'Before' : 'After'),
+});
@@ -0,0 +1,68 @@
+import { cn } from "@/lib/utils";
+import type { SaveResult, ValidationIssue } from "@/lib/types";
+
+interface SaveNoticeProps {
+  result: SaveResult | null;
+  /** Offered when the write was refused for schema violations only. */
+  onForce?: () => void;
+  className?: string;
+}
+
+export function IssueList({ issues, className }: { issues: ValidationIssue[]; className?: string }) {
+  return (
+    <ul className={cn("space-y-1", className)}>
+      {issues.map((issue, i) => (
+        <li key={i} className="flex gap-2 text-muted-foreground">
+          <code className="font-mono text-xs text-foreground">
+            {issue.path || "(root)"}
+          </code>
+          <span>{issue.message}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export function SaveNotice({ result, onForce, className }: SaveNoticeProps) {
+  if (!result) return null;
+
+  if (result.ok) {
+    return (
+      <div
+        className={cn(
+          "rounded-lg border border-green-500/30 bg-green-500/10 px-4 py-2 text-sm text-green-400",
+          className
+        )}
+      >
+        Saved to <code className="font-mono">public/data/{result.path}</code>
+        {result.warnings && result.warnings.length > 0 && (
+          <span className="text-yellow-400"> &middot; {result.warnings.length} schema warning(s)</span>
+        )}
+      </div>
+    );
+  }
+
+  const { code, message, issues } = result.error;
+
+  return (
+    <div
+      className={cn(
+        "rounded-lg border border-destructive/30 bg-destructive/10 px-4 py-3 text-sm",
+        className
+      )}
+    >
+      <div className="flex items-center gap-3">
+        <p className="flex-1 font-semibold text-destructive">{message}</p>
+        {code === "schema-violation" && onForce && (
+          <button
+            onClick={onForce}
+            className="px-3 py-1 rounded-md border border-destructive/50 text-xs font-semibold text-destructive hover:bg-destructive/20 transition-colors"
+          >
+            Save anyway
+          </button>
+        )}
+      </div>
+      {issues && issues.length > 0 && <IssueList issues={issues} className="mt-2" />}
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import { useState, useEffect, useLayoutEffect, useRef } from 'react';
+import { bindingsForScope, chordFromEvent, getKeymap, KEYMAP_CHANGE_EVENT } from '../lib/keymap';
+
+function isTypingTarget(target) {
+  const tag = target?.tagName;
+  return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || target?.isContentEditable;
+}
+
+/**
+ * Hook to run handlers for keymap shortcuts (see src/lib/keymap.ts).
+ *
+ * Handlers are looked up by shortcut id, so rebinding a key needs no change
+ * here. The latest handlers are always used — no stale closures — and keys
+ * typed into form fields are ignored.
+ *
+ * @param {'presenter'|'audience'|'teleprompter'} scope — which window's bindings apply
+ * @param {Record<string, (e: KeyboardEvent) => void>} handlers — shortcut id → handler
+ */
+export function useShortcuts(scope, handlers) {
+  const handlersRef = useRef(handlers);
+  useLayoutEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (isTypingTarget(e.target)) return;
+      const chord = chordFromEvent(e);
+      const id = chord && bindingsForScope(scope).get(chord);
+      const handler = id && handlersRef.current[id];
+      if (!handler) return;
+      e.preventDefault();
+      handler(e);
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [scope]);
+}
+
+/**
+ * Hook returning the current keymap, re-rendering when it is rebound (in
+ * this window or another one).
+ */
+export function useKeymap() {
+  const [keymap, setKeymap] = useState(getKeymap);
+
+  useEffect(() => {
+    const onChange = () => setKeymap(getKeymap());
+    window.addEventListener(KEYMAP_CHANGE_EVENT, onChange);
+    return () => window.removeEventListener(KEYMAP_CHANGE_EVENT, onChange);
+  }, []);
+
+  return keymap;
+}
@@ -1,9 +1,10 @@
 import { useState, useEffect } from 'react';
+import { fetchShow, fetchTape } from '../lib/api';
 
 /**
  * Hook to load a Show JSON and all referenced Tapes.
  *
- * @param {string} showId — filename stem, e.g. "show-ep4-pricing"
+ * @param {string} showId — show id or filename stem, e.g. "show-ep4-pricing"
  * @returns {{ show, tapes: Record<string, object>, loading, error }}
  */
 export function useShowData(showId) {
@@ -20,12 +21,8 @@ export function useShowData(showId) {
         setLoading(true);
         setError(null);
 
-        const base = import.meta.env.BASE_URL || '/';
-
-        // 1. Fetch the show JSON
-        const showRes = await fetch(`${base}data/shows/${showId}.json`);
-        if (!showRes.ok) throw new Error(`Show not found: ${showId}`);
-        const showData = await showRes.json();
+        // 1. Fetch the show JSON (resolved through the content manifest)
+        const showData = await fetchShow(showId);
 
         // 2. Collect all unique tapeIds referenced in the rundown
         const tapeIds = new Set();
@@ -42,21 +39,11 @@ export function useShowData(showId) {
         // 3. Fetch all tapes in parallel
         const tapeMap = {};
         const fetches = [...tapeIds].map(async (tapeId) => {
-          // Try common naming patterns
-          const paths = [
-            `${base}data/tapes/${tapeId}.json`,
-            `${base}data/tapes/tape-${tapeId}.json`,
-          ];
-          for (const path of paths) {
-            try {
-              const res = await fetch(path);
-              if (res.ok) {
-                tapeMap[tapeId] = await res.json();
-                return;
-              }
-            } catch { /* try next */ }
+          try {
+            tapeMap[tapeId] = await fetchTape(tapeId);
+          } catch {
+            console.warn(`[useShowData] Could not load tape: ${tapeId}`);
           }
-          console.warn(`[useShowData] Could not load tape: ${tapeId}`);
         });
 
         await Promise.all(fetches);
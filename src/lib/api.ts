@@ -1,12 +1,16 @@
 /**
  * Data layer for TattooNOW Show admin.
  *
- * v1: Reads from /public/data/ JSON files via fetch.
+ * v1: Reads from /public/data/ JSON files via fetch. Tapes, shows and
+ * episodes are discovered through the generated data/manifest.json.
  * Write operations POST to a dev-server API (when available),
  * falling back to console warnings in production.
  */
 
-import type { Tape, Show, TalentPool, ShowFormatsFile, ThemesSeasonsFile, Episode } from './types';
+import type {
+  Tape, Show, TalentPool, ShowFormatsFile, ThemesSeasonsFile, Episode,
+  ContentKind, ContentManifest, ContentManifestEntry, SaveResult, TapeSchemaFile,
+} from './types';
 
 const BASE = import.meta.env.BASE_URL || '/';
 const DATA_PATH = `${BASE}data`;
@@ -19,59 +23,76 @@ export async function fetchJSON<T>(path: string): Promise<T> {
   return res.json();
 }
 
-export async function listTapes(): Promise<Tape[]> {
-  // Fetch the tape index, or fall back to fetching known tapes
-  const knownTapes = [
-    'tapes/tape-nikko-hurtado.json',
-    'tapes/tape-shy-artist-text-qa.json',
-    'tapes/tape-pricing-panel.json',
-    'tapes/tape-pricing-education.json',
-    'tapes/tape-who-tattooed-it.json',
-    'tapes/tape-best-pricing-clips.json',
-    'tapes/tape-villain-arts-miami.json',
-  ];
-
-  const results = await Promise.allSettled(
-    knownTapes.map(path => fetchJSON<Tape>(path))
+// ── Content manifest (generated by plugins/contentManifest.ts) ───────
+
+let manifestRequest: Promise<ContentManifest> | null = null;
+
+/**
+ * Fetch the content manifest. The request is shared for the lifetime of the
+ * page so resolving many tapes at once costs a single round trip; pass
+ * `refresh` after a write to pick up new or renamed files.
+ */
+export function fetchManifest(refresh = false): Promise<ContentManifest> {
+  if (refresh || !manifestRequest) {
+    manifestRequest = fetchJSON<ContentManifest>('manifest.json').catch(err => {
+      manifestRequest = null;
+      throw err;
+    });
+  }
+  return manifestRequest;
+}
+
+async function listManifestEntries(kind: ContentKind): Promise<ContentManifestEntry[]> {
+  const manifest = await fetchManifest();
+  return manifest.entries.filter(e => e.kind === kind);
+}
+
+async function fetchAllOfKind<T>(kind: ContentKind): Promise<T[]> {
+  const entries = await listManifestEntries(kind);
+
+  const results: PromiseSettledResult<T>[] = await Promise.allSettled(
+    entries.map(entry => fetchJSON<T>(entry.path))
   );
 
   return results
-    .filter((r): r is PromiseFulfilledResult<Tape> => r.status === 'fulfilled')
+    .filter((r): r is PromiseFulfilledResult<T> => r.status === 'fulfilled')
     .map(r => r.value);
 }
 
+/**
+ * Resolve an id to its manifest entry. Accepts the record's own `id`, its
+ * filename stem (e.g. "show-ep4-pricing" for show-ep4-pricing-psychology),
+ * or the stem without its kind prefix ("nikko-hurtado" for
+ * tapes/tape-nikko-hurtado.json), as links from before the manifest use.
+ */
+export async function resolveEntry(kind: ContentKind, id: string): Promise<ContentManifestEntry | undefined> {
+  const entries = await listManifestEntries(kind);
+  const fileName = (e: ContentManifestEntry) => e.path.split('/').pop();
+  return (
+    entries.find(e => e.id === id) ||
+    entries.find(e => fileName(e) === `${id}.json`) ||
+    entries.find(e => fileName(e) === `${kind}-${id}.json`)
+  );
+}
+
+async function fetchById<T>(kind: ContentKind, id: string, label: string): Promise<T> {
+  const entry = await resolveEntry(kind, id);
+  if (!entry) throw new Error(`${label} not found: ${id}`);
+  return fetchJSON<T>(entry.path);
+}
+
+// ── Tapes / Episodes / Shows ─────────────────────────────────────────
+
+export async function listTapes(): Promise<Tape[]> {
+  return fetchAllOfKind<Tape>('tape');
+}
+
 export async function fetchTape(id: string): Promise<Tape> {
-  // Try direct ID match first, then common patterns
-  const paths = [
-    `tapes/${id}.json`,
-    `tapes/tape-${id}.json`,
-  ];
-
-  for (const path of paths) {
-    try {
-      return await fetchJSON<Tape>(path);
-    } catch {
-      continue;
-    }
-  }
-  throw new Error(`Tape not found: ${id}`);
+  return fetchById<Tape>('tape', id, 'Tape');
 }
 
 export async function listEpisodes(): Promise<Episode[]> {
-  const knownEpisodes = [
-    'episode-1.json',
-    'episode-2.json',
-    'episode-2-with-script.json',
-    'episode-3-with-script.json',
-  ];
-
-  const results = await Promise.allSettled(
-    knownEpisodes.map(path => fetchJSON<Episode>(path))
-  );
-
-  return results
-    .filter((r): r is PromiseFulfilledResult<Episode> => r.status === 'fulfilled')
-    .map(r => r.value);
+  return fetchAllOfKind<Episode>('episode');
 }
 
 export async function fetchEpisode(filename: string): Promise<Episode> {
@@ -79,34 +100,11 @@ export async function fetchEpisode(filename: string): Promise<Episode> {
 }
 
 export async function listShows(): Promise<Show[]> {
-  const knownShows = [
-    'shows/show-ep4-pricing.json',
-    'shows/show-ep9-panel-pricing-debate.json',
-  ];
-
-  const results = await Promise.allSettled(
-    knownShows.map(path => fetchJSON<Show>(path))
-  );
-
-  return results
-    .filter((r): r is PromiseFulfilledResult<Show> => r.status === 'fulfilled')
-    .map(r => r.value);
+  return fetchAllOfKind<Show>('show');
 }
 
 export async function fetchShow(id: string): Promise<Show> {
-  const paths = [
-    `shows/${id}.json`,
-    `shows/show-${id}.json`,
-  ];
-
-  for (const path of paths) {
-    try {
-      return await fetchJSON<Show>(path);
-    } catch {
-      continue;
-    }
-  }
-  throw new Error(`Show not found: ${id}`);
+  return fetchById<Show>('show', id, 'Show');
 }
 
 export async function fetchTalentPool(): Promise<TalentPool> {
@@ -121,32 +119,59 @@ export async function fetchThemesSeasons(): Promise<ThemesSeasonsFile> {
   return fetchJSON<ThemesSeasonsFile>('themes-seasons.json');
 }
 
-// ── Write operations (dev-only API) ──────────────────────────────────
+export async function fetchTapeSchema(): Promise<TapeSchemaFile> {
+  return fetchJSON<TapeSchemaFile>('tape-schema.json');
+}
+
+// ── Write operations (dev-only API, see plugins/dataWriteApi.ts) ─────
 
 const API_BASE = '/api/data';
 
-async function writeJSON(path: string, data: unknown): Promise<boolean> {
+export interface SaveOptions {
+  /** Write even if the tape breaks tape-schema.json rules. */
+  force?: boolean;
+}
+
+async function writeJSON(path: string, data: unknown, options: SaveOptions = {}): Promise<SaveResult> {
+  let res: Response;
   try {
-    const res = await fetch(`${API_BASE}/${path}`, {
+    res = await fetch(`${API_BASE}/${path}${options.force ? '?force=1' : ''}`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(data, null, 2),
     });
-    return res.ok;
   } catch {
     console.warn(`[api] Write not available (dev API not running). Path: ${path}`);
-    return false;
+    return { ok: false, error: { code: 'unavailable', message: 'Dev write API is not running' } };
   }
+
+  let result: SaveResult;
+  try {
+    result = await res.json();
+  } catch {
+    // Static hosting answers with an HTML 404/405 — no write path there
+    console.warn(`[api] Write not available (${res.status}). Path: ${path}`);
+    return { ok: false, error: { code: 'unavailable', message: `Saving is only available on the dev server (${res.status})` } };
+  }
+
+  if (result.ok) fetchManifest(true).catch(() => {});
+  return result;
+}
+
+/** Existing file for this id, or a new `<dir>/<id>.json`. */
+async function pathForWrite(kind: ContentKind, dir: string, id: string): Promise<string> {
+  const entry = await resolveEntry(kind, id).catch(() => undefined);
+  return entry?.path ?? `${dir}/${id}.json`;
 }
 
-export async function saveTape(id: string, data: Tape): Promise<boolean> {
-  return writeJSON(`tapes/${id}.json`, data);
+export async function saveTape(id: string, data: Tape, options?: SaveOptions): Promise<SaveResult> {
+  return writeJSON(await pathForWrite('tape', 'tapes', id), data, options);
 }
 
-export async function saveShow(id: string, data: Show): Promise<boolean> {
-  return writeJSON(`shows/${id}.json`, data);
+export async function saveShow(id: string, data: Show): Promise<SaveResult> {
+  return writeJSON(await pathForWrite('show', 'shows', id), data);
 }
 
-export async function saveTalentPool(data: TalentPool): Promise<boolean> {
+export async function saveTalentPool(data: TalentPool): Promise<SaveResult> {
   return writeJSON('talent-pool.json', data);
 }
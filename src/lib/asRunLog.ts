@@ -0,0 +1,308 @@
+/**
+ * As-run log — what actually aired, against the rundown's plan.
+ *
+ * The presenter window appends an event for every slide transition and
+ * overlay or mode toggle once the show clock is running, with wall-clock
+ * and show-relative times. The log lives in localStorage under the same key
+ * as the live session journal (lib/liveSession) and belongs to one run of
+ * the show: when the clock starts over, the next event starts a new log.
+ * A resumed session keeps its original start, so it keeps its log too.
+ *
+ * The log exports as JSON (the whole record — the admin report can import
+ * it back) or CSV (one row per event), and buildAsRunReport folds it into
+ * planned vs actual time per rundown entry.
+ */
+
+import { parseDuration } from './timecode';
+
+const STORAGE_PREFIX = 'tattoonow-asrun:';
+const LOG_VERSION = 1;
+
+/** A restored show clock is recomputed from elapsed time; allow for drift. */
+const SAME_RUN_TOLERANCE_MS = 2000;
+
+/** Keeps a runaway log (auto mode left on overnight) inside localStorage. */
+const MAX_EVENTS = 5000;
+
+export type AsRunEventKind = 'slide' | 'overlay' | 'mode' | 'session' | 'drop';
+
+export interface AsRunEvent {
+  kind: AsRunEventKind;
+  /** Wall clock, Date.now(). */
+  at: number;
+  /** Show clock — ms since the show started. */
+  showMs: number;
+  /** Slide on air when the event happened. */
+  slideIndex: number;
+  stage: number;
+  slideType: string;
+  slideTitle: string;
+  /** Rundown entry that produced the slide (undefined for legacy episodes). */
+  rundownIndex?: number;
+  rundownLabel?: string;
+  /** The slide's planned share of its entry's duration. */
+  plannedMs?: number;
+  targetTimeCode?: string;
+  /**
+   * overlay: qr, lowerThird, scoreboard, portfolioLayout; mode: auto,
+   * hardOut; session: resume, close; drop: the dropped entry's label, with
+   * its rundown entry number (from 1) as the value
+   */
+  name?: string;
+  value?: string | boolean;
+}
+
+export interface AsRunLog {
+  version: number;
+  /** Show id or legacy episode key — see sessionKey in lib/liveSession. */
+  key: string;
+  /** Wall clock when the show clock started. */
+  showStartTime: number;
+  events: AsRunEvent[];
+}
+
+/** The slide fields an event copies, as stamped by buildSlidesFromShow. */
+export interface AsRunSlide {
+  type?: string;
+  title?: string;
+  segment?: string | number;
+  rundownIndex?: number;
+  rundownLabel?: string;
+  durationMs?: number;
+  targetTimeCode?: string;
+}
+
+export function loadAsRun(key: string): AsRunLog | null {
+  try {
+    const log = JSON.parse(localStorage.getItem(STORAGE_PREFIX + key) || 'null');
+    return isAsRunLog(log) ? log : null;
+  } catch {
+    return null;
+  }
+}
+
+export function clearAsRun(key: string) {
+  try {
+    localStorage.removeItem(STORAGE_PREFIX + key);
+  } catch {
+    // Nothing to clear
+  }
+}
+
+/**
+ * Build an event for the slide on air. `detail` carries the kind plus, for
+ * toggles, the name and new value.
+ */
+export function asRunEvent(
+  detail: Pick<AsRunEvent, 'kind' | 'name' | 'value'>,
+  position: { slideIndex: number; stage: number; slide: AsRunSlide | undefined },
+  showStartTime: number,
+): AsRunEvent {
+  const at = Date.now();
+  const slide = position.slide || {};
+  return {
+    ...detail,
+    at,
+    showMs: Math.max(0, at - showStartTime),
+    slideIndex: position.slideIndex,
+    stage: position.stage,
+    slideType: slide.type || '',
+    slideTitle: slide.title || String(slide.segment ?? ''),
+    rundownIndex: slide.rundownIndex,
+    rundownLabel: slide.rundownLabel,
+    plannedMs: slide.durationMs,
+    targetTimeCode: slide.targetTimeCode || undefined,
+  };
+}
+
+/**
+ * Append an event to the show's log. A different show start means a new
+ * run, which replaces the previous run's log.
+ */
+export function appendAsRun(key: string, showStartTime: number, event: AsRunEvent) {
+  const existing = loadAsRun(key);
+  const log: AsRunLog = existing && Math.abs(existing.showStartTime - showStartTime) <= SAME_RUN_TOLERANCE_MS
+    ? existing
+    : { version: LOG_VERSION, key, showStartTime, events: [] };
+  log.events.push(event);
+  if (log.events.length > MAX_EVENTS) log.events.splice(0, log.events.length - MAX_EVENTS);
+  try {
+    localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(log));
+  } catch {
+    // Storage full or disabled — the show goes on unlogged
+  }
+}
+
+function isAsRunLog(value: unknown): value is AsRunLog {
+  const log = value as AsRunLog | null;
+  return !!log && typeof log.showStartTime === 'number' && Array.isArray(log.events);
+}
+
+/** Parse an exported JSON log; throws on anything else. */
+export function parseAsRunJson(text: string): AsRunLog {
+  const log = JSON.parse(text);
+  if (!isAsRunLog(log)) throw new Error('Not an as-run log');
+  return log;
+}
+
+// ── Export ───────────────────────────────────────────────────────────
+
+export function asRunToJson(log: AsRunLog): string {
+  return JSON.stringify(log, null, 2);
+}
+
+const CSV_COLUMNS: Array<[string, (e: AsRunEvent) => unknown]> = [
+  ['wall_clock', e => new Date(e.at).toISOString()],
+  ['show_time', e => formatShowTime(e.showMs)],
+  ['show_ms', e => e.showMs],
+  ['kind', e => e.kind],
+  ['name', e => e.name],
+  ['value', e => e.value],
+  ['slide', e => e.slideIndex + 1],
+  ['stage', e => e.stage + 1],
+  ['slide_type', e => e.slideType],
+  ['slide_title', e => e.slideTitle],
+  ['rundown_entry', e => (e.rundownIndex !== undefined ? e.rundownIndex + 1 : '')],
+  ['rundown_label', e => e.rundownLabel],
+  ['planned_ms', e => e.plannedMs],
+  ['target_time_code', e => e.targetTimeCode],
+];
+
+function csvCell(value: unknown): string {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** One row per event; slide and rundown entry numbers count from 1. */
+export function asRunToCsv(log: AsRunLog): string {
+  const rows = [
+    CSV_COLUMNS.map(([header]) => header).join(','),
+    ...log.events.map(event => CSV_COLUMNS.map(([, get]) => csvCell(get(event))).join(',')),
+  ];
+  return rows.join('\n') + '\n';
+}
+
+/** "1:02:05" / "2:05" — show clock as a duration. */
+export function formatShowTime(ms: number): string {
+  const total = Math.max(0, Math.round(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/** Save text as a file download. */
+export function downloadText(filename: string, text: string, type: string) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/** Download the log as `<key>-as-run.json` or `.csv`. */
+export function downloadAsRun(log: AsRunLog, format: 'json' | 'csv') {
+  const name = `${log.key.replace(/[^a-z0-9_-]/gi, '_')}-as-run.${format}`;
+  if (format === 'json') {
+    downloadText(name, asRunToJson(log), 'application/json');
+  } else {
+    downloadText(name, asRunToCsv(log), 'text/csv');
+  }
+}
+
+// ── Report ───────────────────────────────────────────────────────────
+
+export interface AsRunEntryReport {
+  index: number;
+  label: string;
+  optional: boolean;
+  plannedStartMs: number;
+  plannedMs: number;
+  /** First time one of the entry's slides went on air; null if none did. */
+  actualStartMs: number | null;
+  /** Total time the entry's slides were on air, across every visit. */
+  actualMs: number;
+  /** actualMs − plannedMs, null if the entry never aired. */
+  deltaMs: number | null;
+  /** Dropped by hard-out protection (and not aired after all). */
+  dropped: boolean;
+}
+
+export interface AsRunReport {
+  entries: AsRunEntryReport[];
+  plannedTotalMs: number;
+  /** Show clock at the last logged event. */
+  actualTotalMs: number;
+  /** Time on slides that don't map to a rundown entry (legacy episodes). */
+  unmatchedMs: number;
+  eventCount: number;
+}
+
+/**
+ * Planned vs actual per rundown entry. Each slide event starts a stretch
+ * that lasts until the next slide event — or, for the last one, until the
+ * last event of any kind (the presenter window logs `close` when it goes
+ * away). Planned starts are laid end to end from the durations, the way
+ * timeCodes are.
+ */
+export function buildAsRunReport(
+  log: AsRunLog,
+  rundown: Array<{ duration: string; label?: string; type?: string; optional?: boolean }>,
+): AsRunReport {
+  let plannedStartMs = 0;
+  const entries: AsRunEntryReport[] = rundown.map((entry, index) => {
+    const plannedMs = parseDuration(entry.duration) * 1000;
+    const row: AsRunEntryReport = {
+      index,
+      label: entry.label || entry.type || `Entry ${index + 1}`,
+      optional: !!entry.optional,
+      plannedStartMs,
+      plannedMs,
+      actualStartMs: null,
+      actualMs: 0,
+      deltaMs: null,
+      dropped: false,
+    };
+    plannedStartMs += plannedMs;
+    return row;
+  });
+
+  const events = log.events;
+  const endMs = events.length > 0 ? events[events.length - 1].showMs : 0;
+  const slideEvents = events.filter(e => e.kind === 'slide');
+  let unmatchedMs = 0;
+
+  slideEvents.forEach((event, i) => {
+    const until = i + 1 < slideEvents.length ? slideEvents[i + 1].showMs : endMs;
+    const spanMs = Math.max(0, until - event.showMs);
+    const row = event.rundownIndex !== undefined ? entries[event.rundownIndex] : undefined;
+    if (!row) {
+      unmatchedMs += spanMs;
+      return;
+    }
+    if (row.actualStartMs === null) row.actualStartMs = event.showMs;
+    row.actualMs += spanMs;
+  });
+
+  for (const event of events) {
+    const row = event.kind === 'drop' && event.value !== undefined ? entries[Number(event.value) - 1] : undefined;
+    if (row) row.dropped = true;
+  }
+  for (const row of entries) {
+    if (row.actualStartMs !== null) {
+      row.deltaMs = row.actualMs - row.plannedMs;
+      row.dropped = false;
+    }
+  }
+
+  return {
+    entries,
+    plannedTotalMs: plannedStartMs,
+    actualTotalMs: endMs,
+    unmatchedMs,
+    eventCount: events.length,
+  };
+}
@@ -0,0 +1,355 @@
+/**
+ * Show assembly — expand a format's rundownTemplate into a `Show`.
+ *
+ * A format (show-formats.json) is a list of template entries: either a
+ * "skeleton:<id>" reference to one of the rigid segments every show shares,
+ * or a tape entry that names a `tapeSlot`. Assembly walks that list, fills
+ * tape slots from the producer's picks, interpolates `{episode.host}`-style
+ * placeholders in skeleton host scripts (intro teases come from ./teases),
+ * and lays down cumulative time codes.
+ *
+ * Output matches the hand-written v2 shows (see show-ep9): skeleton entries
+ * carry `segment`, tape entries carry `type` + `tapeId`, and the slot → tape
+ * picks are recorded under `tapes`.
+ */
+
+import type {
+  Show, ShowFormat, SkeletonSegment, RundownEntry, AdSlot, Tape, TapeType, ShowTapeAssignment,
+} from './types';
+import { retime } from './timecode';
+import { generateIntroTeases } from './teases';
+
+export interface EpisodeMeta {
+  number: number;
+  title: string;
+  airDate: string;
+  host: string;
+  duration?: number;   // minutes; defaults to the format's targetDuration
+  theme?: string;
+  season?: string;
+}
+
+/**
+ * Tapes picked for each slot of the format. A slot used by several template
+ * entries (e.g. two variety breaks) can take a list: the n-th entry for that
+ * slot gets the n-th tape, and the last tape repeats if the list runs out.
+ */
+export type TapeAssignments = Record<string, Tape | Tape[] | undefined>;
+
+const SKELETON_PREFIX = 'skeleton:';
+const INTRO_SEGMENT = 'intro';
+const PLACEHOLDER = /\{([\w.]+)\}/g;
+const HAS_PLACEHOLDER = /\{[\w.]+\}/;
+
+const ENTRY_LABELS: Record<string, string> = {
+  'guest-intro': 'Guest Intro',
+  'portfolio': 'Portfolio',
+  'discussion': 'Interview',
+  'education': 'Education',
+  'text-qa': 'Text Q&A',
+  'clips': 'Clips',
+  'variety': 'Variety',
+  'panel-intro': 'Meet the Panelists',
+  'panel': 'Panel Discussion',
+  'promo': 'Promo',
+};
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+/** Tape type a slot accepts: "interview-2" → "interview". */
+export function slotTapeType(slot: string): TapeType {
+  return slot.replace(/-\d+$/, '') as TapeType;
+}
+
+function tapesFor(assignments: TapeAssignments, slot: string): Tape[] {
+  const picked = assignments[slot];
+  if (!picked) return [];
+  return Array.isArray(picked) ? picked : [picked];
+}
+
+/** Required slots of `format` that have no tape assigned. */
+export function missingRequiredSlots(format: ShowFormat, assignments: TapeAssignments): string[] {
+  return Object.keys(format.requiredTapeSlots).filter(slot => tapesFor(assignments, slot).length === 0);
+}
+
+function lookup(context: Record<string, unknown>, key: string): unknown {
+  return key.split('.').reduce<unknown>(
+    (value, part) => (value && typeof value === 'object' ? (value as Record<string, unknown>)[part] : undefined),
+    context
+  );
+}
+
+/**
+ * Replace `{a.b}` placeholders from `context`. Placeholders with no value are
+ * left in place so callers can tell the line is incomplete.
+ */
+export function interpolate(template: string, context: Record<string, unknown>): string {
+  return template.replace(PLACEHOLDER, (match, key: string) => {
+    const value = lookup(context, key);
+    return value === undefined || value === null || value === '' ? match : String(value);
+  });
+}
+
+/**
+ * Interpolate host script lines. Lines whose placeholders can't be filled yet
+ * are dropped rather than read on air.
+ */
+export function fillScript(template: string[], context: Record<string, unknown>): string[] {
+  return template
+    .map(line => interpolate(line, context))
+    .filter(line => !HAS_PLACEHOLDER.test(line) && line.trim() !== '');
+}
+
+/** Every tape id a show references: rundown entries, ad slots and `tapes`. */
+export function collectTapeIds(show: Show): string[] {
+  const ids = new Set<string>();
+  for (const entry of show.rundown) {
+    if (entry.tapeId) ids.add(entry.tapeId);
+    for (const slot of entry.adSlots || []) {
+      if (slot.tapeId) ids.add(slot.tapeId);
+    }
+  }
+  for (const assignment of Object.values(show.tapes || {})) ids.add(assignment.tapeId);
+  return [...ids];
+}
+
+function tapeTitle(tape: Tape): string {
+  switch (tape.type) {
+    case 'interview':
+    case 'text-qa':
+      return tape.subject.name;
+    case 'panel':
+      return tape.content.topic;
+    case 'education':
+      return tape.content.source?.title || tape.content.slides[0]?.title || tape.id;
+    case 'variety':
+      return tape.variant.split('-').map(w => w[0].toUpperCase() + w.slice(1)).join(' ');
+    case 'promo':
+    case 'sponsor':
+    case 'ad':
+      return tape.sponsor.name;
+    default:
+      return tape.id;
+  }
+}
+
+function slugify(text: string): string {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .split('-')
+    .filter(Boolean)
+    .slice(0, 5)
+    .join('-');
+}
+
+// ── Skeleton segments ────────────────────────────────────────────────
+
+/** A skeleton segment's script: its `content.script` line, then the host template. */
+function scriptLines(segment: SkeletonSegment): string[] {
+  const lines: string[] = [];
+  const script = segment.content?.script;
+  if (typeof script === 'string') lines.push(script);
+  const template = segment.hostScript?.template;
+  if (Array.isArray(template)) lines.push(...(template as string[]));
+  return lines;
+}
+
+function skeletonEntry(
+  segment: SkeletonSegment,
+  context: Record<string, unknown>,
+  sponsorTape: Tape | undefined,
+): Omit<RundownEntry, 'timeCode'> {
+  const entry: Omit<RundownEntry, 'timeCode'> = {
+    duration: segment.duration,
+    segment: `${SKELETON_PREFIX}${segment.id}`,
+    label: segment.label,
+  };
+
+  const lines = scriptLines(segment);
+  if (lines.length > 0) entry.script = fillScript(lines, context);
+
+  // Bumper on-screen text; "{segment1.label}"-style text is left to the
+  // slide, which shows the next segment's label anyway
+  const text = segment.content?.text;
+  if (typeof text === 'string') {
+    const filled = interpolate(text, context);
+    if (!HAS_PLACEHOLDER.test(filled)) entry.config = { text: filled };
+  }
+
+  if (segment.slots) {
+    const platformCTA = segment.hostScript?.platformCTA as string | undefined;
+    entry.adSlots = segment.slots.map((slot): AdSlot => {
+      if (slot.type === 'sponsor') {
+        return sponsorTape
+          ? { tapeId: sponsorTape.id, tapeType: sponsorTape.type, duration: slot.duration, config: { overlays: ['qr'] } }
+          : { type: 'sponsor', duration: slot.duration };
+      }
+      return platformCTA
+        ? { type: 'platform-cta', duration: slot.duration, script: platformCTA }
+        : { type: 'platform-cta', duration: slot.duration };
+    });
+  }
+
+  return entry;
+}
+
+// ── Assembly ─────────────────────────────────────────────────────────
+
+/** The episode block and the placeholder context skeleton scripts fill from. */
+function assemblyContext(format: ShowFormat, episodeMeta: EpisodeMeta, tapeAssignments: TapeAssignments) {
+  const formatKey = format.id.replace(/^format-/, '');
+  const episode: Show['episode'] = {
+    number: episodeMeta.number,
+    title: episodeMeta.title,
+    airDate: episodeMeta.airDate,
+    duration: episodeMeta.duration ?? format.targetDuration,
+    host: episodeMeta.host,
+    format: formatKey,
+    ...(episodeMeta.theme && { theme: episodeMeta.theme }),
+    ...(episodeMeta.season && { season: episodeMeta.season }),
+  };
+  const assigned = Object.keys(tapeAssignments).flatMap(slot => tapesFor(tapeAssignments, slot));
+  const context: Record<string, unknown> = { episode, intro: generateIntroTeases(assigned) };
+  return { formatKey, episode, context };
+}
+
+export interface UnfilledLine {
+  /** Label of the skeleton segment the line belongs to. */
+  segment: string;
+  line: string;
+  /** Placeholders nothing filled, e.g. `outro.nextWeekTease`. */
+  placeholders: string[];
+}
+
+/**
+ * Skeleton script lines assembly will drop because a placeholder has no
+ * value yet — for the wizard to list before the show is created.
+ */
+export function unfilledScriptLines(
+  format: ShowFormat,
+  episodeMeta: EpisodeMeta,
+  tapeAssignments: TapeAssignments,
+  skeleton: SkeletonSegment[],
+): UnfilledLine[] {
+  const { context } = assemblyContext(format, episodeMeta, tapeAssignments);
+  const unfilled: UnfilledLine[] = [];
+  for (const item of format.rundownTemplate) {
+    if (typeof item !== 'string') continue;
+    const segment = skeleton.find(s => s.id === item.replace(SKELETON_PREFIX, ''));
+    if (!segment) continue;
+    for (const template of scriptLines(segment)) {
+      const line = interpolate(template, context);
+      const placeholders = [...line.matchAll(PLACEHOLDER)].map(match => match[1]);
+      if (placeholders.length > 0) unfilled.push({ segment: segment.label, line, placeholders });
+    }
+  }
+  return unfilled;
+}
+
+/**
+ * Build a `Show` from a format template, episode details and tape picks.
+ * Throws if a required tape slot is empty; optional entries without a tape
+ * are left out of the rundown.
+ */
+export function assembleShow(
+  format: ShowFormat,
+  episodeMeta: EpisodeMeta,
+  tapeAssignments: TapeAssignments,
+  skeleton: SkeletonSegment[],
+): Show {
+  const missing = missingRequiredSlots(format, tapeAssignments);
+  if (missing.length > 0) {
+    throw new Error(`Missing required tape slot(s): ${missing.join(', ')}`);
+  }
+
+  const { formatKey, episode, context } = assemblyContext(format, episodeMeta, tapeAssignments);
+  const sponsorTape = tapesFor(tapeAssignments, 'sponsor')[0] || tapesFor(tapeAssignments, 'promo')[0];
+
+  const slotUses: Record<string, number> = {};
+  const portfolioPages: Record<string, number> = {};
+  const entries: Omit<RundownEntry, 'timeCode'>[] = [];
+
+  for (const item of format.rundownTemplate) {
+    if (typeof item === 'string') {
+      const id = item.replace(SKELETON_PREFIX, '');
+      const segment = skeleton.find(s => s.id === id);
+      if (!segment) throw new Error(`Format ${formatKey} references unknown skeleton segment: ${id}`);
+      entries.push(skeletonEntry(segment, context, sponsorTape));
+      continue;
+    }
+
+    const tapes = tapesFor(tapeAssignments, item.tapeSlot);
+    if (tapes.length === 0) continue; // optional slot left empty
+
+    const use = slotUses[item.tapeSlot] ?? 0;
+    slotUses[item.tapeSlot] = use + 1;
+    const tape = tapes[Math.min(use, tapes.length - 1)];
+
+    let label = item.label;
+    if (!label) {
+      label = `${ENTRY_LABELS[item.type] || item.type}: ${tapeTitle(tape)}`;
+      if (item.type === 'portfolio') {
+        const page = (portfolioPages[tape.id] ?? 0) + 1;
+        portfolioPages[tape.id] = page;
+        label = `${tapeTitle(tape)} Portfolio — Page ${page}`;
+      }
+    }
+
+    entries.push({
+      duration: item.duration,
+      type: item.type,
+      label,
+      tapeId: tape.id,
+      tapeType: tape.type,
+      ...(item.config && { config: { ...item.config } as RundownEntry['config'] }),
+      ...(item.optional && { optional: true }),
+    });
+  }
+
+  const rundown: RundownEntry[] = retime(entries);
+
+  const tapes: Record<string, ShowTapeAssignment> = {};
+  for (const slot of Object.keys(tapeAssignments)) {
+    const picked = tapesFor(tapeAssignments, slot);
+    picked.forEach((tape, i) => {
+      tapes[picked.length > 1 ? `${slot}-${i + 1}` : slot] = {
+        tapeId: tape.id,
+        type: tape.type,
+        ...(tape.type === 'variety' && { variant: tape.variant }),
+        status: tape.status,
+      };
+    });
+  }
+
+  return {
+    id: `show-ep${episode.number}-${slugify(episode.title)}`,
+    version: '2',
+    episode,
+    tapes,
+    rundown,
+  };
+}
+
+/**
+ * Rewrite the host intro script of an existing show from its current tapes.
+ * Works on assembled shows (`segment: "skeleton:intro"`) and older
+ * hand-written ones (`type: "intro"`). Returns the show unchanged if it has
+ * no intro entry.
+ */
+export function regenerateIntro(show: Show, tapes: Tape[], skeleton: SkeletonSegment[]): Show {
+  const template = skeleton.find(s => s.id === INTRO_SEGMENT)?.hostScript?.template;
+  if (!Array.isArray(template)) throw new Error('Skeleton has no intro host script template');
+
+  const context = { episode: show.episode, intro: generateIntroTeases(tapes) };
+  const script = fillScript(template as string[], context);
+
+  return {
+    ...show,
+    rundown: show.rundown.map(entry =>
+      entry.segment === `${SKELETON_PREFIX}${INTRO_SEGMENT}` || entry.type === INTRO_SEGMENT
+        ? { ...entry, script }
+        : entry
+    ),
+  };
+}
@@ -0,0 +1,210 @@
+/**
+ * Back-timing — where the show will land at the current pace.
+ *
+ * The projection takes the show clock as it stands, adds what's left of the
+ * current slide and the planned durationMs of every slide after it, and
+ * compares that against the out time (the episode's duration). When the
+ * projection runs over, the optional rundown entries still ahead are the
+ * ones a producer can cut; suggestDrops picks which.
+ *
+ * With hard-out protection on, SlideController skips the entries the
+ * presenter agreed to drop (skippedEntries, by rundown index) and, in auto
+ * mode, shortens the remaining slides by autoCompression to land on time.
+ */
+
+/** The slide fields back-timing reads, as stamped by buildSlidesFromShow. */
+export interface TimedSlide {
+  durationMs?: number;
+  rundownIndex?: number;
+  rundownLabel?: string;
+  rundownOptional?: boolean;
+}
+
+export interface BackTiming {
+  /** Planned length of the whole slide deck. */
+  plannedMs: number;
+  /** Show clock at which the current slide is planned to end. */
+  plannedSlideEndMs: number;
+  /** Show clock at which the current slide will end at this pace. */
+  projectedSlideEndMs: number;
+  /** Projected show clock at the last slide's end. */
+  projectedEndMs: number;
+  /** The out time the show has to hit. */
+  targetMs: number;
+  /** projectedEndMs − targetMs: positive runs over, negative under. */
+  overUnderMs: number;
+  /**
+   * How far the show is off its own plan right now: projected vs planned
+   * end of the current slide. Every later slide inherits this offset.
+   */
+  runningMs: number;
+}
+
+export interface DropCandidate {
+  rundownIndex: number;
+  label: string;
+  /** Planned time the entry's slides still hold. */
+  durationMs: number;
+  /** First slide of the entry, for jumping past it. */
+  startIndex: number;
+}
+
+/** Auto mode never runs a slide faster than this share of its planned time. */
+export const MIN_AUTO_COMPRESSION = 0.5;
+
+export function isSkipped(slide: TimedSlide | undefined, skippedEntries: number[]): boolean {
+  return slide?.rundownIndex !== undefined && skippedEntries.includes(slide.rundownIndex);
+}
+
+/**
+ * Project the end of the show from the current position. The show clock
+ * starts when the first slide is left, so the first slide counts as aired
+ * on plan; before that showElapsedMs is 0 and the projection is the plan.
+ * Skipped entries still ahead don't count toward the projection.
+ */
+export function backTime(
+  slides: TimedSlide[],
+  currentSlideIndex: number,
+  slideElapsedMs: number,
+  showElapsedMs: number,
+  targetMs: number,
+  skippedEntries: number[] = [],
+): BackTiming {
+  let plannedMs = 0;
+  let plannedSlideEndMs = 0;
+  let remainingAfterMs = 0;
+  slides.forEach((slide, i) => {
+    const durationMs = slide.durationMs || 0;
+    plannedMs += durationMs;
+    if (i <= currentSlideIndex) plannedSlideEndMs += durationMs;
+    else if (!isSkipped(slide, skippedEntries)) remainingAfterMs += durationMs;
+  });
+
+  const started = showElapsedMs > 0;
+  const preRollMs = currentSlideIndex > 0 ? slides[0]?.durationMs || 0 : 0;
+  const airedMs = started ? preRollMs + showElapsedMs : 0;
+  // A slide that's already overrun has nothing left to give
+  const currentMs = slides[currentSlideIndex]?.durationMs || 0;
+  const leftOnSlideMs = started ? Math.max(0, currentMs - slideElapsedMs) : currentMs;
+  const projectedSlideEndMs = started ? airedMs + leftOnSlideMs : plannedSlideEndMs;
+  const projectedEndMs = projectedSlideEndMs + remainingAfterMs;
+
+  return {
+    plannedMs,
+    plannedSlideEndMs,
+    projectedSlideEndMs,
+    projectedEndMs,
+    targetMs,
+    overUnderMs: projectedEndMs - targetMs,
+    runningMs: projectedSlideEndMs - plannedSlideEndMs,
+  };
+}
+
+/**
+ * Optional rundown entries that haven't started yet — every one of their
+ * slides comes after the current one — in show order.
+ */
+export function dropCandidates(
+  slides: TimedSlide[],
+  currentSlideIndex: number,
+  skippedEntries: number[] = [],
+): DropCandidate[] {
+  const byEntry = new Map<number, DropCandidate>();
+  const started = new Set<number>();
+  slides.forEach((slide, i) => {
+    if (slide.rundownIndex === undefined) return;
+    if (i <= currentSlideIndex) {
+      started.add(slide.rundownIndex);
+      return;
+    }
+    if (!slide.rundownOptional || isSkipped(slide, skippedEntries)) return;
+    const candidate = byEntry.get(slide.rundownIndex);
+    if (candidate) {
+      candidate.durationMs += slide.durationMs || 0;
+    } else {
+      byEntry.set(slide.rundownIndex, {
+        rundownIndex: slide.rundownIndex,
+        label: slide.rundownLabel || `Entry ${slide.rundownIndex + 1}`,
+        durationMs: slide.durationMs || 0,
+        startIndex: i,
+      });
+    }
+  });
+  return [...byEntry.values()].filter(c => !started.has(c.rundownIndex) && c.durationMs > 0);
+}
+
+/**
+ * Which candidates to drop to win back overMs: the shortest single entry
+ * that covers it if there is one (the least content lost), otherwise the
+ * longest entries until it's covered. Returns every candidate if even that
+ * isn't enough, and nothing when the show isn't over.
+ */
+export function suggestDrops(candidates: DropCandidate[], overMs: number): DropCandidate[] {
+  if (overMs <= 0 || candidates.length === 0) return [];
+
+  const single = candidates
+    .filter(c => c.durationMs >= overMs)
+    .sort((a, b) => a.durationMs - b.durationMs)[0];
+  if (single) return [single];
+
+  const picked: DropCandidate[] = [];
+  let savedMs = 0;
+  for (const candidate of [...candidates].sort((a, b) => b.durationMs - a.durationMs)) {
+    picked.push(candidate);
+    savedMs += candidate.durationMs;
+    if (savedMs >= overMs) break;
+  }
+  return picked.sort((a, b) => a.startIndex - b.startIndex);
+}
+
+/**
+ * How much to shorten auto-mode slides so the show lands on its out time,
+ * worked out as a slide goes up: the time left to the out over the planned
+ * time left (this slide included). 1 when the show fits, never below
+ * MIN_AUTO_COMPRESSION.
+ */
+export function autoCompression(
+  slides: TimedSlide[],
+  currentSlideIndex: number,
+  showElapsedMs: number,
+  targetMs: number,
+  skippedEntries: number[] = [],
+): number {
+  const timing = backTime(slides, currentSlideIndex, 0, showElapsedMs, targetMs, skippedEntries);
+  const airedMs = timing.projectedSlideEndMs - (slides[currentSlideIndex]?.durationMs || 0);
+  const remainingMs = timing.projectedEndMs - airedMs;
+  if (remainingMs <= 0) return 1;
+  const scale = (targetMs - airedMs) / remainingMs;
+  return Math.min(1, Math.max(MIN_AUTO_COMPRESSION, scale));
+}
+
+/** Next step forward — the next stage, or the next slide not skipped. Null at the end. */
+export function stepForward(
+  slides: Array<TimedSlide & { stages?: number }>,
+  index: number,
+  stage: number,
+  skippedEntries: number[] = [],
+): { index: number; stage: number } | null {
+  if (stage < (slides[index]?.stages || 1) - 1) return { index, stage: stage + 1 };
+  for (let i = index + 1; i < slides.length; i++) {
+    if (!isSkipped(slides[i], skippedEntries)) return { index: i, stage: 0 };
+  }
+  return null;
+}
+
+/**
+ * Next step back — the previous stage, or the fully built last stage of the
+ * previous slide not skipped. Null at the start.
+ */
+export function stepBack(
+  slides: Array<TimedSlide & { stages?: number }>,
+  index: number,
+  stage: number,
+  skippedEntries: number[] = [],
+): { index: number; stage: number } | null {
+  if (stage > 0) return { index, stage: stage - 1 };
+  for (let i = index - 1; i >= 0; i--) {
+    if (!isSkipped(slides[i], skippedEntries)) return { index: i, stage: (slides[i]?.stages || 1) - 1 };
+  }
+  return null;
+}
@@ -8,8 +8,19 @@
  *   - portfolio (PortfolioSlide)
  *   - education (EducationSlide)
  *   - script    (ScriptSlide)
+ *   - quote-card (QuoteCardSlide — text Q&A answers)
+ *   - panelist-spotlight (PanelistSpotlightSlide — panel intro, one per panelist)
+ *   - sponsor, platform-cta (SponsorSlide / PlatformCtaSlide — ad breaks)
+ *   - variety-round, showcase, prompt-card, before-after
+ *               (VarietyRoundSlide / VarietySlides — built per variant,
+ *               may be staged, see `stages`)
  */
 
+import { DEFAULT_QR_ROTATE_SECONDS, resolveQrCampaigns } from './qrCampaigns';
+
+/** The platform-CTA card's line when the format gives the host no script. */
+const DEFAULT_PLATFORM_CTA = 'Professional websites, booking systems and marketing tools built for tattoo artists. Scan the QR code or visit tattoonow.com.';
+
 export function buildSlidesFromShow(show, tapes) {
   if (!show || !show.rundown) return [];
 
@@ -45,9 +56,23 @@ export function buildSlidesFromShow(show, tapes) {
         host: ep.host,
       });
 
-    // ── Bumper (short transition — skip or show a brief card) ──────
+    // ── Bumper (short animated sting into the next segment) ────────
     } else if (entryType.includes('bumper')) {
-      // bumpers are timing-only, no visual slide needed
+      const upcoming = upcomingSegments(show.rundown, entryIdx);
+      slides.push({
+        type: 'bumper',
+        sting: true,
+        segment: entry.label || 'Bumper',
+        title: entry.label || 'Bumper',
+        kicker: entry.config?.text || '',
+        nextSegmentLabel: upcoming[0]?.label || '',
+        // Fallbacks for when hard-out protection drops the next entry
+        // (see withSkippedEntries)
+        upcomingSegments: upcoming,
+        // Runs for its duration and moves on, auto mode or not
+        forceAutoAdvance: true,
+        presenterNotes: entry.presenterNotes || '',
+      });
 
     // ── Intro / Outro / host script segments ────────────────────────
     } else if (
@@ -119,23 +144,55 @@ export function buildSlidesFromShow(show, tapes) {
         notes: tape.content?.presenterNotes || entry.presenterNotes || '',
       });
 
-    // ── Panel intro (panel tape — introduce panelists) ──────────────
+    // ── Panel intro (panel tape — one spotlight per panelist, then all) ─
     } else if (entryType === 'panel-intro' && tape) {
       const panelists = tape.panelists || [];
-      // One portfolio slide showing all panelist headshots
-      slides.push({
-        type: 'portfolio',
-        segment: entry.label || 'Meet the Panelists',
-        artistName: 'Panelists',
-        images: panelists.map(p => ({
-          url: p.headshot,
-          description: `${p.name} — ${p.title}`,
-          aspect: '1:1',
-        })),
-        showLowerThird: entry.config?.overlays?.includes('lower-third'),
-        presenterNotes: entry.presenterNotes || tape.content?.presenterNotes || '',
+      const showLowerThird = entry.config?.overlays?.includes('lower-third');
+
+      panelists.forEach((p, i) => {
+        slides.push({
+          type: 'panelist-spotlight',
+          segment: entry.label || 'Meet the Panelists',
+          title: p.name,
+          index: i,
+          total: panelists.length,
+          name: p.name,
+          panelistTitle: p.title,
+          location: p.location,
+          instagram: p.instagram,
+          headshot: p.headshot,
+          portfolio: p.portfolio || [],
+          pricingModel: p.pricingModel,
+          perspective: p.perspective,
+          showLowerThird,
+          guestName: p.name,
+          guestTitle: p.title,
+          guestLocation: p.location,
+          guestInstagram: p.instagram,
+          talkingPoints: [p.bio, p.perspective].filter(Boolean),
+          presenterNotes: [
+            `Introduce ${p.name}${p.location ? ` (${p.location})` : ''}.`,
+            p.bio,
+            entry.presenterNotes,
+          ].filter(Boolean).join('\n'),
+        });
       });
 
+      // Closing grid of everyone's headshots
+      if (entry.config?.showAllPanelists !== false) {
+        slides.push({
+          type: 'portfolio',
+          segment: entry.label || 'Meet the Panelists',
+          artistName: 'Panelists',
+          images: panelists.map(p => ({
+            url: p.headshot,
+            description: `${p.name} — ${p.title}`,
+            aspect: '1:1',
+          })),
+          presenterNotes: entry.presenterNotes || tape.content?.presenterNotes || '',
+        });
+      }
+
     // ── Panel discussion ────────────────────────────────────────────
     } else if (entryType === 'panel' && tape) {
       slides.push({
@@ -202,21 +259,36 @@ export function buildSlidesFromShow(show, tapes) {
         });
       }
 
-      // Each Q&A entry → script slide + optional portfolio slide
+      // Thumbnails ride along on the quote card when the portfolio isn't
+      // interleaved as its own slides; config.quoteImages overrides
+      const interleave = entry.config?.interleavePortfolio !== false;
+      const quoteImages = entry.config?.quoteImages ?? !interleave;
+
+      // Each Q&A entry → quote card(s) + optional portfolio slide
       questions.forEach((qa, i) => {
-        // Q&A card as script slide
-        slides.push({
-          type: 'script',
-          segment: `Q${i + 1}`,
-          title: qa.question,
-          scriptType: 'discussion',
-          talkingPoints: [qa.answer],
-          presenterNotes: qa.pullQuote ? `Pull quote: "${qa.pullQuote}"` : '',
-          notes: qa.pullQuote || '',
+        const cards = splitQuoteCards(qa.answer || '', qa.pullQuote);
+        const images = quoteImages
+          ? (qa.displayImages || []).map(idx => allImages[idx]?.url).filter(Boolean)
+          : [];
+        cards.forEach((text, part) => {
+          slides.push({
+            type: 'quote-card',
+            segment: `Q${i + 1}`,
+            title: qa.question,
+            question: qa.question,
+            answer: text,
+            pullQuote: qa.pullQuote,
+            part: part + 1,
+            parts: cards.length,
+            guestName: subject.name,
+            images,
+            presenterNotes: qa.pullQuote ? `Pull quote: "${qa.pullQuote}"` : '',
+            notes: qa.pullQuote || '',
+          });
         });
 
         // Interleave portfolio images referenced by this Q&A
-        if (qa.displayImages && qa.displayImages.length > 0 && entry.config?.interleavePortfolio !== false) {
+        if (qa.displayImages && qa.displayImages.length > 0 && interleave) {
           const range = [
             Math.min(...qa.displayImages),
             Math.max(...qa.displayImages),
@@ -299,60 +371,51 @@ export function buildSlidesFromShow(show, tapes) {
 
     // ── Ad break ────────────────────────────────────────────────────
     } else if (entryType === 'ad-break' || entryType.includes('ad-break')) {
-      // If the entry has adSlots, use the first promo tape
+      // Each ad slot is its own slide: a sponsor tape's SponsorSlide, or the
+      // TattooNOW platform-CTA card. A slot's config overrides the entry's,
+      // and a slot's duration is its slide's. A sponsor slot with no sponsor
+      // tape yet stays in the show as a cue, so the gap is seen before air.
       if (entry.adSlots) {
         for (const slot of entry.adSlots) {
           const adTape = slot.tapeId ? tapes[slot.tapeId] : null;
+          const slotEntry = { ...entry, config: { ...entry.config, ...slot.config } };
+          let slide;
           if (adTape?.sponsor) {
-            slides.push({
-              type: 'script',
-              segment: entry.label || 'Ad Break',
-              timeCode: entry.timeCode,
-              title: adTape.sponsor.name || 'Sponsor',
-              scriptType: 'cue',
-              talkingPoints: [adTape.sponsor.adCopy || ''],
-              presenterNotes: adTape.content?.presenterNotes || '',
-              notes: adTape.content?.presenterNotes || '',
-              showQR: slot.config?.overlays?.includes('qr'),
-            });
-          } else if (slot.script) {
-            slides.push({
-              type: 'script',
+            slide = makeSponsorSlide(show, slotEntry, adTape);
+          } else if (slot.type === 'platform-cta' || (!slot.tapeId && slot.script)) {
+            const script = slot.script || DEFAULT_PLATFORM_CTA;
+            slide = {
+              type: 'platform-cta',
               segment: 'Platform CTA',
               title: 'TattooNOW CTA',
               scriptType: 'cue',
-              talkingPoints: [slot.script],
-            });
+              script,
+              talkingPoints: [script],
+              qrCampaigns: resolveQrCampaigns(show.showQRCodes, slotEntry, ep.number),
+            };
+          } else {
+            slide = {
+              ...makeScriptSlide(slotEntry, adTape, 'cue'),
+              title: 'Sponsor Slot — Unfilled',
+              talkingPoints: [slot.tapeId
+                ? `Tape ${slot.tapeId} has no sponsor info`
+                : 'No sponsor tape assigned to this slot'],
+              cue: 'UNFILLED SPONSOR SLOT',
+            };
           }
+          const slotMs = parseDurationToMs(slot.duration);
+          if (slotMs > 0) slide.durationMs = slotMs;
+          slides.push(slide);
         }
       } else if (tape?.sponsor) {
-        slides.push({
-          type: 'script',
-          segment: entry.label || 'Ad Break',
-          timeCode: entry.timeCode,
-          title: tape.sponsor.name || 'Sponsor',
-          scriptType: 'cue',
-          talkingPoints: [tape.sponsor.adCopy || ''],
-          presenterNotes: tape.content?.presenterNotes || entry.presenterNotes || '',
-          notes: tape.content?.presenterNotes || entry.presenterNotes || '',
-          showQR: entry.config?.overlays?.includes('qr'),
-        });
+        slides.push(makeSponsorSlide(show, entry, tape));
       } else {
         slides.push(makeScriptSlide(entry, tape, 'cue'));
       }
 
-    // ── Variety (game tapes — talking points + images) ───────────────
+    // ── Variety (game tapes — per-variant builders) ──────────────────
     } else if (entryType === 'variety' && tape) {
-      slides.push({
-        type: 'script',
-        segment: entry.label || 'Variety',
-        timeCode: entry.timeCode,
-        title: entry.label || tape.content?.topic || 'Variety Segment',
-        scriptType: 'discussion',
-        talkingPoints: tape.content?.talkingPoints || entry.talkingPoints || [],
-        presenterNotes: entry.presenterNotes || tape.content?.presenterNotes || '',
-        notes: entry.presenterNotes || tape.content?.presenterNotes || '',
-      });
+      slides.push(...buildVarietySlides(show, entryIdx, tape));
 
     // ── Fallback — any rundown entry with script/talkingPoints ──────
     } else if (entry.script || entry.talkingPoints || entry.presenterNotes) {
@@ -371,11 +434,21 @@ export function buildSlidesFromShow(show, tapes) {
   }
 
   // ── Post-process: stamp durationMs + targetTimeCode on every slide ──
-  // Distribute each rundown entry's duration evenly across its slides.
+  // Distribute each rundown entry's duration evenly across its slides;
+  // slides that already know their own (ad slots) keep it and the rest
+  // share what's left.
+  // rundownIndex ties each slide back to its entry for the as-run report;
+  // rundownOptional marks entries back-timing may suggest dropping.
+  // qrCampaigns is what the QR overlay shows during the entry (lib/qrCampaigns)
+  // — sponsor and ad-slot slides already carry their own.
   for (let entryIdx = 0; entryIdx < show.rundown.length; entryIdx++) {
     const entry = show.rundown[entryIdx];
     const entryMs = parseDurationToMs(entry.duration);
     const entryTimeCode = entry.timeCode || '';
+    const tape = entry.tapeId ? tapes[entry.tapeId] : null;
+    const sponsor = entry.config?.qrCampaign === undefined ? tape?.sponsor : null;
+    const qrCampaigns = resolveQrCampaigns(show.showQRCodes, entry, ep.number, sponsor);
+    const qrRotateMs = (entry.config?.qrRotateSeconds || DEFAULT_QR_ROTATE_SECONDS) * 1000;
 
     // Find all slide indices belonging to this entry
     const slideIndices = [];
@@ -384,18 +457,355 @@ export function buildSlidesFromShow(show, tapes) {
     }
     if (slideIndices.length === 0) continue;
 
-    const perSlideMs = Math.round(entryMs / slideIndices.length);
+    const timed = slideIndices.filter(si => slides[si].durationMs > 0);
+    const timedMs = timed.reduce((sum, si) => sum + slides[si].durationMs, 0);
+    const untimed = slideIndices.length - timed.length;
+    const perSlideMs = untimed > 0 ? Math.round(Math.max(0, entryMs - timedMs) / untimed) : 0;
     slideIndices.forEach((si, offset) => {
-      slides[si].durationMs = perSlideMs;
+      slides[si].durationMs = slides[si].durationMs || perSlideMs;
       // First slide of the entry gets the entry's timeCode
       slides[si].targetTimeCode = offset === 0 ? entryTimeCode : '';
       slides[si].rundownLabel = entry.label || entry.type || '';
+      slides[si].rundownIndex = entryIdx;
+      slides[si].rundownOptional = !!entry.optional;
+      slides[si].qrCampaigns = slides[si].qrCampaigns || qrCampaigns;
+      slides[si].qrRotateMs = qrRotateMs;
     });
   }
 
   return slides;
 }
 
+// ── Variety variants ─────────────────────────────────────────────────
+//
+// One builder per VarietyVariant: (entry, tape) → slides. Staged slides set
+// `stages` and SlideController steps through them before moving on.
+
+/** Items this entry plays — `config.rounds` picks by index (ep9 splits a game). */
+function pickRounds(entry, items = []) {
+  if (!entry.config?.rounds) return items;
+  return entry.config.rounds.map(i => items[i]).filter(Boolean);
+}
+
+function varietyNotes(entry, tape, ...lines) {
+  return [...lines, entry.presenterNotes || tape.content?.presenterNotes].filter(Boolean).join('\n');
+}
+
+/** "M:SS" string or a number of minutes → seconds */
+function timeLimitSeconds(limit) {
+  if (typeof limit === 'number') return limit * 60;
+  return limit ? Math.round(parseDurationToMs(limit) / 1000) : 0;
+}
+
+const VARIETY_BUILDERS = {
+  'who-tattooed-it': (entry, tape) => {
+    const rounds = tape.content.rounds || [];
+    const indices = entry.config?.rounds || rounds.map((_, i) => i);
+    return indices.filter(i => rounds[i]).map(i => {
+      const round = rounds[i];
+      const hints = round.hints || [];
+      return {
+        type: 'variety-round',
+        title: `Round ${i + 1}`,
+        roundNumber: i + 1,
+        totalRounds: rounds.length,
+        image: round.image,
+        imageDescription: round.imageDescription,
+        hints,
+        answer: round.answer,
+        answerInstagram: round.answerInstagram,
+        revealImage: round.revealImage,
+        revealNote: round.revealNote,
+        // image → each hint → answer
+        stages: hints.length + 2,
+        presenterNotes: varietyNotes(entry, tape,
+          `Answer: ${round.answer}${round.answerInstagram ? ` (@${round.answerInstagram})` : ''}`,
+          round.imageDescription),
+      };
+    });
+  },
+
+  'critique': (entry, tape) =>
+    pickRounds(entry, tape.content.submissions).map(sub => ({
+      type: 'showcase',
+      kicker: 'Critique',
+      title: sub.artistName || 'Submission',
+      image: sub.image,
+      body: sub.context,
+      // feedback lands on the second step, after the host has looked
+      reveal: sub.feedback,
+      stages: sub.feedback ? 2 : 1,
+      presenterNotes: varietyNotes(entry, tape, sub.feedback && `Feedback: ${sub.feedback}`),
+    })),
+
+  'drawing-exercise': (entry, tape) => {
+    const content = tape.content;
+    return [
+      {
+        type: 'prompt-card',
+        kicker: 'Drawing Exercise',
+        title: 'Drawing Exercise',
+        cards: [{ text: content.prompt || 'Draw!' }],
+        countdownSeconds: timeLimitSeconds(content.timeLimit),
+        presenterNotes: varietyNotes(entry, tape),
+      },
+      ...pickRounds(entry, content.submissions).map(sub => ({
+        type: 'showcase',
+        kicker: 'Drawing Exercise',
+        title: sub.artistName || 'Submission',
+        image: sub.image,
+        video: sub.video,
+        body: content.prompt,
+        presenterNotes: varietyNotes(entry, tape),
+      })),
+    ];
+  },
+
+  'call-a-friend': (entry, tape) => {
+    const friend = tape.content.friend || {};
+    return [{
+      type: 'showcase',
+      kicker: 'Call a Friend',
+      title: friend.name || 'Mystery Caller',
+      subtitle: friend.instagram ? `@${friend.instagram}` : '',
+      image: friend.headshot,
+      body: 'On the line now',
+      presenterNotes: varietyNotes(entry, tape, tape.content.callRecording && `Recording: ${tape.content.callRecording}`),
+    }];
+  },
+
+  'hot-takes': (entry, tape) => {
+    const statements = tape.content.statements || [];
+    const responses = tape.content.responses || [];
+    if (statements.length === 0) return [];
+    const perTake = entry.config?.secondsPerTake
+      || Math.floor(parseDurationToMs(entry.duration) / 1000 / statements.length);
+    return [{
+      type: 'prompt-card',
+      kicker: 'Hot Takes',
+      title: 'Hot Takes',
+      cards: statements.map((text, i) => ({ text, detail: `Take ${i + 1} of ${statements.length}` })),
+      countdownSeconds: perTake,
+      stages: statements.length,
+      presenterNotes: varietyNotes(entry, tape,
+        ...responses.map(r => `${r.panelist}${r.statement !== undefined ? ` (#${r.statement + 1})` : ''}: ${r.take}`)),
+    }];
+  },
+
+  'tattoo-roulette': (entry, tape) => {
+    const { styles = [], subjects = [], selectedCombo, resultImage } = tape.content;
+    const combo = typeof selectedCombo === 'string'
+      ? selectedCombo
+      : selectedCombo ? `${selectedCombo.style} + ${selectedCombo.subject}` : '';
+    const slides = [{
+      type: 'prompt-card',
+      kicker: 'Tattoo Roulette',
+      title: 'Tattoo Roulette',
+      cards: [
+        { text: 'Spin the wheel', detail: [...styles, ...subjects].join(' · ') },
+        ...(combo ? [{ text: combo, detail: 'Sketch it!' }] : []),
+      ],
+      stages: combo ? 2 : 1,
+      presenterNotes: varietyNotes(entry, tape),
+    }];
+    if (resultImage) {
+      slides.push({
+        type: 'showcase',
+        kicker: 'Tattoo Roulette',
+        title: combo || 'The Result',
+        image: resultImage,
+        presenterNotes: varietyNotes(entry, tape),
+      });
+    }
+    return slides;
+  },
+
+  'before-after': (entry, tape) =>
+    pickRounds(entry, tape.content.pairs).map(pair => ({
+      type: 'before-after',
+      title: pair.artistName ? `Before & After — ${pair.artistName}` : 'Before & After',
+      before: pair.before,
+      after: pair.after,
+      artistName: pair.artistName,
+      story: pair.story,
+      layout: entry.config?.layout || 'wipe',
+      // before alone, then the after wipes / slides in
+      stages: 2,
+      presenterNotes: varietyNotes(entry, tape, pair.story),
+    })),
+
+  'viewer-spotlight': (entry, tape) =>
+    pickRounds(entry, tape.content.submissions).map(sub => ({
+      type: 'showcase',
+      kicker: 'Viewer Spotlight',
+      title: sub.viewerName || 'Viewer Submission',
+      subtitle: sub.artistCredit ? `Tattoo by ${sub.artistCredit}` : '',
+      image: sub.image,
+      body: sub.story,
+      presenterNotes: varietyNotes(entry, tape),
+    })),
+};
+
+/**
+ * Build the slides for a variety entry: the variant's own slides wrapped in
+ * the tape's host intro (first entry using the tape) and host outro (last
+ * entry using it). Unknown variants, or variants with no content yet, fall
+ * back to a single talking-points slide.
+ */
+function buildVarietySlides(show, entryIdx, tape) {
+  const entry = show.rundown[entryIdx];
+  const content = tape.content || {};
+  const segment = entry.label || 'Variety';
+  const variantTitle = (tape.variant || 'variety').split('-').map(w => w[0].toUpperCase() + w.slice(1)).join(' ');
+  const builder = VARIETY_BUILDERS[tape.variant];
+  const built = builder ? builder(entry, { ...tape, content }) : [];
+
+  if (built.length === 0) {
+    return [{
+      type: 'script',
+      segment,
+      timeCode: entry.timeCode,
+      title: entry.label || content.topic || 'Variety Segment',
+      scriptType: 'discussion',
+      talkingPoints: content.talkingPoints || entry.talkingPoints || [],
+      presenterNotes: entry.presenterNotes || content.presenterNotes || '',
+      notes: entry.presenterNotes || content.presenterNotes || '',
+    }];
+  }
+
+  const usedBy = show.rundown
+    .map((e, i) => (e.tapeId === tape.id ? i : -1))
+    .filter(i => i >= 0);
+  const slides = [];
+
+  if (content.hostIntro && entryIdx === usedBy[0]) {
+    slides.push({
+      type: 'script',
+      segment,
+      timeCode: entry.timeCode,
+      title: variantTitle,
+      scriptType: 'intro',
+      talkingPoints: content.hostIntro.script || [],
+      presenterNotes: content.hostIntro.presenterNotes || '',
+      notes: content.hostIntro.presenterNotes || '',
+    });
+  }
+
+  slides.push(...built.map(slide => ({ segment, ...slide })));
+
+  if (content.hostOutro && entryIdx === usedBy[usedBy.length - 1]) {
+    slides.push({
+      type: 'script',
+      segment,
+      title: `${variantTitle} — Wrap`,
+      scriptType: 'outro',
+      talkingPoints: content.hostOutro.script || [],
+      presenterNotes: content.hostOutro.presenterNotes || '',
+      notes: content.hostOutro.presenterNotes || '',
+    });
+  }
+
+  return slides;
+}
+
+// ── Text Q&A quote cards ─────────────────────────────────────────────
+
+/** Characters of answer that still set legibly on one 1920x1080 card */
+const QUOTE_CARD_MAX_CHARS = 260;
+
+/**
+ * Split a long answer into card-sized chunks on sentence boundaries. The
+ * pull quote is kept whole so its highlight never straddles two cards.
+ */
+function splitQuoteCards(answer, pullQuote, maxChars = QUOTE_CARD_MAX_CHARS) {
+  if (answer.length <= maxChars) return [answer];
+
+  const sentences = (text) => text.match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g) || [];
+  const quoteAt = pullQuote ? answer.indexOf(pullQuote) : -1;
+  let pieces = sentences(answer);
+  if (quoteAt !== -1) {
+    const rest = answer.slice(quoteAt + pullQuote.length);
+    const gap = rest.length - rest.trimStart().length;
+    pieces = [
+      ...sentences(answer.slice(0, quoteAt)),
+      pullQuote + rest.slice(0, gap),
+      ...sentences(rest.slice(gap)),
+    ];
+  }
+
+  const cards = [];
+  let current = '';
+  for (const piece of pieces) {
+    if (current && (current + piece).trim().length > maxChars) {
+      cards.push(current.trim());
+      current = '';
+    }
+    current += piece;
+  }
+  if (current.trim()) cards.push(current.trim());
+  return cards;
+}
+
+/**
+ * Entries a bumper may lead into: the ones after `entryIdx` that aren't
+ * bumpers, up to the first that hard-out protection can't drop.
+ */
+function upcomingSegments(rundown, entryIdx) {
+  const upcoming = [];
+  for (let i = entryIdx + 1; i < rundown.length; i++) {
+    const entry = rundown[i];
+    if ((entry.type || entry.segment || '').includes('bumper')) continue;
+    upcoming.push({ rundownIndex: i, label: entry.label || entry.type || '' });
+    if (!entry.optional) break;
+  }
+  return upcoming;
+}
+
+/**
+ * Point bumpers at the first upcoming entry still in the show once
+ * hard-out protection has dropped `skippedEntries` (rundown indices).
+ * Returns `slides` itself when nothing is skipped.
+ */
+export function withSkippedEntries(slides, skippedEntries) {
+  if (!skippedEntries?.length) return slides;
+  return slides.map(slide => {
+    if (!slide.upcomingSegments) return slide;
+    const next = slide.upcomingSegments.find(s => !skippedEntries.includes(s.rundownIndex));
+    return { ...slide, nextSegmentLabel: next?.label || '' };
+  });
+}
+
+/**
+ * A sponsor tape's slide (SponsorSlide). Carries its own qrCampaigns — the
+ * sponsor's QR — which the post-process stamp leaves alone.
+ */
+function makeSponsorSlide(show, entry, tape) {
+  const sponsor = tape.sponsor;
+  const presenterNotes = tape.content?.presenterNotes || entry.presenterNotes || '';
+  const qrCampaigns = resolveQrCampaigns(show.showQRCodes, entry, show.episode?.number, sponsor);
+  return {
+    type: 'sponsor',
+    segment: entry.label || 'Ad Break',
+    timeCode: entry.timeCode,
+    title: sponsor.name || 'Sponsor',
+    scriptType: 'cue',
+    sponsorName: sponsor.name || 'Sponsor',
+    sponsorType: sponsor.type,
+    logo: sponsor.logo,
+    website: sponsor.website,
+    instagram: sponsor.instagram,
+    adCopy: sponsor.adCopy || '',
+    eventDates: sponsor.eventDates,
+    eventLocation: sponsor.eventLocation,
+    featuredArtists: sponsor.featuredArtists || [],
+    talkingPoints: sponsor.adCopy ? [sponsor.adCopy] : [],
+    presenterNotes,
+    notes: presenterNotes,
+    showQR: entry.config?.overlays?.includes('qr'),
+    qrCampaigns,
+  };
+}
+
 /**
  * Helper: create a script slide from a rundown entry.
  */
@@ -450,3 +860,22 @@ export function formatMsToTimeCode(ms) {
   const s = totalSeconds % 60;
   return `${m}:${String(s).padStart(2, '0')}`;
 }
+
+/**
+ * The rundown segment a slide belongs to — the label ShowTimeline groups by.
+ */
+export function segmentLabel(slide) {
+  return slide.rundownLabel || slide.segment || slide.title || '';
+}
+
+/**
+ * Index of the first slide of each segment (consecutive slides with the same
+ * segmentLabel).
+ */
+export function segmentStartIndices(slides) {
+  const starts = [];
+  slides.forEach((slide, i) => {
+    if (i === 0 || segmentLabel(slide) !== segmentLabel(slides[i - 1])) starts.push(i);
+  });
+  return starts;
+}
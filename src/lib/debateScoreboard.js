@@ -0,0 +1,44 @@
+/**
+ * Debate scoreboard — who's on the panel, where each of them stands, and a
+ * live tally of audience leanings. The panelists come from the show's panel
+ * tape; the tallies live in SlideController and sync over the slideshow
+ * BroadcastChannel like the other overlays.
+ */
+
+/** "day-rate" → "Day Rate" */
+function stanceLabel(value) {
+  return value.split('-').filter(Boolean).map(w => w[0].toUpperCase() + w.slice(1)).join(' ');
+}
+
+/**
+ * Scoreboard for a show, or null if the show has no panel tape with at
+ * least two panelists. Uses the first panel tape in the rundown.
+ */
+export function scoreboardFromShow(show, tapes) {
+  if (!show?.rundown) return null;
+
+  const panelEntry = show.rundown.find(e => {
+    const tape = e.tapeId ? tapes[e.tapeId] : null;
+    return tape?.type === 'panel' && (tape.panelists || []).length >= 2;
+  });
+  if (!panelEntry) return null;
+
+  const tape = tapes[panelEntry.tapeId];
+  return {
+    topic: tape.content?.topic || '',
+    entries: tape.panelists.map(p => ({
+      name: p.name,
+      stance: p.pricingModel ? stanceLabel(p.pricingModel) : '',
+      perspective: p.perspective || '',
+      headshot: p.headshot || '',
+    })),
+  };
+}
+
+/** Apply a +/- vote to one panelist's tally. Tallies never go below zero. */
+export function adjustTally(tallies, index, delta) {
+  if (index < 0 || index >= tallies.length) return tallies;
+  const next = [...tallies];
+  next[index] = Math.max(0, next[index] + delta);
+  return next;
+}
@@ -0,0 +1,261 @@
+/**
+ * Keyboard shortcuts for the slideshow windows and teleprompters.
+ *
+ * Every shortcut is declared once in SHORTCUTS with its default keys and the
+ * scopes (windows) it applies in. Users can rebind shortcuts; overrides are
+ * stored in localStorage as `{ [shortcutId]: keys[] }` and merged over the
+ * defaults. Components don't read keys directly — they register handlers
+ * by shortcut id through useShortcuts (src/hooks/useShortcuts.js), and the
+ * PresenterView `?` overlay is generated from the same list.
+ *
+ * Keys are written as chords: modifiers in the order Ctrl, Alt, Meta, Shift,
+ * then the key — "Q", "ArrowRight", "Space", "Shift+1", "?". Letters are
+ * case-insensitive and printable symbols already include Shift ("?" not
+ * "Shift+/"); digits go by the physical key, so "Shift+1" is Shift and 1.
+ */
+
+export type KeymapScope = 'presenter' | 'audience' | 'teleprompter';
+
+export interface ShortcutDef {
+  id: string;
+  description: string;
+  /** Heading in the shortcuts overlay. */
+  group: string;
+  scopes: KeymapScope[];
+  keys: string[];
+  /**
+   * Shortcuts in the same family (the 1–9 votes) are listed as one row in
+   * the overlay, under the first member's description.
+   */
+  family?: string;
+}
+
+export type KeymapOverrides = Record<string, string[]>;
+
+export interface KeymapConflict {
+  scope: KeymapScope;
+  chord: string;
+  ids: string[];
+}
+
+const SLIDESHOW: KeymapScope[] = ['presenter', 'audience'];
+
+const VOTE_KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9'];
+
+export const SHORTCUTS: ShortcutDef[] = [
+  { id: 'slide.next', description: 'Next slide / step', group: 'Navigation', scopes: SLIDESHOW, keys: ['ArrowRight', 'PageDown'] },
+  { id: 'slide.previous', description: 'Previous slide / step', group: 'Navigation', scopes: SLIDESHOW, keys: ['ArrowLeft', 'PageUp'] },
+  { id: 'slide.first', description: 'First slide', group: 'Navigation', scopes: SLIDESHOW, keys: ['Home'] },
+  { id: 'slide.last', description: 'Last slide', group: 'Navigation', scopes: SLIDESHOW, keys: ['End'] },
+  { id: 'mode.auto', description: 'Toggle Auto / Manual mode', group: 'Navigation', scopes: SLIDESHOW, keys: ['A'] },
+  { id: 'mode.hardOut', description: 'Toggle hard-out protection', group: 'Navigation', scopes: SLIDESHOW, keys: ['H'] },
+
+  { id: 'overlay.portfolioLayout', description: 'Toggle portfolio Grid / Fullscreen', group: 'Overlays', scopes: SLIDESHOW, keys: ['G'] },
+  { id: 'overlay.qr', description: 'Toggle QR Code overlay', group: 'Overlays', scopes: SLIDESHOW, keys: ['Q'] },
+  { id: 'overlay.lowerThird', description: 'Toggle Lower-Third overlay', group: 'Overlays', scopes: SLIDESHOW, keys: ['L'] },
+
+  { id: 'scoreboard.toggle', description: 'Toggle debate Scoreboard', group: 'Scoreboard', scopes: SLIDESHOW, keys: ['S'] },
+  ...VOTE_KEYS.map((key, i): ShortcutDef => ({
+    id: `scoreboard.vote${i + 1}`,
+    description: 'Add a vote for panelist',
+    group: 'Scoreboard',
+    scopes: SLIDESHOW,
+    keys: [key],
+    family: 'scoreboard.vote',
+  })),
+  ...VOTE_KEYS.map((key, i): ShortcutDef => ({
+    id: `scoreboard.unvote${i + 1}`,
+    description: 'Take a vote back',
+    group: 'Scoreboard',
+    scopes: SLIDESHOW,
+    keys: [`Shift+${key}`],
+    family: 'scoreboard.unvote',
+  })),
+
+  { id: 'help.toggle', description: 'Show / hide this shortcut guide', group: 'General', scopes: ['presenter'], keys: ['?'] },
+  { id: 'help.close', description: 'Close this overlay', group: 'General', scopes: ['presenter'], keys: ['Escape'] },
+
+  { id: 'teleprompter.voice', description: 'Start / stop voice tracking', group: 'Teleprompter', scopes: ['teleprompter'], keys: ['Space'] },
+  { id: 'teleprompter.advance', description: 'Next line', group: 'Teleprompter', scopes: ['teleprompter'], keys: ['ArrowDown'] },
+  { id: 'teleprompter.back', description: 'Previous line', group: 'Teleprompter', scopes: ['teleprompter'], keys: ['ArrowUp'] },
+  { id: 'teleprompter.restart', description: 'Back to the first line', group: 'Teleprompter', scopes: ['teleprompter'], keys: ['R'] },
+  { id: 'teleprompter.scripts', description: 'Open the script manager', group: 'Teleprompter', scopes: ['teleprompter'], keys: ['S'] },
+  { id: 'teleprompter.cancel', description: 'Close dialog / stop editing', group: 'Teleprompter', scopes: ['teleprompter'], keys: ['Escape'] },
+];
+
+// ── Chords ───────────────────────────────────────────────────────────
+
+const MODIFIER_KEYS = new Set(['Shift', 'Control', 'Alt', 'Meta']);
+
+/** The chord a keydown event spells, or null for a bare modifier press. */
+export function chordFromEvent(e: KeyboardEvent): string | null {
+  if (MODIFIER_KEYS.has(e.key)) return null;
+  let key = e.key;
+  let shift = e.shiftKey;
+  const digit = /^(?:Digit|Numpad)(\d)$/.exec(e.code);
+  if (digit) {
+    key = digit[1];
+  } else if (key === ' ') {
+    key = 'Space';
+  } else if (key.length === 1) {
+    key = key.toUpperCase();
+    shift = false;
+  }
+  return [e.ctrlKey && 'Ctrl', e.altKey && 'Alt', e.metaKey && 'Meta', shift && 'Shift', key]
+    .filter(Boolean)
+    .join('+');
+}
+
+const KEY_LABELS: Record<string, string> = {
+  ArrowRight: '→',
+  ArrowLeft: '←',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  PageDown: 'PgDn',
+  PageUp: 'PgUp',
+  Escape: 'Esc',
+};
+
+/** "ArrowRight" → "→", "Shift+1" stays as is. */
+export function chordLabel(chord: string): string {
+  const parts = chord.split('+');
+  const key = parts.pop() || '';
+  return [...parts, KEY_LABELS[key] || key].join('+');
+}
+
+/**
+ * Label for a list of chords — "1–9" / "Shift+1–9" for a run of digits
+ * with the same modifiers, otherwise the labels joined with spaces.
+ */
+export function keysLabel(chords: string[]): string {
+  const match = chords.map(chord => /^(.*?)(\d)$/.exec(chord));
+  if (chords.length > 2 && match.every(m => m && m[1] === match[0]![1])) {
+    const digits = match.map(m => Number(m![2]));
+    if (digits.every((d, i) => i === 0 || d === digits[i - 1] + 1)) {
+      return `${match[0]![1]}${digits[0]}–${digits[digits.length - 1]}`;
+    }
+  }
+  return chords.map(chordLabel).join(' ');
+}
+
+// ── Overrides ────────────────────────────────────────────────────────
+
+const STORAGE_KEY = 'tattoonow-keymap';
+
+/** Fired on window whenever this window changes the keymap. */
+export const KEYMAP_CHANGE_EVENT = 'tattoonow-keymap-change';
+
+export function loadOverrides(): KeymapOverrides {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    const overrides: KeymapOverrides = {};
+    for (const def of SHORTCUTS) {
+      const keys = parsed?.[def.id];
+      if (Array.isArray(keys) && keys.every(k => typeof k === 'string')) overrides[def.id] = keys;
+    }
+    return overrides;
+  } catch {
+    return {};
+  }
+}
+
+let cached: ShortcutDef[] | null = null;
+
+function saveOverrides(overrides: KeymapOverrides) {
+  try {
+    if (Object.keys(overrides).length > 0) {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch {
+    // Private mode / storage full — the change still applies until reload
+  }
+  cached = resolveKeymap(overrides);
+  window.dispatchEvent(new Event(KEYMAP_CHANGE_EVENT));
+}
+
+// Another window (the audience window, a second presenter) rebound a key
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (e) => {
+    if (e.key !== STORAGE_KEY) return;
+    cached = null;
+    window.dispatchEvent(new Event(KEYMAP_CHANGE_EVENT));
+  });
+}
+
+// ── Keymap ───────────────────────────────────────────────────────────
+
+/** SHORTCUTS with the user's keys in place of the defaults. */
+export function resolveKeymap(overrides: KeymapOverrides = loadOverrides()): ShortcutDef[] {
+  return SHORTCUTS.map(def => (overrides[def.id] ? { ...def, keys: overrides[def.id] } : def));
+}
+
+/** The current keymap (defaults + saved overrides). */
+export function getKeymap(): ShortcutDef[] {
+  if (!cached) cached = resolveKeymap();
+  return cached;
+}
+
+export function getShortcut(id: string, keymap: ShortcutDef[] = getKeymap()): ShortcutDef | undefined {
+  return keymap.find(def => def.id === id);
+}
+
+/** Overlay / status-bar label for a shortcut's current keys. */
+export function shortcutLabel(id: string, keymap: ShortcutDef[] = getKeymap()): string {
+  return keysLabel(getShortcut(id, keymap)?.keys || []);
+}
+
+/**
+ * Chord → shortcut id for one scope. On a conflict the shortcut declared
+ * first in SHORTCUTS keeps the key.
+ */
+export function bindingsForScope(scope: KeymapScope, keymap: ShortcutDef[] = getKeymap()): Map<string, string> {
+  const bindings = new Map<string, string>();
+  for (const def of keymap) {
+    if (!def.scopes.includes(scope)) continue;
+    for (const chord of def.keys) {
+      if (!bindings.has(chord)) bindings.set(chord, def.id);
+    }
+  }
+  return bindings;
+}
+
+/** Chords bound to more than one shortcut within the same scope. */
+export function findConflicts(keymap: ShortcutDef[] = getKeymap()): KeymapConflict[] {
+  const seen = new Map<string, KeymapConflict>();
+  for (const def of keymap) {
+    for (const scope of def.scopes) {
+      for (const chord of def.keys) {
+        const key = `${scope} ${chord}`;
+        const entry = seen.get(key) || { scope, chord, ids: [] };
+        if (!entry.ids.includes(def.id)) entry.ids.push(def.id);
+        seen.set(key, entry);
+      }
+    }
+  }
+  return [...seen.values()].filter(conflict => conflict.ids.length > 1);
+}
+
+/**
+ * Rebind a shortcut and persist it. Setting a shortcut back to its defaults
+ * drops the override. Returns the conflicts the new keys cause — the change
+ * is saved either way, and the overlay shows them until they're resolved.
+ */
+export function setShortcutKeys(id: string, keys: string[]): KeymapConflict[] {
+  const def = SHORTCUTS.find(d => d.id === id);
+  if (!def) throw new Error(`Unknown shortcut "${id}"`);
+  const overrides = loadOverrides();
+  if (keys.join('\n') === def.keys.join('\n')) {
+    delete overrides[id];
+  } else {
+    overrides[id] = keys;
+  }
+  saveOverrides(overrides);
+  return findConflicts().filter(conflict => conflict.ids.includes(id));
+}
+
+/** Drop every override. */
+export function resetKeymap() {
+  saveOverrides({});
+}
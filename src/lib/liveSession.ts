@@ -0,0 +1,78 @@
+/**
+ * Live session journal — crash recovery for a running show.
+ *
+ * SlideController writes its sync state plus the show clock's wall-clock
+ * start to localStorage on every change, keyed by show id. A window that
+ * reloads mid-show reads it back: the presenter is offered "resume at slide
+ * N", an audience window that finds nobody to sync from picks it up on its
+ * own if it was written moments ago (OBS can't click a prompt).
+ */
+
+import type { SlideshowState } from './slideshowSync';
+
+const STORAGE_PREFIX = 'tattoonow-session:';
+
+/** Journals older than this are a previous show, not a crash. */
+export const SESSION_MAX_AGE_MS = 12 * 60 * 60 * 1000;
+
+/** An audience window only resumes on its own after a quick reload. */
+export const SESSION_AUTO_RESUME_MS = 10 * 60 * 1000;
+
+interface SessionRecord {
+  state: SlideshowState;
+  /** Date.now() when the show clock started, null before the first advance. */
+  showStartTime: number | null;
+  savedAt: number;
+}
+
+export interface SavedSession {
+  /** The journaled state, with showElapsedMs brought up to now. */
+  state: SlideshowState;
+  showStartTime: number | null;
+  savedAt: number;
+}
+
+/** Journal key for the show or legacy episode an episodeData describes. */
+export function sessionKey(episodeData: { _showId?: string; EPISODE_NUMBER?: string } | null | undefined): string {
+  return episodeData?._showId || `episode-${episodeData?.EPISODE_NUMBER || 'unknown'}`;
+}
+
+export function saveSession(key: string, state: SlideshowState, showStartTime: number | null) {
+  const record: SessionRecord = { state, showStartTime, savedAt: Date.now() };
+  try {
+    localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(record));
+  } catch {
+    // Storage full or disabled — recovery just won't be offered
+  }
+}
+
+/**
+ * The journaled session for a show, or null if there is none, it's older
+ * than maxAgeMs, or it never left the first slide (nothing to resume).
+ */
+export function loadSession(key: string, maxAgeMs: number = SESSION_MAX_AGE_MS): SavedSession | null {
+  let record: SessionRecord;
+  try {
+    record = JSON.parse(localStorage.getItem(STORAGE_PREFIX + key) || 'null');
+  } catch {
+    return null;
+  }
+  if (!record?.state || typeof record.savedAt !== 'number') return null;
+  if (Date.now() - record.savedAt > maxAgeMs) return null;
+  if (record.state.slideIndex === 0 && !record.showStartTime) return null;
+
+  const showElapsedMs = record.showStartTime ? Date.now() - record.showStartTime : 0;
+  return {
+    state: { ...record.state, showElapsedMs },
+    showStartTime: record.showStartTime,
+    savedAt: record.savedAt,
+  };
+}
+
+export function clearSession(key: string) {
+  try {
+    localStorage.removeItem(STORAGE_PREFIX + key);
+  } catch {
+    // Nothing to clear
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * QR campaigns — which call to action the QR overlay shows, per segment.
+ *
+ * A show keys its campaigns in showQRCodes. A rundown entry picks one with
+ * config.qrCampaign (a list rotates every qrRotateSeconds); a sponsor tape
+ * brings its own (SponsorInfo.qrUrl / qrMessage); everything else shows
+ * `booking`. buildSlidesFromShow resolves this per slide into `qrCampaigns`,
+ * so the overlay switches as the show moves between segments.
+ *
+ * Every URL is tagged with UTM parameters naming the episode, segment and
+ * campaign, which is how HighLevel attributes a scan to the segment that
+ * earned it. A HighLevel-generated image (highlevelUrl) encodes one fixed
+ * URL and can't carry those tags, so tagged campaigns are drawn in the
+ * browser instead.
+ */
+
+export const DEFAULT_QR_CAMPAIGN = 'booking';
+
+/** How long each campaign in a rotation stays up. */
+export const DEFAULT_QR_ROTATE_SECONDS = 20;
+
+export interface QrCampaignSource {
+  url: string;
+  message: string;
+  highlevelUrl?: string;
+}
+
+/** A campaign ready for the overlay, as stamped on a slide. */
+export interface LiveQrCampaign {
+  /** showQRCodes key, or `sponsor-<name>` for a sponsor tape's own. */
+  key: string;
+  /**
+   * Episode, campaign and segment in one — what scans are counted under
+   * (lib/shortLinks), e.g. `ep4-booking-guest-intro`.
+   */
+  name: string;
+  /** The campaign URL with its UTM tags. */
+  url: string;
+  message: string;
+}
+
+export interface UtmTags {
+  episode?: string | number;
+  segment?: string;
+  campaign: string;
+}
+
+function slugify(text: string): string {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Append utm_source (ep<episode>), utm_medium (qr), utm_campaign and
+ * utm_content (the segment). Tags already on the URL win, so a campaign can
+ * pin its own. URLs that don't parse are returned untouched.
+ */
+export function withUtm(url: string, tags: UtmTags): string {
+  let parsed: URL;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+  const params: Array<[string, string]> = [
+    ['utm_source', tags.episode !== undefined && tags.episode !== '' ? `ep${tags.episode}` : 'tattoonow-live'],
+    ['utm_medium', 'qr'],
+    ['utm_campaign', slugify(tags.campaign)],
+    ['utm_content', tags.segment ? slugify(tags.segment) : ''],
+  ];
+  for (const [name, value] of params) {
+    if (value && !parsed.searchParams.has(name)) parsed.searchParams.set(name, value);
+  }
+  return parsed.toString();
+}
+
+/** A sponsor's own QR as a campaign, or null if it has none. */
+export function sponsorCampaign(
+  sponsor: { name?: string; qrUrl?: string; qrMessage?: string; highlevelUrl?: string } | null | undefined,
+): (QrCampaignSource & { key: string }) | null {
+  if (!sponsor?.qrUrl) return null;
+  return {
+    key: `sponsor-${slugify(sponsor.name || 'sponsor')}`,
+    url: sponsor.qrUrl,
+    message: sponsor.qrMessage || (sponsor.name ? `Visit ${sponsor.name}` : ''),
+    highlevelUrl: sponsor.highlevelUrl,
+  };
+}
+
+/**
+ * The campaigns live during a rundown entry, tagged for it. `sponsor` is the
+ * slide's sponsor tape, if any — it wins over the entry's config, which wins
+ * over the show's booking campaign. Unknown keys are skipped with a warning.
+ */
+export function resolveQrCampaigns(
+  showQRCodes: Record<string, QrCampaignSource> | undefined,
+  entry: { label?: string; type?: string; config?: { qrCampaign?: string | string[] } },
+  episode: string | number | undefined,
+  sponsor?: Parameters<typeof sponsorCampaign>[0],
+): LiveQrCampaign[] {
+  const codes = showQRCodes || {};
+  const segment = entry.label || entry.type || '';
+  const fromSponsor = sponsorCampaign(sponsor);
+
+  let sources: Array<QrCampaignSource & { key: string }>;
+  if (fromSponsor) {
+    sources = [fromSponsor];
+  } else {
+    const configured = entry.config?.qrCampaign;
+    const keys = configured === undefined
+      ? [DEFAULT_QR_CAMPAIGN]
+      : Array.isArray(configured) ? configured : [configured];
+    sources = [];
+    for (const key of keys) {
+      if (codes[key]) {
+        sources.push({ key, ...codes[key] });
+      } else if (configured !== undefined) {
+        console.warn(`[qrCampaigns] Unknown QR campaign "${key}" on "${segment}"`);
+      }
+    }
+  }
+
+  return sources
+    .filter(source => source.url)
+    .map(source => ({
+      key: source.key,
+      name: [episode !== undefined && episode !== '' ? `ep${episode}` : '', source.key, segment]
+        .map(part => slugify(part))
+        .filter(Boolean)
+        .join('-'),
+      url: withUtm(source.url, { episode, segment, campaign: source.key }),
+      message: source.message,
+    }));
+}
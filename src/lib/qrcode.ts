@@ -0,0 +1,529 @@
+/**
+ * QR code encoder — byte mode, versions 1–40, all four error-correction
+ * levels, automatic mask selection. Runs entirely in the browser so the
+ * booking QR keeps working when the studio network drops, and campaign
+ * URLs never leave the machine.
+ *
+ * encodeQr() turns text into a QrMatrix; qrSvgPath / qrToSvg / drawQr
+ * render it with a quiet zone, any module colour and, optionally, the
+ * TattooNOW mark in the middle. A logo hides modules, so asking for one
+ * raises the error-correction level to at least Q and keeps the mark small
+ * enough that the hidden modules stay well inside what Q/H can recover.
+ *
+ * Follows ISO/IEC 18004; the structure mirrors Project Nayuki's
+ * qrcodegen (MIT), trimmed to byte mode.
+ */
+
+import { BRAND } from './brand';
+
+export type ErrorCorrectionLevel = 'L' | 'M' | 'Q' | 'H';
+
+export interface QrMatrix {
+  version: number;
+  size: number;
+  ecl: ErrorCorrectionLevel;
+  mask: number;
+  /** modules[y][x] — true is a dark module. */
+  modules: boolean[][];
+}
+
+export interface QrEncodeOptions {
+  /** Minimum error-correction level (default M). */
+  ecl?: ErrorCorrectionLevel;
+  /**
+   * Use a higher level than asked for when it fits in the same version
+   * (default true) — free headroom for a logo or a scuffed screen.
+   */
+  boostEcl?: boolean;
+  /** Leave room for the centre logo: the level is raised to at least Q. */
+  logo?: boolean;
+  minVersion?: number;
+  maxVersion?: number;
+  /** Force a mask pattern 0–7 instead of picking the best. */
+  mask?: number;
+}
+
+export interface QrRenderOptions {
+  /** Quiet zone in modules (default 4, the spec minimum). */
+  margin?: number;
+  /** Module colour (default black). */
+  dark?: string;
+  /** Background colour (default white). */
+  light?: string;
+  /** Draw the TattooNOW mark in the middle — encode with `logo: true`. */
+  logo?: boolean;
+}
+
+const ECL_ORDER: ErrorCorrectionLevel[] = ['L', 'M', 'Q', 'H'];
+
+/** Format-info bits for each level (not the same order as ECL_ORDER). */
+const ECL_FORMAT_BITS: Record<ErrorCorrectionLevel, number> = { L: 1, M: 0, Q: 3, H: 2 };
+
+// Indexed [level][version]; index 0 is unused.
+const ECC_CODEWORDS_PER_BLOCK: Record<ErrorCorrectionLevel, number[]> = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+};
+
+const NUM_ERROR_CORRECTION_BLOCKS: Record<ErrorCorrectionLevel, number[]> = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+};
+
+/**
+ * Largest share of the symbol's width the logo may cover at each level.
+ * Q and H recover 25% / 30% of codewords; these keep the hidden area
+ * (4% / 6.25% of the modules) far enough below that for a real-world scan.
+ */
+const LOGO_WIDTH_SHARE: Record<ErrorCorrectionLevel, number> = { L: 0, M: 0, Q: 0.2, H: 0.25 };
+
+// Mask-selection penalty weights from the spec
+const PENALTY_N1 = 3;
+const PENALTY_N2 = 3;
+const PENALTY_N3 = 40;
+const PENALTY_N4 = 10;
+
+// ── Encoding ─────────────────────────────────────────────────────────
+
+/**
+ * Encode text (as UTF-8 bytes) in the smallest version that fits. Throws
+ * if it doesn't fit in maxVersion.
+ */
+export function encodeQr(text: string, options: QrEncodeOptions = {}): QrMatrix {
+  const { boostEcl = true, logo = false, minVersion = 1, maxVersion = 40, mask } = options;
+  let ecl = options.ecl || 'M';
+  if (logo && ECL_ORDER.indexOf(ecl) < ECL_ORDER.indexOf('Q')) ecl = 'Q';
+
+  const bytes = new TextEncoder().encode(text);
+
+  let version = minVersion;
+  let dataBits = 0;
+  for (; ; version++) {
+    dataBits = 4 + charCountBits(version) + bytes.length * 8;
+    if (dataBits <= numDataCodewords(version, ecl) * 8) break;
+    if (version >= maxVersion) {
+      throw new RangeError(`QR data too long: ${bytes.length} bytes don't fit in version ${maxVersion}-${ecl}`);
+    }
+  }
+
+  if (boostEcl) {
+    for (const higher of ECL_ORDER.slice(ECL_ORDER.indexOf(ecl) + 1)) {
+      if (dataBits <= numDataCodewords(version, higher) * 8) ecl = higher;
+    }
+  }
+
+  // Mode indicator, character count, data, terminator, then pad to capacity
+  const bits: number[] = [];
+  appendBits(bits, 0b0100, 4);
+  appendBits(bits, bytes.length, charCountBits(version));
+  for (const b of bytes) appendBits(bits, b, 8);
+  const capacityBits = numDataCodewords(version, ecl) * 8;
+  appendBits(bits, 0, Math.min(4, capacityBits - bits.length));
+  appendBits(bits, 0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) appendBits(bits, pad, 8);
+
+  const data: number[] = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+
+  return buildMatrix(version, ecl, addEccAndInterleave(data, version, ecl), mask);
+}
+
+function charCountBits(version: number): number {
+  return version <= 9 ? 8 : 16;
+}
+
+function appendBits(bits: number[], value: number, length: number) {
+  for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+}
+
+/** Modules available for data and error correction in a version. */
+function numRawDataModules(version: number): number {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function numDataCodewords(version: number, ecl: ErrorCorrectionLevel): number {
+  return Math.floor(numRawDataModules(version) / 8)
+    - ECC_CODEWORDS_PER_BLOCK[ecl][version] * NUM_ERROR_CORRECTION_BLOCKS[ecl][version];
+}
+
+/** Split into blocks, append each block's Reed-Solomon codewords, interleave. */
+function addEccAndInterleave(data: number[], version: number, ecl: ErrorCorrectionLevel): number[] {
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecl][version];
+  const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ecl][version];
+  const rawCodewords = Math.floor(numRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+  const divisor = reedSolomonDivisor(blockEccLen);
+  const blocks: number[][] = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+    k += dat.length;
+    const ecc = reedSolomonRemainder(dat, divisor);
+    if (i < numShortBlocks) dat.push(0); // placeholder, skipped below
+    blocks.push(dat.concat(ecc));
+  }
+
+  const result: number[] = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+// ── Reed-Solomon over GF(2^8), polynomial 0x11D ──────────────────────
+
+function gfMultiply(x: number, y: number): number {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/** Generator polynomial of the given degree, highest term dropped. */
+export function reedSolomonDivisor(degree: number): number[] {
+  const result = new Array<number>(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+/** Error-correction codewords for a block of data codewords. */
+export function reedSolomonRemainder(data: number[], divisor: number[]): number[] {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ (result.shift() as number);
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= gfMultiply(coef, factor);
+    });
+  }
+  return result;
+}
+
+// ── Matrix ───────────────────────────────────────────────────────────
+
+function buildMatrix(version: number, ecl: ErrorCorrectionLevel, codewords: number[], forcedMask?: number): QrMatrix {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array<boolean>(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array<boolean>(size).fill(false));
+  const setFunction = (x: number, y: number, dark: boolean) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  // Timing patterns, then finders over their ends
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || x >= size || y < 0 || y >= size) continue;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        setFunction(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+
+  // Alignment patterns, except where they'd overlap a finder
+  const align = alignmentPositions(version);
+  align.forEach((cy, i) => {
+    align.forEach((cx, j) => {
+      const last = align.length - 1;
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Reserve the format areas (real bits go in once the mask is chosen)
+  drawFormatBits(ecl, 0, size, setFunction);
+  drawVersionBits(version, size, setFunction);
+
+  // Data in the zigzag column pairs, right to left, skipping the timing column
+  let bit = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!isFunction[y][x] && bit < codewords.length * 8) {
+          modules[y][x] = ((codewords[bit >>> 3] >>> (7 - (bit & 7))) & 1) === 1;
+          bit++;
+        }
+      }
+    }
+  }
+
+  let mask = forcedMask ?? -1;
+  if (mask < 0) {
+    let minPenalty = Infinity;
+    for (let candidate = 0; candidate < 8; candidate++) {
+      applyMask(modules, isFunction, candidate);
+      drawFormatBits(ecl, candidate, size, setFunction);
+      const penalty = penaltyScore(modules);
+      if (penalty < minPenalty) {
+        mask = candidate;
+        minPenalty = penalty;
+      }
+      applyMask(modules, isFunction, candidate); // XOR again to undo
+    }
+  }
+  applyMask(modules, isFunction, mask);
+  drawFormatBits(ecl, mask, size, setFunction);
+
+  return { version, size, ecl, mask, modules };
+}
+
+function alignmentPositions(version: number): number[] {
+  if (version === 1) return [];
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = version * 4 + 17 - 7; result.length < numAlign; pos -= step) {
+    result.splice(1, 0, pos);
+  }
+  return result;
+}
+
+/** The 15 format bits (level + mask, BCH-protected, masked) as drawn. */
+export function formatBits(ecl: ErrorCorrectionLevel, mask: number): number {
+  const data = (ECL_FORMAT_BITS[ecl] << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  return ((data << 10) | rem) ^ 0x5412;
+}
+
+/** The 18 version-info bits for versions 7 and up. */
+export function versionBits(version: number): number {
+  let rem = version;
+  for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+  return (version << 12) | rem;
+}
+
+type SetFunction = (x: number, y: number, dark: boolean) => void;
+
+function drawFormatBits(ecl: ErrorCorrectionLevel, mask: number, size: number, setFunction: SetFunction) {
+  const bits = formatBits(ecl, mask);
+  const bitAt = (i: number) => ((bits >>> i) & 1) === 1;
+
+  // Around the top-left finder
+  for (let i = 0; i <= 5; i++) setFunction(8, i, bitAt(i));
+  setFunction(8, 7, bitAt(6));
+  setFunction(8, 8, bitAt(7));
+  setFunction(7, 8, bitAt(8));
+  for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bitAt(i));
+
+  // Split between the other two finders, plus the always-dark module
+  for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bitAt(i));
+  for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bitAt(i));
+  setFunction(8, size - 8, true);
+}
+
+function drawVersionBits(version: number, size: number, setFunction: SetFunction) {
+  if (version < 7) return;
+  const bits = versionBits(version);
+  for (let i = 0; i < 18; i++) {
+    const dark = ((bits >>> i) & 1) === 1;
+    const a = size - 11 + (i % 3);
+    const b = Math.floor(i / 3);
+    setFunction(a, b, dark);
+    setFunction(b, a, dark);
+  }
+}
+
+const MASK_PATTERNS: Array<(x: number, y: number) => boolean> = [
+  (x, y) => (x + y) % 2 === 0,
+  (_x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+function applyMask(modules: boolean[][], isFunction: boolean[][], mask: number) {
+  const pattern = MASK_PATTERNS[mask];
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (!isFunction[y][x] && pattern(x, y)) row[x] = !dark;
+    });
+  });
+}
+
+/** The spec's four penalty rules; lower scans more reliably. */
+function penaltyScore(modules: boolean[][]): number {
+  const size = modules.length;
+  const column = (x: number) => modules.map(row => row[x]);
+  const lines = [...modules, ...Array.from({ length: size }, (_, x) => column(x))];
+  let result = 0;
+
+  for (const line of lines) {
+    // Runs of five or more in a row / column
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) result += PENALTY_N1 + (run - 5);
+        run = 1;
+      }
+    }
+    // Finder-like 1:1:3:1:1 with four light modules on either side
+    for (let i = 0; i + 11 <= size; i++) {
+      const core = line[i + 4] && !line[i + 5] && line[i + 6] && line[i + 7] && line[i + 8] && !line[i + 9] && line[i + 10];
+      const coreRev = line[i] && !line[i + 1] && line[i + 2] && line[i + 3] && line[i + 4] && !line[i + 5] && line[i + 6];
+      if (core && !line[i] && !line[i + 1] && !line[i + 2] && !line[i + 3]) result += PENALTY_N3;
+      if (coreRev && !line[i + 7] && !line[i + 8] && !line[i + 9] && !line[i + 10]) result += PENALTY_N3;
+    }
+  }
+
+  // 2×2 blocks of one colour
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const c = modules[y][x];
+      if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) result += PENALTY_N2;
+    }
+  }
+
+  // Dark/light balance
+  const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+  const total = size * size;
+  result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * PENALTY_N4;
+  return result;
+}
+
+// ── Rendering ────────────────────────────────────────────────────────
+
+/**
+ * The square, in modules, the logo covers (and whose modules aren't drawn):
+ * centred, odd-sized so it sits on the module grid symmetrically. Null at
+ * levels without the headroom for one.
+ */
+export function logoArea(qr: QrMatrix): { start: number; size: number } | null {
+  let size = Math.floor(qr.size * LOGO_WIDTH_SHARE[qr.ecl]);
+  if (size % 2 === 0) size--;
+  if (size < 3) return null;
+  return { start: (qr.size - size) / 2, size };
+}
+
+function inArea(area: { start: number; size: number } | null, x: number, y: number): boolean {
+  return !!area && x >= area.start && x < area.start + area.size && y >= area.start && y < area.start + area.size;
+}
+
+/**
+ * SVG path data for the dark modules, one unit per module, offset by the
+ * quiet zone. Runs along each row are merged to keep the path short.
+ */
+export function qrSvgPath(qr: QrMatrix, margin = 4, skip: { start: number; size: number } | null = null): string {
+  const parts: string[] = [];
+  qr.modules.forEach((row, y) => {
+    for (let x = 0; x < qr.size; x++) {
+      if (!row[x] || inArea(skip, x, y)) continue;
+      const start = x;
+      while (x + 1 < qr.size && row[x + 1] && !inArea(skip, x + 1, y)) x++;
+      parts.push(`M${start + margin},${y + margin}h${x - start + 1}v1h${start - x - 1}z`);
+    }
+  });
+  return parts.join('');
+}
+
+/** The TattooNOW mark as SVG elements filling a w×w box at (x, y). */
+function logoSvg(x: number, y: number, w: number, light: string): string {
+  const pad = w * 0.08;
+  return `<rect x="${x}" y="${y}" width="${w}" height="${w}" fill="${light}"/>`
+    + `<rect x="${x + pad}" y="${y + pad}" width="${w - pad * 2}" height="${w - pad * 2}" rx="${w * 0.18}" fill="${BRAND.colors.primary}"/>`
+    + `<text x="${x + w / 2}" y="${y + w / 2}" text-anchor="middle" dominant-baseline="central" fill="#fff" `
+    + `font-family="${BRAND.fonts.heading.replace(/"/g, "'")}" font-weight="800" font-size="${w * 0.42}">TN</text>`;
+}
+
+/** A standalone SVG document, scalable, viewBox in modules. */
+export function qrToSvg(qr: QrMatrix, options: QrRenderOptions = {}): string {
+  const { margin = 4, dark = '#000', light = '#fff', logo = false } = options;
+  const full = qr.size + margin * 2;
+  const area = logo ? logoArea(qr) : null;
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${full} ${full}" shape-rendering="crispEdges">`
+    + `<rect width="${full}" height="${full}" fill="${light}"/>`
+    + `<path d="${qrSvgPath(qr, margin, area)}" fill="${dark}"/>`
+    + (area ? logoSvg(area.start + margin, area.start + margin, area.size, light) : '')
+    + '</svg>';
+}
+
+/**
+ * Draw onto a canvas, resizing it to `pixels` square (modules snap to whole
+ * device pixels where they can).
+ */
+export function drawQr(canvas: HTMLCanvasElement, qr: QrMatrix, pixels: number, options: QrRenderOptions = {}) {
+  const { margin = 4, dark = '#000', light = '#fff', logo = false } = options;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+  const full = qr.size + margin * 2;
+  const scale = window.devicePixelRatio || 1;
+  canvas.width = Math.round(pixels * scale);
+  canvas.height = Math.round(pixels * scale);
+  const unit = canvas.width / full;
+
+  ctx.fillStyle = light;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = dark;
+  const area = logo ? logoArea(qr) : null;
+  qr.modules.forEach((row, y) => {
+    row.forEach((isDark, x) => {
+      if (!isDark || inArea(area, x, y)) return;
+      // Round both edges so neighbouring modules meet without hairline gaps
+      const left = Math.round((x + margin) * unit);
+      const top = Math.round((y + margin) * unit);
+      ctx.fillRect(left, top, Math.round((x + margin + 1) * unit) - left, Math.round((y + margin + 1) * unit) - top);
+    });
+  });
+
+  if (area) {
+    const x = (area.start + margin) * unit;
+    const w = area.size * unit;
+    const pad = w * 0.08;
+    ctx.fillStyle = light;
+    ctx.fillRect(x, x, w, w);
+    ctx.fillStyle = BRAND.colors.primary;
+    ctx.beginPath();
+    ctx.roundRect(x + pad, x + pad, w - pad * 2, w - pad * 2, w * 0.18);
+    ctx.fill();
+    ctx.fillStyle = '#fff';
+    ctx.font = `800 ${w * 0.42}px ${BRAND.fonts.heading}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('TN', x + w / 2, x + w / 2);
+  }
+}
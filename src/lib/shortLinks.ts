@@ -0,0 +1,66 @@
+/**
+ * Client for the dev short-link API (plugins/shortLinkApi.ts).
+ *
+ * A QR code that encodes a short link instead of its target records every
+ * scan before redirecting, so the presenter can watch a campaign's traction
+ * while it's on screen. Where the API isn't running — the static build —
+ * minting resolves to `unavailable` and callers encode the target directly.
+ */
+
+import type { CampaignScanCount, ShortLinkResult } from './types';
+
+const API_BASE = '/api/highlevel';
+
+/** How often the presenter refreshes scan counts. */
+export const SCAN_POLL_MS = 10000;
+
+const minted = new Map<string, Promise<ShortLinkResult>>();
+
+/**
+ * Mint (or look up) the short link for a campaign. Successful links are
+ * remembered for the page's lifetime, so every slide that shows the same
+ * campaign reuses one request.
+ */
+export function mintShortLink(targetUrl: string, campaignName: string): Promise<ShortLinkResult> {
+  const key = `${campaignName}\n${targetUrl}`;
+  let request = minted.get(key);
+  if (!request) {
+    request = postMint(targetUrl, campaignName);
+    minted.set(key, request);
+    request.then(result => {
+      if (!result.ok) minted.delete(key);
+    });
+  }
+  return request;
+}
+
+async function postMint(targetUrl: string, campaignName: string): Promise<ShortLinkResult> {
+  let res: Response;
+  try {
+    res = await fetch(`${API_BASE}/generate-qr`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ targetUrl, campaignName, trackingEnabled: true }),
+    });
+  } catch {
+    return { ok: false, error: { code: 'unavailable', message: 'Short-link API is not running' } };
+  }
+  try {
+    return await res.json();
+  } catch {
+    // Static hosting answers with an HTML 404/405
+    return { ok: false, error: { code: 'unavailable', message: `Short links are only available on the dev server (${res.status})` } };
+  }
+}
+
+/** Scan counts for every campaign, or null when the API isn't there. */
+export async function fetchScanCounts(): Promise<CampaignScanCount[] | null> {
+  try {
+    const res = await fetch(`${API_BASE}/scans`, { cache: 'no-store' });
+    if (!res.ok) return null;
+    const counts = await res.json();
+    return Array.isArray(counts) ? counts : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,283 @@
+/**
+ * Cross-window sync protocol for the slideshow.
+ *
+ * The audience window, presenter window and notes popout talk over two
+ * BroadcastChannels. Every message is an envelope `{ v, type, payload }`;
+ * `v` is SYNC_PROTOCOL_VERSION and messages from another version (a window
+ * left open across a deploy) are dropped rather than half-applied.
+ *
+ * Each channel has request/snapshot semantics: a window that opens late
+ * sends STATE_REQUEST and whoever already holds the state answers with the
+ * full picture — STATE_SNAPSHOT on the slideshow channel, NOTES_UPDATE on
+ * the notes channel (its updates are already complete snapshots).
+ *
+ * Transports: BroadcastChannel always (windows in one browser profile), plus
+ * the WebSocket relay in server/syncRelay.js when the page URL carries
+ * `?relay=` (windows on other machines). The same envelope can arrive over
+ * both, so envelopes also carry the sender's id and a sequence number and
+ * receivers drop anything they've already seen or that arrives out of order.
+ */
+
+export const SYNC_PROTOCOL_VERSION = 1;
+
+export const SLIDESHOW_CHANNEL = 'tattoonow-slideshow-sync';
+export const NOTES_CHANNEL = 'tattoonow-notes-sync';
+
+/**
+ * How long a freshly opened slideshow window waits for a snapshot before
+ * deciding it is the first window and its own state is the show's state.
+ */
+export const STATE_REQUEST_TIMEOUT_MS = 500;
+
+// ── State ────────────────────────────────────────────────────────────
+
+export type PortfolioLayout = 'grid' | 'fullscreen';
+
+/** Everything an audience or presenter window needs to pick up mid-show. */
+export interface SlideshowState {
+  slideIndex: number;
+  stage: number;
+  showQR: boolean;
+  showLowerThird: boolean;
+  portfolioLayout: PortfolioLayout;
+  selectedImage: number | null;
+  autoMode: boolean;
+  showScoreboard: boolean;
+  tallies: number[];
+  /** Hard-out protection on, and the rundown entries it dropped (by index). */
+  hardOut: boolean;
+  skippedEntries: number[];
+  /** Show clock at the time of sending — elapsed, not a start time, so machines with skewed clocks agree. */
+  showElapsedMs: number;
+}
+
+/** What the notes popout shows for the current slide. */
+export interface NotesState {
+  presenterNotes: string;
+  slideIndex: number;
+  totalSlides: number;
+  slideType: string;
+  slideTitle: string;
+  talkingPoints: string[];
+  episodeData: Record<string, unknown> | null;
+}
+
+// ── Messages ─────────────────────────────────────────────────────────
+
+type NoPayload = Record<string, never>;
+
+/** Payload for each message type on SLIDESHOW_CHANNEL. */
+export interface SlideshowMessages {
+  SLIDE_CHANGE: { slideIndex: number; stage: number };
+  QR_TOGGLE: { show: boolean };
+  LOWER_THIRD_TOGGLE: { show: boolean };
+  PORTFOLIO_LAYOUT_TOGGLE: { layout: PortfolioLayout };
+  SELECTED_IMAGE: { imageIndex: number | null };
+  AUTO_MODE_TOGGLE: { auto: boolean };
+  SCOREBOARD_TOGGLE: { show: boolean };
+  SCOREBOARD_TALLY: { tallies: number[] };
+  HARD_OUT_TOGGLE: { on: boolean };
+  SKIP_ENTRIES: { entries: number[] };
+  STATE_REQUEST: NoPayload;
+  STATE_SNAPSHOT: SlideshowState;
+  /** Every window adopts this state, synced or not — session resume / reset. */
+  STATE_REPLACE: SlideshowState;
+}
+
+/** Payload for each message type on NOTES_CHANNEL. */
+export interface NotesMessages {
+  STATE_REQUEST: NoPayload;
+  NOTES_UPDATE: NotesState;
+}
+
+/** Discriminated union of the envelopes a channel carries. */
+export type SyncMessage<M> = {
+  [K in keyof M]: { v: number; type: K; payload: M[K] };
+}[keyof M];
+
+export interface SyncChannel<M> {
+  send<K extends keyof M>(type: K, payload: M[K]): void;
+  close(): void;
+}
+
+/** On-the-wire envelope — the message plus protocol and delivery metadata. */
+interface Envelope {
+  v: number;
+  ch: string;
+  from: string;
+  seq: number;
+  type: string;
+  payload: unknown;
+}
+
+// ── Relay config ─────────────────────────────────────────────────────
+
+export interface RelayConfig {
+  url: string;
+  room: string;
+  secret: string;
+  /** Called each time the relay accepts the socket, including reconnects. */
+  onJoined?: () => void;
+}
+
+/**
+ * Read relay settings from the page URL:
+ *   ?relay=ws://10.0.0.5:9010/sync&key=<secret>[&room=<id>]
+ * The room defaults to the show (or episode) id, so both machines only need
+ * the same show URL plus the relay and key.
+ */
+export function relayConfigFromParams(params: URLSearchParams): RelayConfig | null {
+  const url = params.get('relay');
+  if (!url) return null;
+  return {
+    url,
+    room: params.get('room') || params.get('show') || params.get('episode') || 'default',
+    secret: params.get('key') || '',
+  };
+}
+
+// ── Transports ───────────────────────────────────────────────────────
+
+interface Transport {
+  post(envelope: Envelope): void;
+  close(): void;
+}
+
+function broadcastTransport(name: string, deliver: (data: unknown) => void): Transport {
+  const channel = new BroadcastChannel(name);
+  channel.onmessage = (event: MessageEvent) => deliver(event.data);
+  return {
+    post: (envelope) => channel.postMessage(envelope),
+    close: () => channel.close(),
+  };
+}
+
+const RELAY_RETRY_MIN_MS = 1000;
+const RELAY_RETRY_MAX_MS = 15000;
+
+/**
+ * WebSocket transport to the sync relay. Reconnects with backoff; a denied
+ * join (wrong secret) stops retrying. Nothing is queued while disconnected —
+ * on rejoin the window asks for a fresh snapshot instead (see onJoined).
+ */
+function relayTransport(config: RelayConfig, deliver: (data: unknown) => void): Transport {
+  let socket: WebSocket | null = null;
+  let joined = false;
+  let closed = false;
+  let retryMs = RELAY_RETRY_MIN_MS;
+  let retryTimer: ReturnType<typeof setTimeout> | undefined;
+
+  function connect() {
+    socket = new WebSocket(config.url);
+    joined = false;
+
+    socket.onopen = () => {
+      socket?.send(JSON.stringify({ relay: 'join', room: config.room, secret: config.secret }));
+    };
+
+    socket.onmessage = (event: MessageEvent) => {
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      if (data?.relay === 'joined') {
+        joined = true;
+        retryMs = RELAY_RETRY_MIN_MS;
+        console.info(`[sync] relay joined room "${data.room}" (${data.peers} other window${data.peers === 1 ? '' : 's'})`);
+        config.onJoined?.();
+      } else if (data?.relay === 'denied') {
+        console.error(`[sync] relay refused this window: ${data.reason}`);
+        closed = true;
+      } else {
+        deliver(data);
+      }
+    };
+
+    socket.onclose = () => {
+      joined = false;
+      if (closed) return;
+      retryTimer = setTimeout(connect, retryMs);
+      retryMs = Math.min(retryMs * 2, RELAY_RETRY_MAX_MS);
+    };
+
+    // onclose follows and schedules the retry; BroadcastChannel keeps
+    // same-machine windows in sync meanwhile
+    socket.onerror = () => {};
+  }
+
+  connect();
+
+  return {
+    post(envelope) {
+      if (joined && socket?.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(envelope));
+      }
+    },
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      socket?.close();
+    },
+  };
+}
+
+// ── Channels ─────────────────────────────────────────────────────────
+
+function openSyncChannel<M>(
+  name: string,
+  onMessage: (message: SyncMessage<M>) => void,
+  relay: RelayConfig | null = null,
+): SyncChannel<M> {
+  // Not crypto.randomUUID — that's missing on plain-http LAN origins
+  const id = Math.random().toString(36).slice(2, 10);
+  let seq = 0;
+  const lastSeq = new Map<string, number>();
+  let warned = false;
+
+  function receive(data: unknown) {
+    const envelope = data as Partial<Envelope> | null;
+    if (!envelope || typeof envelope.type !== 'string') return;
+    if (envelope.v !== SYNC_PROTOCOL_VERSION) {
+      if (!warned) {
+        console.warn(`[sync] ${name}: ignoring protocol v${envelope.v ?? '?'} messages (this window speaks v${SYNC_PROTOCOL_VERSION}) — reload the other windows`);
+        warned = true;
+      }
+      return;
+    }
+    if (envelope.ch !== name || envelope.from === id) return;
+    // Seen already (other transport) or overtaken by a newer message
+    const from = envelope.from ?? '';
+    const n = envelope.seq ?? 0;
+    if (n <= (lastSeq.get(from) ?? 0)) return;
+    lastSeq.set(from, n);
+    onMessage({ v: envelope.v, type: envelope.type, payload: envelope.payload } as SyncMessage<M>);
+  }
+
+  const transports = [broadcastTransport(name, receive)];
+  if (relay) transports.push(relayTransport(relay, receive));
+
+  return {
+    send(type, payload) {
+      seq += 1;
+      const envelope: Envelope = { v: SYNC_PROTOCOL_VERSION, ch: name, from: id, seq, type: String(type), payload };
+      for (const transport of transports) transport.post(envelope);
+    },
+    close() {
+      for (const transport of transports) transport.close();
+    },
+  };
+}
+
+/** Slideshow channel; pass a relay config to also sync across machines. */
+export function openSlideshowChannel(
+  onMessage: (message: SyncMessage<SlideshowMessages>) => void,
+  relay: RelayConfig | null = null,
+): SyncChannel<SlideshowMessages> {
+  return openSyncChannel<SlideshowMessages>(SLIDESHOW_CHANNEL, onMessage, relay);
+}
+
+export function openNotesChannel(onMessage: (message: SyncMessage<NotesMessages>) => void): SyncChannel<NotesMessages> {
+  return openSyncChannel<NotesMessages>(NOTES_CHANNEL, onMessage);
+}
@@ -0,0 +1,191 @@
+/**
+ * Validate a Tape against the per-type rules in public/data/tape-schema.json.
+ *
+ * Where validate.ts checks that a tape is well-formed JSON for the `Tape`
+ * type, this checks the editorial rules: media counts and aspects, required
+ * and optional fields, panelist counts, variant content fields.
+ *
+ * Errors block a save (unless forced); warnings are advisory. Missing required
+ * fields are only errors once a tape leaves the opportunity/collecting stages —
+ * before that they are the producer's to-do list.
+ */
+
+import type { Tape, TapeSchemaFile, TapeValidationResult, ValidationIssue, VideoItem } from './types';
+
+const IN_PROGRESS_STATUSES = ['opportunity', 'collecting'];
+
+type Obj = Record<string, unknown>;
+
+interface FieldMatch {
+  path: string;
+  value: unknown;
+}
+
+/**
+ * Resolve a schema field path against an object. `[]` fans out over arrays:
+ * "rounds[].image" yields one match per round ("rounds[0].image", ...).
+ */
+function resolveField(root: unknown, field: string, prefix = ''): FieldMatch[] {
+  let matches: FieldMatch[] = [{ path: prefix, value: root }];
+
+  for (const part of field.split('.')) {
+    const fanOut = part.endsWith('[]');
+    const key = fanOut ? part.slice(0, -2) : part;
+    const next: FieldMatch[] = [];
+
+    for (const m of matches) {
+      const value = key && m.value && typeof m.value === 'object'
+        ? (m.value as Obj)[key]
+        : key ? undefined : m.value;
+      const path = key ? (m.path ? `${m.path}.${key}` : key) : m.path;
+
+      if (fanOut && Array.isArray(value) && value.length > 0) {
+        value.forEach((item, i) => next.push({ path: `${path}[${i}]`, value: item }));
+      } else {
+        next.push({ path, value });
+      }
+    }
+    matches = next;
+  }
+
+  return matches;
+}
+
+function isMissing(value: unknown): boolean {
+  if (value === undefined || value === null) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  return false;
+}
+
+function extensionOf(url: string): string {
+  const file = url.split(/[?#]/)[0].split('/').pop() || '';
+  const dot = file.lastIndexOf('.');
+  return dot >= 0 ? file.slice(dot + 1).toLowerCase() : '';
+}
+
+/**
+ * Check `tape` against `schema`. Returns field-level errors and warnings.
+ */
+export function validateTapeAgainstSchema(tape: Tape, schema: TapeSchemaFile): TapeValidationResult {
+  const errors: ValidationIssue[] = [];
+  const warnings: ValidationIssue[] = [];
+  const error = (path: string, message: string) => errors.push({ path, message });
+  const warn = (path: string, message: string) => warnings.push({ path, message });
+
+  if (!schema.statuses.includes(tape.status)) {
+    error('status', `"${tape.status}" is not a known status (${schema.statuses.join(', ')})`);
+  }
+
+  const rules = schema.types[tape.type];
+  if (!rules) {
+    error('type', `"${tape.type}" is not defined in tape-schema.json`);
+    return { errors, warnings };
+  }
+
+  const inProgress = IN_PROGRESS_STATUSES.includes(tape.status);
+
+  // ── Required / optional fields ──
+  for (const field of rules.requiredFields) {
+    for (const match of resolveField(tape, field)) {
+      if (!isMissing(match.value)) continue;
+      if (inProgress) warn(match.path, `required before review (status is ${tape.status})`);
+      else error(match.path, 'required field is missing');
+    }
+  }
+  for (const field of rules.optionalFields) {
+    for (const match of resolveField(tape, field)) {
+      if (isMissing(match.value)) warn(match.path, 'optional field not set');
+    }
+  }
+
+  // ── Media ──
+  const requirements = schema.renderHints?.mediaRequirements || {};
+  for (const kind of ['images', 'videos'] as const) {
+    const rule = rules.media[kind];
+    const items = tape.media?.[kind] || [];
+    const req = requirements[kind] || {};
+
+    if (items.length > rule.max) {
+      error(`media.${kind}`, `${items.length} ${kind} — ${tape.type} tapes allow at most ${rule.max}`);
+    }
+
+    items.forEach((item, i) => {
+      const path = `media.${kind}[${i}]`;
+      if (rule.acceptAspect && !rule.acceptAspect.includes(item.aspect)) {
+        error(`${path}.aspect`, `aspect ${item.aspect} not accepted (${rule.acceptAspect.join(', ')})`);
+      } else if (rule.preferAspect && item.aspect !== rule.preferAspect) {
+        warn(`${path}.aspect`, `${rule.preferAspect} preferred for ${tape.type} ${kind}`);
+      }
+      const duration = kind === 'videos' ? (item as VideoItem).duration : 0;
+      if (rule.maxDurationEach && duration > rule.maxDurationEach) {
+        error(`${path}.duration`, `${duration}s exceeds the ${rule.maxDurationEach}s limit`);
+      }
+      if (req.minWidth && item.width && item.width < req.minWidth) {
+        warn(`${path}.width`, `${item.width}px is below the ${req.minWidth}px render minimum`);
+      }
+      const ext = extensionOf(item.url);
+      if (req.formats && ext && !req.formats.includes(ext)) {
+        warn(`${path}.url`, `.${ext} is not a render-ready format (${req.formats.join(', ')})`);
+      }
+    });
+  }
+
+  // ── Audio ──
+  if (tape.audio) {
+    const audioRules = rules.audio || {};
+    const tracks: Record<string, Array<{ url?: string }>> = {
+      backgroundMusic: tape.audio.backgroundMusic ? [tape.audio.backgroundMusic] : [],
+      soundEffects: tape.audio.soundEffects || [],
+    };
+
+    for (const [key, list] of Object.entries(tracks)) {
+      if (list.length === 0) continue;
+      const rule = audioRules[key];
+      if (!rule) {
+        warn(`audio.${key}`, `${tape.type} tapes do not use ${key}`);
+        continue;
+      }
+      if (list.length > rule.max) {
+        error(`audio.${key}`, `${list.length} entries — at most ${rule.max} allowed`);
+      }
+      list.forEach((track, i) => {
+        const ext = track.url ? extensionOf(track.url) : '';
+        if (rule.formats && ext && !rule.formats.includes(ext)) {
+          const path = key === 'soundEffects' ? `audio.${key}[${i}].url` : `audio.${key}.url`;
+          warn(path, `.${ext} is not an accepted format (${rule.formats.join(', ')})`);
+        }
+      });
+    }
+  }
+
+  // ── Panelists ──
+  if (rules.panelists && tape.type === 'panel') {
+    const { min, max, perPanelist } = rules.panelists;
+    const panelists = tape.panelists || [];
+    if (panelists.length < min || panelists.length > max) {
+      error('panelists', `${panelists.length} panelists — panels need ${min}-${max}`);
+    }
+    panelists.forEach((p, i) => {
+      for (const field of perPanelist.requiredFields) {
+        if (isMissing((p as unknown as Obj)[field])) error(`panelists[${i}].${field}`, 'required field is missing');
+      }
+    });
+  }
+
+  // ── Variety variants ──
+  if (rules.variants && tape.type === 'variety') {
+    const variant = rules.variants[tape.variant];
+    if (!variant) {
+      error('variant', `"${tape.variant}" is not a known variety variant`);
+    } else {
+      for (const field of variant.contentFields) {
+        for (const match of resolveField(tape.content, field, 'content')) {
+          if (isMissing(match.value)) warn(match.path, `expected by the ${tape.variant} variant`);
+        }
+      }
+    }
+  }
+
+  return { errors, warnings };
+}
@@ -0,0 +1,98 @@
+/**
+ * Host intro teases — the `{intro.*}` lines of the skeleton intro.
+ *
+ * show-formats.json declares what each tease is built from (skeleton intro
+ * `autoPopulate`); this turns a show's assigned tapes into those lines.
+ * Output is deterministic: same tapes in, same sentences out, so a
+ * regenerated intro only changes when the tape picks do.
+ */
+
+import type {
+  Tape, InterviewTape, TextQATape, PanelTape, EducationTape, ClipsTape, VarietyTape, PromoTape, SponsorTape, AdTape,
+} from './types';
+
+export interface IntroTeases {
+  guestTease: string;
+  contentTease: string;
+  sponsorTease: string;
+}
+
+/** "A", "A and B", "A, B, and C" */
+function list(items: string[]): string {
+  if (items.length <= 1) return items[0] || '';
+  if (items.length === 2) return `${items[0]} and ${items[1]}`;
+  return `${items.slice(0, -1).join(', ')}, and ${items[items.length - 1]}`;
+}
+
+function unique(items: string[]): string[] {
+  return [...new Set(items.filter(Boolean))];
+}
+
+function ofType<T extends Tape>(tapes: Tape[], type: T['type']): T[] {
+  return tapes.filter((t): t is T => t.type === type);
+}
+
+function variantName(variant: string): string {
+  return variant.split('-').map(w => w[0].toUpperCase() + w.slice(1)).join(' ');
+}
+
+/** Generated from assigned interview, text-qa and panel tapes. */
+function guestTease(tapes: Tape[]): string {
+  const live = unique(ofType<InterviewTape>(tapes, 'interview').map(t => t.subject.name));
+  const text = unique(ofType<TextQATape>(tapes, 'text-qa').map(t => t.subject.name));
+  const panelists = unique(ofType<PanelTape>(tapes, 'panel').flatMap(t => t.panelists.map(p => p.name)));
+
+  const parts: string[] = [];
+  if (panelists.length) parts.push(`${list(panelists)} on the panel`);
+  if (live.length) parts.push(`${list(live)} joining us live`);
+  if (text.length) parts.push(`a text Q&A with ${list(text)}`);
+  if (parts.length === 0) return '';
+
+  const [first, ...rest] = parts;
+  return rest.length ? `We've got ${first}, plus ${list(rest)}.` : `We've got ${first}.`;
+}
+
+/** Generated from education, clips and variety tapes. */
+function contentTease(tapes: Tape[]): string {
+  const parts: string[] = [];
+
+  for (const t of ofType<EducationTape>(tapes, 'education')) {
+    const title = t.content.source?.title || t.content.slides[0]?.title;
+    if (title) parts.push(`a breakdown of "${title}"`);
+  }
+
+  const clipGuests = unique(ofType<ClipsTape>(tapes, 'clips').flatMap(t => t.content.clips.map(c => c.sourceGuest)));
+  if (clipGuests.length) parts.push(`clips from ${list(clipGuests.slice(0, 3))}`);
+  else if (ofType<ClipsTape>(tapes, 'clips').length) parts.push('clips from past episodes');
+
+  const variants = unique(ofType<VarietyTape>(tapes, 'variety').map(t => variantName(t.variant)));
+  if (variants.length) parts.push(`a round of ${list(variants)}`);
+
+  return parts.length ? `Plus: ${list(parts)}.` : '';
+}
+
+/** Generated from sponsor, promo and ad tapes. */
+function sponsorTease(tapes: Tape[]): string {
+  const promos = unique(ofType<PromoTape>(tapes, 'promo').map(t => t.sponsor.name));
+  const sponsors = unique([
+    ...ofType<SponsorTape>(tapes, 'sponsor').map(t => t.sponsor.name),
+    ...ofType<AdTape>(tapes, 'ad').map(t => t.sponsor.name),
+  ]);
+
+  const lines: string[] = [];
+  if (sponsors.length) lines.push(`This episode is brought to you by ${list(sponsors)}.`);
+  if (promos.length) lines.push(`Stick around for our ${list(promos)} update.`);
+  return lines.join(' ');
+}
+
+/**
+ * Build the `{intro.*}` teases from a show's tapes. Empty strings mean there
+ * is nothing to tease — the intro drops those lines.
+ */
+export function generateIntroTeases(tapes: Tape[]): IntroTeases {
+  return {
+    guestTease: guestTease(tapes),
+    contentTease: contentTease(tapes),
+    sponsorTease: sponsorTease(tapes),
+  };
+}
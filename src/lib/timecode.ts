@@ -0,0 +1,55 @@
+/**
+ * Rundown time strings.
+ *
+ * Durations are "M:SS" ("2:30", "15:00"). Time codes are offsets from the top
+ * of the show written as "H:MM" on the minute and "H:MM:SS" otherwise
+ * ("0:03", "0:03:05") — the style the hand-written shows already use.
+ */
+
+/** Parse "M:SS" or "H:MM:SS" to seconds. Unparseable input is 0. */
+export function parseDuration(value: string | undefined): number {
+  if (!value) return 0;
+  const parts = value.trim().split(':').map(Number);
+  if (parts.some(Number.isNaN)) return 0;
+  if (parts.length === 3) return parts[0] * 3600 + parts[1] * 60 + parts[2];
+  if (parts.length === 2) return parts[0] * 60 + parts[1];
+  return parts[0] || 0;
+}
+
+/** Seconds to a duration string: 150 → "2:30". */
+export function formatDuration(seconds: number): string {
+  const total = Math.max(0, Math.round(seconds));
+  const m = Math.floor(total / 60);
+  const s = total % 60;
+  return `${m}:${String(s).padStart(2, '0')}`;
+}
+
+/** Seconds from the top of the show to a time code: 185 → "0:03:05". */
+export function formatTimeCode(seconds: number): string {
+  const total = Math.max(0, Math.round(seconds));
+  const h = Math.floor(total / 3600);
+  const m = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const s = total % 60;
+  return s === 0 ? `${h}:${m}` : `${h}:${m}:${String(s).padStart(2, '0')}`;
+}
+
+/**
+ * Lay cumulative time codes over a list of timed entries, starting at
+ * `start` seconds. Returns new objects; the input is not modified.
+ */
+export function retime<T extends { duration: string }>(entries: T[], start = 0): Array<T & { timeCode: string }> {
+  let elapsed = start;
+  return entries.map(entry => {
+    // timeCode leads so saved JSON keeps the hand-written key order
+    const timeCode = formatTimeCode(elapsed);
+    const timed = { timeCode, ...entry };
+    timed.timeCode = timeCode;
+    elapsed += parseDuration(entry.duration);
+    return timed;
+  });
+}
+
+/** Total of the entries' durations, in seconds. */
+export function totalDuration(entries: Array<{ duration: string }>): number {
+  return entries.reduce((sum, e) => sum + parseDuration(e.duration), 0);
+}
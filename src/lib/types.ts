@@ -268,10 +268,46 @@ export interface WhoTattooedItRound {
   revealNote?: string;
 }
 
+export interface VarietySubmission {
+  image?: string;
+  video?: string;
+  artistName?: string;   // critique, drawing-exercise
+  viewerName?: string;   // viewer-spotlight
+  artistCredit?: string; // viewer-spotlight
+  context?: string;      // critique
+  feedback?: string;     // critique
+  story?: string;        // viewer-spotlight
+}
+
+export interface BeforeAfterPair {
+  before: string;
+  after: string;
+  artistName?: string;
+  story?: string;
+}
+
+export interface HotTakeResponse {
+  panelist: string;
+  take: string;
+  statement?: number;    // index into statements
+}
+
 export interface VarietyContent {
   hostIntro?: HostScript;
   hostOutro?: HostScript;
-  rounds?: WhoTattooedItRound[];
+  rounds?: WhoTattooedItRound[];                       // who-tattooed-it
+  submissions?: VarietySubmission[];                   // critique, drawing-exercise, viewer-spotlight
+  prompt?: string;                                     // drawing-exercise
+  timeLimit?: number | string;                         // drawing-exercise — minutes or "M:SS"
+  friend?: { name: string; instagram?: string; headshot?: string };  // call-a-friend
+  callRecording?: string;                              // call-a-friend
+  statements?: string[];                               // hot-takes
+  responses?: HotTakeResponse[];                       // hot-takes
+  styles?: string[];                                   // tattoo-roulette
+  subjects?: string[];                                 // tattoo-roulette
+  selectedCombo?: string | { style: string; subject: string };  // tattoo-roulette
+  resultImage?: string;                                // tattoo-roulette
+  pairs?: BeforeAfterPair[];                           // before-after
   presenterNotes: string;
   [key: string]: unknown; // variant-specific fields
 }
@@ -353,12 +389,63 @@ export type Tape =
   | SponsorTape
   | AdTape;
 
+// ── Tape schema (public/data/tape-schema.json) ───────────────────────
+
+export interface TapeSchemaMediaRule {
+  max: number;
+  acceptAspect?: string[];
+  preferAspect?: string;
+  maxDurationEach?: number;
+  notes?: string;
+}
+
+export interface TapeSchemaAudioRule {
+  max: number;
+  formats?: string[];
+  notes?: string;
+}
+
+export interface TapeTypeSchema {
+  description: string;
+  media: {
+    images: TapeSchemaMediaRule;
+    videos: TapeSchemaMediaRule;
+  };
+  audio?: Record<string, TapeSchemaAudioRule>;
+  requiredFields: string[];
+  optionalFields: string[];
+  panelists?: {
+    min: number;
+    max: number;
+    perPanelist: { requiredFields: string[]; optionalFields: string[] };
+  };
+  variants?: Record<string, { description: string; contentFields: string[] }>;
+}
+
+export interface TapeSchemaFile {
+  types: Record<string, TapeTypeSchema>;
+  statuses: string[];
+  renderHints?: {
+    mediaRequirements?: Record<string, { minWidth?: number; formats?: string[] }>;
+  };
+}
+
 // ── Show (assembled from format + tapes) ─────────────────────────────
 
+export interface AdSlot {
+  tapeId?: string;
+  tapeType?: TapeType;
+  type?: string;        // e.g. "platform-cta" for slots with no tape
+  duration: string;
+  script?: string;
+  config?: { overlays?: string[]; qrCampaign?: string | string[]; qrRotateSeconds?: number };
+}
+
 export interface RundownEntry {
   timeCode: string;
   duration: string;
-  type: string;
+  type?: string;
+  segment?: string;     // "skeleton:<id>" for rigid skeleton segments
   label?: string;
   tapeId?: string;
   tapeType?: TapeType;
@@ -370,9 +457,25 @@ export interface RundownEntry {
     mediaType?: string;
     range?: [number, number];
     interleavePortfolio?: boolean;
+    quoteImages?: boolean;           // text-qa: thumbnails on the quote cards
     showAllPanelists?: boolean;
+    rounds?: number[];               // variety: which rounds/items this entry plays
+    layout?: 'split' | 'wipe';       // before-after comparison style
+    secondsPerTake?: number;         // hot-takes card countdown
+    qrCampaign?: string | string[];  // showQRCodes key(s) for the QR overlay; a list rotates
+    qrRotateSeconds?: number;        // per campaign in a rotation (default 20)
+    text?: string;                   // bumper kicker, e.g. "We're back" (default "Up Next")
   };
   optional?: boolean;
+  script?: string[];
+  adSlots?: AdSlot[];
+}
+
+export interface ShowTapeAssignment {
+  tapeId: string;
+  type: TapeType;
+  variant?: string;
+  status: TapeStatus;
 }
 
 export interface Show {
@@ -384,7 +487,11 @@ export interface Show {
     airDate: string;
     duration: number;
     host: string;
+    format?: string;
+    theme?: string;
+    season?: string;
   };
+  tapes?: Record<string, ShowTapeAssignment>;
   rundown: RundownEntry[];
   showQRCodes?: Record<string, {
     url: string;
@@ -516,6 +623,94 @@ export interface ThemesSeasonsFile {
   agentUsage: Record<string, string>;
 }
 
+// ── Content Manifest ─────────────────────────────────────────────────
+
+export type ContentKind = 'tape' | 'show' | 'episode' | 'data';
+
+export interface ContentManifestEntry {
+  path: string;        // relative to public/data/, e.g. "tapes/tape-nikko-hurtado.json"
+  id: string;          // the file's own `id`, or its filename stem
+  kind: ContentKind;
+  type?: string;       // tape type, or show format
+  status?: string;
+  tags: string[];
+  modified: string;    // ISO timestamp of last write
+}
+
+export interface ContentManifest {
+  generatedAt: string;
+  entries: ContentManifestEntry[];
+}
+
+// ── Validation & dev write API ───────────────────────────────────────
+
+export interface ValidationIssue {
+  path: string;        // dotted field path, e.g. "rundown[3].duration"
+  message: string;
+}
+
+export interface TapeValidationResult {
+  errors: ValidationIssue[];
+  warnings: ValidationIssue[];
+}
+
+export type SaveErrorCode =
+  | 'unavailable'
+  | 'method-not-allowed'
+  | 'forbidden-path'
+  | 'invalid-json'
+  | 'payload-too-large'
+  | 'validation-failed'
+  | 'schema-violation'
+  | 'write-failed';
+
+export type SaveResult =
+  | { ok: true; path: string; warnings?: ValidationIssue[] }
+  | { ok: false; error: { code: SaveErrorCode; message: string; issues?: ValidationIssue[] } };
+
+// ── QR short links (dev API, see plugins/shortLinkApi.ts) ────────────
+
+export interface ShortLink {
+  code: string;
+  campaignName: string;
+  targetUrl: string;
+  /** What the QR encodes — scanning it records a scan, then redirects. */
+  shortUrl: string;
+  /**
+   * A QR image of shortUrl, for providers that render their own (HighLevel
+   * does). Without one the browser draws shortUrl.
+   */
+  qrCodeUrl?: string;
+  /** 'local' for the dev store; a hosted service names itself. */
+  provider: string;
+  createdAt: string;
+}
+
+export interface ShortLinkScan {
+  at: string;          // ISO timestamp
+  userAgent: string;
+}
+
+export interface CampaignScanCount {
+  campaignName: string;
+  code: string;
+  targetUrl: string;
+  scans: number;
+  lastScanAt: string | null;
+}
+
+export type ShortLinkErrorCode =
+  | 'unavailable'
+  | 'method-not-allowed'
+  | 'invalid-json'
+  | 'invalid-request'
+  | 'not-found'
+  | 'provider-failed';
+
+export type ShortLinkResult =
+  | ({ ok: true } & ShortLink)
+  | { ok: false; error: { code: ShortLinkErrorCode; message: string } };
+
 // ── Teleprompter ─────────────────────────────────────────────────────
 
 export interface TeleprompterLine {
@@ -0,0 +1,324 @@
+/**
+ * Runtime shape checks for the data model in ./types.ts.
+ *
+ * TypeScript types vanish at runtime, so anything that accepts JSON from
+ * outside the app (the dev write API, imports) checks it here first.
+ * Each validator returns a flat list of issues keyed by a dotted path
+ * ("rundown[3].duration"); an empty list means the payload is well-formed.
+ *
+ * Kept dependency-free so plugins/ can import it from the Vite dev server.
+ */
+
+import type { ValidationIssue } from './types';
+
+const TAPE_TYPES = ['interview', 'text-qa', 'panel', 'variety', 'education', 'clips', 'promo', 'sponsor', 'ad'];
+const TAPE_STATUSES = ['opportunity', 'collecting', 'review', 'complete', 'archived'];
+const VARIETY_VARIANTS = [
+  'critique', 'who-tattooed-it', 'drawing-exercise', 'call-a-friend',
+  'hot-takes', 'tattoo-roulette', 'before-after', 'viewer-spotlight',
+];
+const TALENT_ROLES = ['interview', 'text-qa', 'panelist', 'variety'];
+const TALENT_STATUSES = ['available', 'contacted', 'confirmed', 'declined', 'appeared', 'recurring'];
+
+type Obj = Record<string, unknown>;
+
+// ── Primitive checks ─────────────────────────────────────────────────
+
+function isObject(value: unknown): value is Obj {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function join(path: string, key: string | number): string {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+class Checker {
+  issues: ValidationIssue[] = [];
+
+  fail(path: string, message: string) {
+    this.issues.push({ path, message });
+  }
+
+  object(obj: Obj, key: string, path: string, optional = false): Obj | null {
+    const value = obj[key];
+    if (value === undefined && optional) return null;
+    if (!isObject(value)) {
+      this.fail(join(path, key), 'must be an object');
+      return null;
+    }
+    return value;
+  }
+
+  array(obj: Obj, key: string, path: string, optional = false): unknown[] | null {
+    const value = obj[key];
+    if (value === undefined && optional) return null;
+    if (!Array.isArray(value)) {
+      this.fail(join(path, key), 'must be an array');
+      return null;
+    }
+    return value;
+  }
+
+  string(obj: Obj, key: string, path: string, optional = false) {
+    const value = obj[key];
+    if (value === undefined && optional) return;
+    if (typeof value !== 'string') this.fail(join(path, key), 'must be a string');
+  }
+
+  number(obj: Obj, key: string, path: string, optional = false) {
+    const value = obj[key];
+    if (value === undefined && optional) return;
+    if (typeof value !== 'number' || Number.isNaN(value)) this.fail(join(path, key), 'must be a number');
+  }
+
+  oneOf(obj: Obj, key: string, path: string, allowed: string[]) {
+    const value = obj[key];
+    if (typeof value !== 'string' || !allowed.includes(value)) {
+      this.fail(join(path, key), `must be one of: ${allowed.join(', ')}`);
+    }
+  }
+
+  strings(obj: Obj, key: string, path: string, optional = false) {
+    const list = this.array(obj, key, path, optional);
+    list?.forEach((item, i) => {
+      if (typeof item !== 'string') this.fail(join(join(path, key), i), 'must be a string');
+    });
+  }
+
+  /** Run `fn` on every element of an array field that is an object. */
+  each(obj: Obj, key: string, path: string, fn: (item: Obj, itemPath: string) => void, optional = false) {
+    const list = this.array(obj, key, path, optional);
+    list?.forEach((item, i) => {
+      const itemPath = join(join(path, key), i);
+      if (!isObject(item)) this.fail(itemPath, 'must be an object');
+      else fn(item, itemPath);
+    });
+  }
+}
+
+// ── Tapes ────────────────────────────────────────────────────────────
+
+function checkMedia(c: Checker, media: Obj, path: string) {
+  c.each(media, 'images', path, (img, p) => {
+    c.string(img, 'url', p);
+    c.string(img, 'description', p);
+    c.string(img, 'aspect', p);
+  });
+  c.each(media, 'videos', path, (vid, p) => {
+    c.string(vid, 'url', p);
+    c.string(vid, 'description', p);
+    c.string(vid, 'aspect', p);
+    c.number(vid, 'duration', p);
+  });
+}
+
+function checkSubject(c: Checker, tape: Obj) {
+  const subject = c.object(tape, 'subject', '');
+  if (!subject) return;
+  c.string(subject, 'name', 'subject');
+  c.string(subject, 'title', 'subject');
+  for (const key of ['bio', 'style', 'location', 'instagram', 'website']) {
+    c.string(subject, key, 'subject', true);
+  }
+}
+
+function checkHostScript(c: Checker, content: Obj, key: string) {
+  const hs = c.object(content, key, 'content', true);
+  if (hs) c.strings(hs, 'script', join('content', key));
+}
+
+function checkContent(c: Checker, type: string, content: Obj) {
+  const p = 'content';
+  switch (type) {
+    case 'interview':
+      c.strings(content, 'talkingPoints', p, true);
+      c.string(content, 'presenterNotes', p, true);
+      break;
+    case 'text-qa':
+      c.each(content, 'textInterview', p, (qa, qp) => {
+        c.string(qa, 'question', qp);
+        c.string(qa, 'answer', qp);
+        c.string(qa, 'pullQuote', qp, true);
+      });
+      break;
+    case 'panel':
+      c.string(content, 'topic', p);
+      c.strings(content, 'talkingPoints', p);
+      break;
+    case 'education':
+      c.each(content, 'slides', p, (slide, sp) => {
+        c.string(slide, 'title', sp);
+        c.strings(slide, 'keyPoints', sp);
+      });
+      break;
+    case 'clips':
+      c.each(content, 'clips', p, (clip, cp) => {
+        c.string(clip, 'sourceEpisode', cp);
+        c.string(clip, 'description', cp);
+        c.number(clip, 'duration', cp);
+      });
+      checkHostScript(c, content, 'hostIntro');
+      checkHostScript(c, content, 'hostOutro');
+      break;
+    case 'variety':
+      c.each(content, 'rounds', p, (round, rp) => {
+        c.string(round, 'image', rp);
+        c.string(round, 'answer', rp);
+        c.strings(round, 'hints', rp);
+      }, true);
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Check that `data` has the shape of a `Tape`.
+ */
+export function validateTapeShape(data: unknown): ValidationIssue[] {
+  const c = new Checker();
+  if (!isObject(data)) {
+    c.fail('', 'tape must be a JSON object');
+    return c.issues;
+  }
+
+  c.string(data, 'id', '');
+  c.oneOf(data, 'type', '', TAPE_TYPES);
+  c.oneOf(data, 'status', '', TAPE_STATUSES);
+  c.string(data, 'createdBy', '');
+  c.string(data, 'createdDate', '');
+  c.number(data, 'estimatedDuration', '');
+  c.strings(data, 'tags', '');
+
+  const media = c.object(data, 'media', '', true);
+  if (media) checkMedia(c, media, 'media');
+
+  const type = data.type as string;
+  if (type === 'interview' || type === 'text-qa') checkSubject(c, data);
+  if (type === 'panel') {
+    c.each(data, 'panelists', '', (panelist, pp) => {
+      c.string(panelist, 'name', pp);
+      c.string(panelist, 'title', pp);
+    });
+  }
+  if (type === 'variety') c.oneOf(data, 'variant', '', VARIETY_VARIANTS);
+  if (type === 'promo' || type === 'sponsor' || type === 'ad') {
+    const sponsor = c.object(data, 'sponsor', '');
+    if (sponsor) c.string(sponsor, 'name', 'sponsor');
+  }
+
+  const content = c.object(data, 'content', '');
+  if (content) checkContent(c, type, content);
+
+  return c.issues;
+}
+
+// ── Shows ────────────────────────────────────────────────────────────
+
+/**
+ * Check that `data` has the shape of a `Show`. Rundown entries may carry
+ * either `type` or the skeleton-style `segment` key.
+ */
+export function validateShowShape(data: unknown): ValidationIssue[] {
+  const c = new Checker();
+  if (!isObject(data)) {
+    c.fail('', 'show must be a JSON object');
+    return c.issues;
+  }
+
+  c.string(data, 'id', '');
+  c.string(data, 'version', '');
+
+  const episode = c.object(data, 'episode', '');
+  if (episode) {
+    c.number(episode, 'number', 'episode');
+    c.string(episode, 'title', 'episode');
+    c.string(episode, 'airDate', 'episode');
+    c.number(episode, 'duration', 'episode');
+    c.string(episode, 'host', 'episode');
+  }
+
+  const campaignKeys = isObject(data.showQRCodes) ? Object.keys(data.showQRCodes) : [];
+  c.each(data, 'rundown', '', (entry, ep) => {
+    c.string(entry, 'timeCode', ep);
+    c.string(entry, 'duration', ep);
+    if (typeof entry.type !== 'string' && typeof entry.segment !== 'string') {
+      c.fail(join(ep, 'type'), 'entry needs a type or segment');
+    }
+    c.string(entry, 'label', ep, true);
+    c.string(entry, 'tapeId', ep, true);
+    c.strings(entry, 'talkingPoints', ep, true);
+    c.string(entry, 'presenterNotes', ep, true);
+    const config = c.object(entry, 'config', ep, true);
+    if (config) checkQrCampaign(c, config, join(ep, 'config'), campaignKeys);
+    c.each(entry, 'adSlots', ep, (slot, sp) => {
+      const slotConfig = c.object(slot, 'config', sp, true);
+      if (slotConfig) checkQrCampaign(c, slotConfig, join(sp, 'config'), campaignKeys);
+    }, true);
+  });
+
+  const qrCodes = c.object(data, 'showQRCodes', '', true);
+  if (qrCodes) {
+    for (const key of Object.keys(qrCodes)) {
+      const qr = c.object(qrCodes, key, 'showQRCodes');
+      if (qr) {
+        c.string(qr, 'url', join('showQRCodes', key));
+        c.string(qr, 'message', join('showQRCodes', key));
+      }
+    }
+  }
+
+  return c.issues;
+}
+
+/** config.qrCampaign names showQRCodes keys — one, or a list to rotate. */
+function checkQrCampaign(c: Checker, config: Obj, path: string, campaignKeys: string[]) {
+  c.number(config, 'qrRotateSeconds', path, true);
+  const value = config.qrCampaign;
+  if (value === undefined) return;
+  const keys = Array.isArray(value) ? value : [value];
+  keys.forEach((key, i) => {
+    const keyPath = Array.isArray(value) ? join(join(path, 'qrCampaign'), i) : join(path, 'qrCampaign');
+    if (typeof key !== 'string') c.fail(keyPath, 'must be a string');
+    else if (!campaignKeys.includes(key)) c.fail(keyPath, `no showQRCodes campaign "${key}"`);
+  });
+}
+
+// ── Talent pool ──────────────────────────────────────────────────────
+
+/**
+ * Check that `data` has the shape of a `TalentPool`.
+ */
+export function validateTalentPoolShape(data: unknown): ValidationIssue[] {
+  const c = new Checker();
+  if (!isObject(data)) {
+    c.fail('', 'talent pool must be a JSON object');
+    return c.issues;
+  }
+
+  c.object(data, 'roles', '');
+  c.object(data, 'statuses', '');
+  c.object(data, 'agentNotes', '');
+
+  c.each(data, 'talent', '', (member, mp) => {
+    for (const key of ['id', 'name', 'instagram', 'location', 'style', 'notes', 'contactMethod', 'availability']) {
+      c.string(member, key, mp);
+    }
+    c.oneOf(member, 'status', mp, TALENT_STATUSES);
+    c.strings(member, 'tags', mp);
+    const roles = c.array(member, 'roles', mp);
+    roles?.forEach((role, i) => {
+      if (typeof role !== 'string' || !TALENT_ROLES.includes(role)) {
+        c.fail(join(join(mp, 'roles'), i), `must be one of: ${TALENT_ROLES.join(', ')}`);
+      }
+    });
+    c.each(member, 'appearances', mp, (app, ap) => {
+      c.number(app, 'episode', ap);
+      c.string(app, 'tapeType', ap);
+      c.string(app, 'date', ap);
+    });
+  });
+
+  return c.issues;
+}
@@ -1,9 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { EpisodeTeleprompter } from '@/components/Slideshow/EpisodeTeleprompter';
+import { openNotesChannel } from '@/lib/slideshowSync';
 
 /**
  * NotesPopout - Standalone popout window for presenter notes + teleprompter.
- * Listens to BroadcastChannel 'tattoonow-notes-sync' for slide updates
+ * Listens on the notes sync channel (lib/slideshowSync) for slide updates
  * from the main PresenterView.
  */
 export function NotesPopout() {
@@ -19,14 +20,13 @@ export function NotesPopout() {
   });
 
   useEffect(() => {
-    const channel = new BroadcastChannel('tattoonow-notes-sync');
-    channel.onmessage = (event) => {
-      if (event.data?.type === 'NOTES_UPDATE') {
-        setSlideData(event.data.payload);
+    const channel = openNotesChannel(({ type, payload }) => {
+      if (type === 'NOTES_UPDATE') {
+        setSlideData(payload);
       }
-    };
-    // Tell the presenter we're ready so it sends us the current state
-    channel.postMessage({ type: 'NOTES_READY' });
+    });
+    // Ask the presenter for the current state
+    channel.send('STATE_REQUEST', {});
     return () => channel.close();
   }, []);
 
@@ -4,6 +4,7 @@ import { SlideController } from '../components/Slideshow';
 import { useEpisodeData, useEpisodeIdFromURL } from '../hooks/useEpisodeData';
 import { useShowData } from '../hooks/useShowData';
 import { buildSlidesFromShow } from '../lib/buildSlidesFromShow';
+import { scoreboardFromShow } from '../lib/debateScoreboard';
 
 /**
  * Slideshow Page - Main page for OBS browser source
@@ -17,12 +18,18 @@ import { buildSlidesFromShow } from '../lib/buildSlidesFromShow';
  * - show: Show ID (preferred — loads show rundown + tapes)
  * - episode: Episode number or ID (legacy — loads episode JSON)
  * - mode: 'presenter' for presenter view
+ * - relay: sync relay URL for a second machine (`npm run relay`), e.g.
+ *   ws://10.0.0.5:9010/sync — needs `key` (the relay's secret); `room`
+ *   defaults to the show / episode id
  *
- * Keyboard Controls:
+ * Keyboard Controls (defaults — rebind from the ? overlay in presenter
+ * mode; see lib/keymap):
  * - Arrow Left/Right or PageUp/PageDown: Navigate slides
  * - Q: Toggle QR code
  * - L: Toggle lower-third
  * - G: Toggle portfolio grid/fullscreen
+ * - S: Toggle debate scoreboard (panel shows)
+ * - 1–9: Add a vote for a panelist (Shift removes one)
  * - Home: Jump to first slide
  * - End: Jump to last slide
  */
@@ -91,6 +98,7 @@ function ShowSlideshow({ showId }) {
     QR_CODE_MESSAGE: qr.message || '',
     HIGHLEVEL_QR_URL: qr.highlevelUrl || '',
     SHOW_SCRIPT: showScript,
+    SCOREBOARD: scoreboardFromShow(show, tapes),
     _showId: show.id,
   };
 
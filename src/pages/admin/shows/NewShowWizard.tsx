@@ -0,0 +1,383 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ChevronLeft, ChevronRight, Check } from 'lucide-react';
+import { Modal } from '@/components/ui/Modal';
+import { Button } from '@/components/ui/Button';
+import { FormField } from '@/components/ui/FormField';
+import { SaveNotice } from '@/components/ui/SaveNotice';
+import { fetchManifest, fetchShowFormats, listTapes, resolveEntry, saveShow } from '@/lib/api';
+import { assembleShow, missingRequiredSlots, slotTapeType, unfilledScriptLines } from '@/lib/assembleShow';
+import type { EpisodeMeta, TapeAssignments, UnfilledLine } from '@/lib/assembleShow';
+import { parseDuration, formatDuration } from '@/lib/timecode';
+import type { Show, ShowFormatsFile, Tape, TapeSlotSpec, SaveResult } from '@/lib/types';
+import { cn } from '@/lib/utils';
+
+const STEPS = ['format', 'episode', 'tapes', 'review'] as const;
+type Step = typeof STEPS[number];
+
+/**
+ * `id`, or `id-2`, `id-3`… past shows already on disk — a repeated episode
+ * number and title would otherwise overwrite the existing show.
+ */
+async function freeShowId(id: string): Promise<string> {
+  await fetchManifest(true);
+  let candidate = id;
+  for (let n = 2; await resolveEntry('show', candidate); n++) candidate = `${id}-${n}`;
+  return candidate;
+}
+
+const INPUT_CLASS = 'w-full px-3 py-2 rounded-lg bg-muted border border-border text-sm text-foreground focus:outline-none focus:ring-2 focus:ring-accent';
+
+interface NewShowWizardProps {
+  isOpen: boolean;
+  onClose: () => void;
+  /** Existing shows — used to suggest the next episode number and host. */
+  shows: Show[];
+}
+
+export function NewShowWizard({ isOpen, onClose, shows }: NewShowWizardProps) {
+  const navigate = useNavigate();
+  const [formats, setFormats] = useState<ShowFormatsFile | null>(null);
+  const [tapes, setTapes] = useState<Tape[]>([]);
+  const [step, setStep] = useState<Step>('format');
+  const [formatKey, setFormatKey] = useState('');
+  const [meta, setMeta] = useState<EpisodeMeta>({ number: 1, title: '', airDate: '', host: '' });
+  const [picks, setPicks] = useState<Record<string, string[]>>({});
+  const [saving, setSaving] = useState(false);
+  const [saveResult, setSaveResult] = useState<SaveResult | null>(null);
+  // Assembled id → the id it will be saved under, once checked against existing shows
+  const [freeId, setFreeId] = useState<{ id: string; free: string } | null>(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    Promise.all([fetchShowFormats(), listTapes()])
+      .then(([f, t]) => { setFormats(f); setTapes(t); })
+      .catch(err => console.warn('[NewShowWizard] Could not load formats/tapes:', err.message));
+  }, [isOpen]);
+
+  const format = formats && formatKey ? formats.formats[formatKey] : null;
+
+  const assignments = useMemo(() => {
+    const byId = new Map(tapes.map(t => [t.id, t]));
+    const result: TapeAssignments = {};
+    for (const [slot, ids] of Object.entries(picks)) {
+      const picked = ids.map(id => byId.get(id)).filter((t): t is Tape => !!t);
+      if (picked.length > 0) result[slot] = picked;
+    }
+    return result;
+  }, [picks, tapes]);
+
+  const missing = format ? missingRequiredSlots(format, assignments) : [];
+
+  const assembled = useMemo(() => {
+    if (!format || !formats || step !== 'review') return null;
+    try {
+      return {
+        show: assembleShow(format, meta, assignments, formats.skeleton.segments),
+        unfilled: unfilledScriptLines(format, meta, assignments, formats.skeleton.segments),
+        error: '',
+      };
+    } catch (err) {
+      return { show: null, unfilled: [], error: (err as Error).message };
+    }
+  }, [format, formats, meta, assignments, step]);
+
+  useEffect(() => {
+    const id = assembled?.show?.id;
+    if (!id) return;
+    let cancelled = false;
+    freeShowId(id)
+      .catch(() => id)
+      .then(free => { if (!cancelled) setFreeId({ id, free }); });
+    return () => { cancelled = true; };
+  }, [assembled]);
+  const showId = assembled?.show && freeId?.id === assembled.show.id ? freeId.free : '';
+
+  function reset() {
+    setStep('format');
+    setFormatKey('');
+    setPicks({});
+    setSaveResult(null);
+    setMeta(m => ({ ...m, title: '', airDate: '' }));
+  }
+
+  function close() {
+    reset();
+    onClose();
+  }
+
+  function next() {
+    if (step === 'format' && !meta.title) {
+      // Seed episode details from the most recent show
+      const latest = [...shows].sort((a, b) => b.episode.number - a.episode.number)[0];
+      setMeta(m => ({
+        ...m,
+        number: latest ? latest.episode.number + 1 : 1,
+        host: m.host || latest?.episode.host || '',
+      }));
+    }
+    setStep(STEPS[STEPS.indexOf(step) + 1]);
+  }
+
+  function pickTape(slot: string, index: number, tapeId: string) {
+    setPicks(prev => {
+      const ids = [...(prev[slot] || [])];
+      ids[index] = tapeId;
+      return { ...prev, [slot]: ids };
+    });
+  }
+
+  async function handleCreate() {
+    if (!assembled?.show) return;
+    setSaving(true);
+    // Checked again in case another show was saved since the review loaded
+    const id = await freeShowId(assembled.show.id).catch(() => assembled.show!.id);
+    const show = { ...assembled.show, id };
+    const result = await saveShow(id, show);
+    setSaving(false);
+    setSaveResult(result);
+    if (result.ok) {
+      close();
+      navigate(`/admin/shows/${id}`);
+    }
+  }
+
+  const stepIndex = STEPS.indexOf(step);
+  const canAdvance =
+    (step === 'format' && !!format) ||
+    (step === 'episode' && !!meta.title.trim() && !!meta.airDate && !!meta.host.trim()) ||
+    (step === 'tapes' && missing.length === 0);
+
+  return (
+    <Modal isOpen={isOpen} onClose={close} title="New Show" size="lg">
+      {/* Step indicator */}
+      <div className="flex gap-2 mb-5">
+        {STEPS.map((s, i) => (
+          <div
+            key={s}
+            className={cn(
+              'flex-1 text-center text-xs font-medium uppercase tracking-wider pb-2 border-b-2',
+              i <= stepIndex ? 'border-accent text-accent' : 'border-border text-muted-foreground'
+            )}
+          >
+            {s}
+          </div>
+        ))}
+      </div>
+
+      <div className="max-h-[60vh] overflow-y-auto pr-1">
+        {step === 'format' && (
+          <div className="space-y-2">
+            {!formats && <p className="text-sm text-muted-foreground">Loading formats...</p>}
+            {formats && Object.entries(formats.formats).map(([key, f]) => (
+              <button
+                key={key}
+                onClick={() => { setFormatKey(key); setPicks({}); }}
+                className={cn(
+                  'w-full text-left p-3 rounded-lg border transition-colors',
+                  key === formatKey ? 'border-accent bg-accent/10' : 'border-border hover:border-accent/50'
+                )}
+              >
+                <div className="font-medium">{f.name}</div>
+                <div className="text-xs text-muted-foreground mt-1">{f.description}</div>
+                <div className="text-xs text-muted-foreground mt-1">
+                  Requires: {Object.keys(f.requiredTapeSlots).join(', ')}
+                </div>
+              </button>
+            ))}
+          </div>
+        )}
+
+        {step === 'episode' && (
+          <div className="grid grid-cols-2 gap-4">
+            <FormField label="Episode number" htmlFor="ns-number">
+              <input
+                id="ns-number"
+                type="number"
+                min={1}
+                value={meta.number}
+                onChange={e => setMeta({ ...meta, number: Number(e.target.value) })}
+                className={INPUT_CLASS}
+              />
+            </FormField>
+            <FormField label="Host" htmlFor="ns-host">
+              <input
+                id="ns-host"
+                value={meta.host}
+                onChange={e => setMeta({ ...meta, host: e.target.value })}
+                className={INPUT_CLASS}
+              />
+            </FormField>
+            <FormField label="Title" htmlFor="ns-title" className="col-span-2">
+              <input
+                id="ns-title"
+                value={meta.title}
+                onChange={e => setMeta({ ...meta, title: e.target.value })}
+                placeholder="Pricing Psychology — Stop Undervaluing Your Work"
+                className={INPUT_CLASS}
+              />
+            </FormField>
+            <FormField label="Air date" htmlFor="ns-air" help="Local time">
+              <input
+                id="ns-air"
+                type="datetime-local"
+                value={meta.airDate.slice(0, 16)}
+                onChange={e => setMeta({ ...meta, airDate: e.target.value })}
+                className={INPUT_CLASS}
+              />
+            </FormField>
+            <FormField label="Theme" htmlFor="ns-theme" help="Optional">
+              <input
+                id="ns-theme"
+                value={meta.theme || ''}
+                onChange={e => setMeta({ ...meta, theme: e.target.value || undefined })}
+                className={INPUT_CLASS}
+              />
+            </FormField>
+          </div>
+        )}
+
+        {step === 'tapes' && format && (
+          <div className="space-y-4">
+            <SlotGroup title="Required" slots={format.requiredTapeSlots} tapes={tapes} picks={picks} onPick={pickTape} />
+            <SlotGroup title="Optional" slots={format.optionalTapeSlots} tapes={tapes} picks={picks} onPick={pickTape} />
+          </div>
+        )}
+
+        {step === 'review' && assembled && (
+          assembled.show ? (
+            <ReviewRundown
+              show={assembled.show}
+              showId={showId}
+              unfilled={assembled.unfilled}
+              targetMinutes={format?.targetDuration ?? 60}
+            />
+          ) : (
+            <p className="text-sm text-destructive">{assembled.error}</p>
+          )
+        )}
+      </div>
+
+      <SaveNotice result={saveResult} className="mt-4" />
+
+      <div className="flex items-center justify-between mt-5 pt-4 border-t border-border">
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => setStep(STEPS[stepIndex - 1])}
+          disabled={stepIndex === 0}
+        >
+          <ChevronLeft size={14} /> Back
+        </Button>
+        {step === 'review' ? (
+          <Button size="sm" onClick={handleCreate} disabled={!assembled?.show || !showId || saving}>
+            <Check size={14} /> {saving ? 'Saving...' : 'Create Show'}
+          </Button>
+        ) : (
+          <Button size="sm" onClick={next} disabled={!canAdvance}>
+            Next <ChevronRight size={14} />
+          </Button>
+        )}
+      </div>
+    </Modal>
+  );
+}
+
+// ── Tape slot pickers ──────────────────────────────────────────────────
+
+interface SlotGroupProps {
+  title: string;
+  slots: Record<string, TapeSlotSpec>;
+  tapes: Tape[];
+  picks: Record<string, string[]>;
+  onPick: (slot: string, index: number, tapeId: string) => void;
+}
+
+function SlotGroup({ title, slots, tapes, picks, onPick }: SlotGroupProps) {
+  const entries = Object.entries(slots);
+  if (entries.length === 0) return null;
+
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-muted-foreground uppercase tracking-wider mb-2">{title}</h3>
+      <div className="space-y-3">
+        {entries.map(([slot, spec]) => {
+          const options = tapes.filter(t => t.type === slotTapeType(slot));
+          return (
+            <FormField key={slot} label={`${slot} — ${spec.label}`}>
+              {Array.from({ length: spec.count }, (_, i) => (
+                <select
+                  key={i}
+                  value={picks[slot]?.[i] || ''}
+                  onChange={e => onPick(slot, i, e.target.value)}
+                  className={cn(INPUT_CLASS, i > 0 && 'mt-2')}
+                >
+                  <option value="">{options.length ? '— none —' : `No ${slotTapeType(slot)} tapes yet`}</option>
+                  {options.map(t => (
+                    <option key={t.id} value={t.id}>{t.id} ({t.status})</option>
+                  ))}
+                </select>
+              ))}
+            </FormField>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// ── Review ─────────────────────────────────────────────────────────────
+
+interface ReviewRundownProps {
+  show: Show;
+  /** Where the show will be saved — show.id unless that's taken; '' while checking. */
+  showId: string;
+  unfilled: UnfilledLine[];
+  targetMinutes: number;
+}
+
+function ReviewRundown({ show, showId, unfilled, targetMinutes }: ReviewRundownProps) {
+  const total = show.rundown.reduce((sum, e) => sum + parseDuration(e.duration), 0);
+  const delta = total - targetMinutes * 60;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between text-sm mb-3">
+        <code className="font-mono text-xs text-muted-foreground">shows/{showId || show.id}.json</code>
+        <span className={cn(Math.abs(delta) > 60 ? 'text-yellow-400' : 'text-muted-foreground')}>
+          Runtime {formatDuration(total)} / {targetMinutes}:00
+          {delta !== 0 && ` (${delta > 0 ? '+' : '-'}${formatDuration(Math.abs(delta))})`}
+        </span>
+      </div>
+      {showId && showId !== show.id && (
+        <p className="text-xs text-yellow-400 mb-3">
+          {show.id} already exists — this show will be saved as {showId}.
+        </p>
+      )}
+      {unfilled.length > 0 && (
+        <div className="text-xs mb-3 px-3 py-2 rounded border border-yellow-500/30 bg-yellow-500/10">
+          <div className="font-semibold text-yellow-400 mb-1">
+            {unfilled.length} script line{unfilled.length > 1 ? 's' : ''} left out — nothing fills their placeholders yet
+          </div>
+          <ul className="space-y-0.5 text-muted-foreground">
+            {unfilled.map((u, i) => (
+              <li key={i}>
+                <span className="text-foreground/80">{u.segment}:</span> {u.line}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      <div className="space-y-1">
+        {show.rundown.map((entry, i) => (
+          <div key={i} className="flex gap-3 text-xs px-2 py-1.5 rounded bg-muted/30">
+            <span className="w-14 font-mono text-muted-foreground">{entry.timeCode}</span>
+            <span className="w-10 font-mono text-muted-foreground">{entry.duration}</span>
+            <span className={cn('flex-1', entry.segment && 'text-muted-foreground')}>{entry.label}</span>
+            {entry.tapeId && <span className="text-accent/60 truncate max-w-[40%]">{entry.tapeId}</span>}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,323 @@
+import { useState, useEffect, useMemo } from 'react';
+import { GripVertical, Copy, Trash2, Plus, ChevronDown, ChevronRight, Disc3, Save, Undo2 } from 'lucide-react';
+import { SaveNotice } from '@/components/ui/SaveNotice';
+import { listTapes, saveShow } from '@/lib/api';
+import { parseDuration, formatDuration, retime, totalDuration } from '@/lib/timecode';
+import type { Show, RundownEntry, Tape, SaveResult } from '@/lib/types';
+import { cn } from '@/lib/utils';
+
+const SEGMENT_COLORS: Record<string, string> = {
+  'title-card': 'border-l-accent',
+  'intro': 'border-l-green-500',
+  'guest-intro': 'border-l-orange-400',
+  'portfolio': 'border-l-blue-400',
+  'discussion': 'border-l-purple-400',
+  'education': 'border-l-emerald-400',
+  'text-qa': 'border-l-teal-400',
+  'clips': 'border-l-cyan-400',
+  'ad-break': 'border-l-yellow-500',
+  'variety': 'border-l-pink-400',
+  'outro': 'border-l-green-500',
+  'panel': 'border-l-indigo-400',
+  'panel-intro': 'border-l-indigo-300',
+  'cold-open': 'border-l-accent',
+  'end-card': 'border-l-accent',
+};
+
+const NEW_ENTRY_TYPES = [
+  'guest-intro', 'portfolio', 'discussion', 'education', 'text-qa', 'clips',
+  'variety', 'panel-intro', 'panel', 'ad-break', 'intro', 'outro',
+];
+
+const OVERLAYS = ['lower-third', 'qr'];
+
+const DURATION_PATTERN = /^\d+:\d{2}(:\d{2})?$/;
+
+const INPUT_CLASS = 'px-2 py-1 rounded bg-muted border border-border text-sm text-foreground focus:outline-none focus:ring-2 focus:ring-accent';
+
+/** Skeleton entries carry `segment: "skeleton:ad-break-1"` instead of a type. */
+function entryKind(entry: RundownEntry): string {
+  return entry.type || (entry.segment || '').replace(/^skeleton:/, '').replace(/-\d+$/, '');
+}
+
+interface Row {
+  key: number;
+  entry: RundownEntry;
+}
+
+let nextKey = 0;
+const toRows = (rundown: RundownEntry[]): Row[] => rundown.map(entry => ({ key: nextKey++, entry }));
+
+interface RundownEditorProps {
+  show: Show;
+  onSaved: (show: Show) => void;
+  /** Told whenever the editor gains or loses unsaved changes. */
+  onDirtyChange?: (dirty: boolean) => void;
+}
+
+export function RundownEditor({ show, onSaved, onDirtyChange }: RundownEditorProps) {
+  const [rows, setRows] = useState<Row[]>(() => toRows(show.rundown));
+  const [dirty, setDirty] = useState(false);
+  const [expanded, setExpanded] = useState<number | null>(null);
+  const [dragFrom, setDragFrom] = useState<number | null>(null);
+  const [dragOver, setDragOver] = useState<number | null>(null);
+  const [tapes, setTapes] = useState<Tape[]>([]);
+  const [newType, setNewType] = useState(NEW_ENTRY_TYPES[0]);
+  const [saving, setSaving] = useState(false);
+  const [saveResult, setSaveResult] = useState<SaveResult | null>(null);
+
+  useEffect(() => {
+    listTapes().then(setTapes).catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    onDirtyChange?.(dirty);
+    return () => onDirtyChange?.(false);
+  }, [dirty, onDirtyChange]);
+
+  // Time codes are always derived — editing any duration moves everything after it
+  const timed = useMemo(() => retime(rows.map(r => r.entry)), [rows]);
+  const total = totalDuration(timed);
+  const target = show.episode.duration * 60;
+  const overrun = total - target;
+
+  function update(next: Row[]) {
+    setRows(next);
+    setDirty(true);
+    setSaveResult(null);
+  }
+
+  function patch(index: number, changes: Partial<RundownEntry>) {
+    update(rows.map((r, i) => (i === index ? { ...r, entry: { ...r.entry, ...changes } } : r)));
+  }
+
+  function setTape(index: number, tapeId: string) {
+    const tape = tapes.find(t => t.id === tapeId);
+    patch(index, { tapeId: tapeId || undefined, tapeType: tapeId ? tape?.type : undefined });
+  }
+
+  function toggleOverlay(index: number, overlay: string) {
+    const entry = rows[index].entry;
+    const current = entry.config?.overlays || [];
+    const overlays = current.includes(overlay) ? current.filter(o => o !== overlay) : [...current, overlay];
+    patch(index, { config: { ...entry.config, overlays } });
+  }
+
+  function remove(index: number) {
+    update(rows.filter((_, i) => i !== index));
+    setExpanded(null);
+  }
+
+  function duplicate(index: number) {
+    const copy = { key: nextKey++, entry: structuredClone(rows[index].entry) };
+    update([...rows.slice(0, index + 1), copy, ...rows.slice(index + 1)]);
+  }
+
+  function add() {
+    update([...rows, { key: nextKey++, entry: { timeCode: '', duration: '5:00', type: newType, label: '' } }]);
+  }
+
+  function move(from: number, to: number) {
+    if (from === to) return;
+    const next = [...rows];
+    const [row] = next.splice(from, 1);
+    next.splice(to, 0, row);
+    update(next);
+  }
+
+  function discard() {
+    setRows(toRows(show.rundown));
+    setDirty(false);
+    setExpanded(null);
+    setSaveResult(null);
+  }
+
+  async function handleSave() {
+    const updated: Show = { ...show, rundown: timed };
+    setSaving(true);
+    const result = await saveShow(show.id, updated);
+    setSaving(false);
+    setSaveResult(result);
+    if (result.ok) {
+      setDirty(false);
+      onSaved(updated);
+    }
+  }
+
+  const invalidDurations = timed.filter(e => !DURATION_PATTERN.test(e.duration)).length;
+
+  return (
+    <div>
+      {/* Toolbar */}
+      <div className="flex items-center gap-3 mb-4">
+        <div className="flex-1 text-sm">
+          <span className="text-muted-foreground">Runtime </span>
+          <span className={cn('font-mono', overrun > 0 ? 'text-destructive font-semibold' : 'text-foreground')}>
+            {formatDuration(total)}
+          </span>
+          <span className="text-muted-foreground"> / {formatDuration(target)}</span>
+          {overrun > 0 && (
+            <span className="ml-2 text-destructive">{formatDuration(overrun)} over</span>
+          )}
+          {overrun < 0 && (
+            <span className="ml-2 text-muted-foreground">{formatDuration(-overrun)} under</span>
+          )}
+          {invalidDurations > 0 && (
+            <span className="ml-2 text-yellow-400">{invalidDurations} invalid duration(s)</span>
+          )}
+        </div>
+        {dirty && (
+          <button
+            onClick={discard}
+            className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm text-muted-foreground hover:text-foreground hover:bg-muted transition-colors"
+          >
+            <Undo2 size={14} /> Discard
+          </button>
+        )}
+        <button
+          onClick={handleSave}
+          disabled={!dirty || saving || invalidDurations > 0}
+          className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-accent text-white text-sm font-semibold hover:bg-accent/90 transition-colors disabled:opacity-50"
+        >
+          <Save size={14} /> {saving ? 'Saving...' : 'Save Rundown'}
+        </button>
+      </div>
+
+      <SaveNotice result={saveResult} className="mb-4" />
+
+      {/* Rows */}
+      <div className="space-y-1">
+        {rows.map((row, i) => {
+          const entry = timed[i];
+          const kind = entryKind(entry);
+          const isOpen = expanded === row.key;
+
+          return (
+            <div
+              key={row.key}
+              onDragOver={e => { e.preventDefault(); setDragOver(i); }}
+              onDrop={e => {
+                e.preventDefault();
+                if (dragFrom !== null) move(dragFrom, i);
+                setDragFrom(null);
+                setDragOver(null);
+              }}
+              className={cn(
+                'rounded-lg border-l-4 bg-card/50 transition-colors',
+                SEGMENT_COLORS[kind] || 'border-l-gray-500',
+                dragOver === i && dragFrom !== i && 'ring-2 ring-accent/50',
+                dragFrom === i && 'opacity-50'
+              )}
+            >
+              <div className="flex items-center gap-3 px-3 py-2">
+                <span
+                  draggable
+                  onDragStart={e => { setDragFrom(i); e.dataTransfer.effectAllowed = 'move'; }}
+                  onDragEnd={() => { setDragFrom(null); setDragOver(null); }}
+                  className="cursor-grab text-muted-foreground hover:text-foreground"
+                  title="Drag to reorder"
+                >
+                  <GripVertical size={16} />
+                </span>
+                <div className="w-16 text-xs font-mono text-muted-foreground">{entry.timeCode}</div>
+                <input
+                  value={entry.duration}
+                  onChange={e => patch(i, { duration: e.target.value })}
+                  className={cn(INPUT_CLASS, 'w-16 font-mono text-xs', !DURATION_PATTERN.test(entry.duration) && 'border-destructive')}
+                  aria-label="Duration"
+                />
+                <input
+                  value={entry.label || ''}
+                  onChange={e => patch(i, { label: e.target.value })}
+                  placeholder={kind}
+                  className={cn(INPUT_CLASS, 'flex-1 min-w-0')}
+                  aria-label="Label"
+                />
+                {entry.tapeId && (
+                  <span className="hidden lg:flex items-center gap-1 text-xs text-muted-foreground max-w-[14rem] truncate">
+                    <Disc3 size={10} /> {entry.tapeId}
+                  </span>
+                )}
+                <span className="text-xs px-2 py-0.5 rounded bg-muted text-muted-foreground">{kind}</span>
+                <button
+                  onClick={() => setExpanded(isOpen ? null : row.key)}
+                  className="text-muted-foreground hover:text-foreground"
+                  title="Edit details"
+                >
+                  {isOpen ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                </button>
+                <button onClick={() => duplicate(i)} className="text-muted-foreground hover:text-foreground" title="Duplicate">
+                  <Copy size={14} />
+                </button>
+                <button onClick={() => remove(i)} className="text-muted-foreground hover:text-destructive" title="Remove">
+                  <Trash2 size={14} />
+                </button>
+              </div>
+
+              {isOpen && (
+                <div className="grid grid-cols-2 gap-3 px-10 pb-3 text-sm">
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs text-muted-foreground">Tape</span>
+                    <select
+                      value={entry.tapeId || ''}
+                      onChange={e => setTape(i, e.target.value)}
+                      className={INPUT_CLASS}
+                    >
+                      <option value="">— none —</option>
+                      {entry.tapeId && !tapes.some(t => t.id === entry.tapeId) && (
+                        <option value={entry.tapeId}>{entry.tapeId} (not found)</option>
+                      )}
+                      {tapes.map(t => (
+                        <option key={t.id} value={t.id}>{t.id} ({t.type})</option>
+                      ))}
+                    </select>
+                  </label>
+                  <div className="flex flex-col gap-1">
+                    <span className="text-xs text-muted-foreground">Overlays</span>
+                    <div className="flex gap-4 py-1">
+                      {OVERLAYS.map(overlay => (
+                        <label key={overlay} className="flex items-center gap-1.5 text-sm">
+                          <input
+                            type="checkbox"
+                            checked={entry.config?.overlays?.includes(overlay) ?? false}
+                            onChange={() => toggleOverlay(i, overlay)}
+                          />
+                          {overlay}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                  <label className="col-span-2 flex flex-col gap-1">
+                    <span className="text-xs text-muted-foreground">Presenter notes</span>
+                    <textarea
+                      value={entry.presenterNotes || ''}
+                      onChange={e => patch(i, { presenterNotes: e.target.value || undefined })}
+                      rows={3}
+                      className={cn(INPUT_CLASS, 'resize-y')}
+                    />
+                  </label>
+                  {parseDuration(entry.duration) === 0 && (
+                    <p className="col-span-2 text-xs text-yellow-400">Zero-length entry — it will not take any air time.</p>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Add entry */}
+      <div className="flex items-center gap-2 mt-4">
+        <select value={newType} onChange={e => setNewType(e.target.value)} className={INPUT_CLASS}>
+          {NEW_ENTRY_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+        </select>
+        <button
+          onClick={add}
+          className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg border border-border text-sm text-muted-foreground hover:text-foreground hover:bg-muted transition-colors"
+        >
+          <Plus size={14} /> Add entry
+        </button>
+      </div>
+    </div>
+  );
+}
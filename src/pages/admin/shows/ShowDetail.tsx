@@ -1,33 +1,22 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useParams, Link } from 'react-router-dom';
-import { ArrowLeft, ExternalLink, Disc3, Image, FileText, Presentation, GraduationCap, Clapperboard, ChevronDown, ChevronRight } from 'lucide-react';
+import { ArrowLeft, ExternalLink, Image, FileText, Presentation, GraduationCap, Clapperboard, ChevronDown, ChevronRight, RefreshCw, Quote, Download, Upload } from 'lucide-react';
 import { Card } from '@/components/ui/Card';
-import { fetchShow, fetchTape } from '@/lib/api';
+import { SaveNotice } from '@/components/ui/SaveNotice';
+import { fetchShow, fetchTape, fetchShowFormats, saveShow } from '@/lib/api';
+import { collectTapeIds, regenerateIntro } from '@/lib/assembleShow';
 import { buildSlidesFromShow } from '@/lib/buildSlidesFromShow';
-import type { Show, RundownEntry, Tape } from '@/lib/types';
+import { buildAsRunReport, downloadAsRun, formatShowTime, loadAsRun, parseAsRunJson, type AsRunLog } from '@/lib/asRunLog';
+import { RundownEditor } from './RundownEditor';
+import type { Show, Tape, SaveResult } from '@/lib/types';
 import { cn } from '@/lib/utils';
 
-const SEGMENT_COLORS: Record<string, string> = {
-  'title-card': 'border-l-accent',
-  'intro': 'border-l-green-500',
-  'guest-intro': 'border-l-orange-400',
-  'portfolio': 'border-l-blue-400',
-  'discussion': 'border-l-purple-400',
-  'education': 'border-l-emerald-400',
-  'text-qa': 'border-l-teal-400',
-  'clips': 'border-l-cyan-400',
-  'ad-break': 'border-l-yellow-500',
-  'variety': 'border-l-pink-400',
-  'outro': 'border-l-green-500',
-  'panel': 'border-l-indigo-400',
-  'panel-intro': 'border-l-indigo-300',
-};
-
 const SLIDE_TYPE_ICONS: Record<string, typeof Image> = {
   title: Presentation,
   portfolio: Image,
   education: GraduationCap,
   script: FileText,
+  'quote-card': Quote,
 };
 
 const SLIDE_TYPE_COLORS: Record<string, string> = {
@@ -35,6 +24,7 @@ const SLIDE_TYPE_COLORS: Record<string, string> = {
   portfolio: 'bg-blue-500/20 text-blue-400 border-blue-500/30',
   education: 'bg-emerald-500/20 text-emerald-400 border-emerald-500/30',
   script: 'bg-purple-500/20 text-purple-400 border-purple-500/30',
+  'quote-card': 'bg-teal-500/20 text-teal-400 border-teal-500/30',
 };
 
 export function ShowDetail() {
@@ -42,7 +32,13 @@ export function ShowDetail() {
   const [show, setShow] = useState<Show | null>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
-  const [activeTab, setActiveTab] = useState<'rundown' | 'slides' | 'script' | 'social'>('rundown');
+  const [activeTab, setActiveTab] = useState<'rundown' | 'slides' | 'script' | 'social' | 'as-run'>('rundown');
+  const [regenerating, setRegenerating] = useState(false);
+  const [saveResult, setSaveResult] = useState<SaveResult | null>(null);
+  const [actionError, setActionError] = useState('');
+  const [rundownRevision, setRundownRevision] = useState(0);
+  // Regenerating remounts the rundown editor, so it waits for edits to be saved
+  const [rundownDirty, setRundownDirty] = useState(false);
 
   useEffect(() => {
     if (!id) return;
@@ -52,6 +48,39 @@ export function ShowDetail() {
       .finally(() => setLoading(false));
   }, [id]);
 
+  // Leaving the page would drop the editor's unsaved rundown
+  useEffect(() => {
+    if (!rundownDirty) return;
+    const onBeforeUnload = (e: BeforeUnloadEvent) => e.preventDefault();
+    window.addEventListener('beforeunload', onBeforeUnload);
+    return () => window.removeEventListener('beforeunload', onBeforeUnload);
+  }, [rundownDirty]);
+
+  async function handleRegenerateIntro() {
+    if (!show || rundownDirty) return;
+    setRegenerating(true);
+    setActionError('');
+    try {
+      const [formats, tapes] = await Promise.all([
+        fetchShowFormats(),
+        Promise.all(collectTapeIds(show).map(tapeId => fetchTape(tapeId).catch(() => null))),
+      ]);
+      const updated = regenerateIntro(show, tapes.filter((t): t is Tape => !!t), formats.skeleton.segments);
+      // Only show the new intro once it's on disk — a refused save leaves
+      // the page on the show as saved
+      const result = await saveShow(show.id, updated);
+      setSaveResult(result);
+      if (result.ok) {
+        setShow(updated);
+        setRundownRevision(r => r + 1);
+      }
+    } catch (err) {
+      setActionError((err as Error).message);
+    } finally {
+      setRegenerating(false);
+    }
+  }
+
   if (loading) return <div className="p-8 text-muted-foreground">Loading show...</div>;
   if (error || !show) {
     return (
@@ -68,7 +97,13 @@ export function ShowDetail() {
     <div className="p-8 max-w-5xl">
       {/* Header */}
       <div className="flex items-center gap-3 mb-6">
-        <Link to="/admin/shows" className="text-muted-foreground hover:text-foreground">
+        <Link
+          to="/admin/shows"
+          onClick={e => {
+            if (rundownDirty && !window.confirm('Discard your unsaved rundown changes?')) e.preventDefault();
+          }}
+          className="text-muted-foreground hover:text-foreground"
+        >
           <ArrowLeft size={20} />
         </Link>
         <div className="flex-1">
@@ -85,6 +120,17 @@ export function ShowDetail() {
             <span>{show.rundown.length} segments</span>
           </div>
         </div>
+        <button
+          onClick={handleRegenerateIntro}
+          disabled={regenerating || rundownDirty}
+          title={rundownDirty
+            ? 'Save or discard your rundown changes first'
+            : "Rebuild the host intro teases from this show's tapes"}
+          className="inline-flex items-center gap-2 px-4 py-2 rounded-lg border border-border text-sm font-semibold text-muted-foreground hover:text-foreground hover:bg-muted transition-colors disabled:opacity-50"
+        >
+          <RefreshCw size={14} className={cn(regenerating && 'animate-spin')} />
+          Regenerate Intro
+        </button>
         <a
           href={`${import.meta.env.BASE_URL}slideshow?mode=presenter&show=${show.id}`}
           target="_blank"
@@ -96,9 +142,12 @@ export function ShowDetail() {
         </a>
       </div>
 
+      <SaveNotice result={saveResult} className="mb-6" />
+      {actionError && <p className="mb-6 text-sm text-destructive">{actionError}</p>}
+
       {/* Tabs */}
       <div className="flex border-b border-border mb-6">
-        {(['rundown', 'slides', 'script', 'social'] as const).map(tab => (
+        {(['rundown', 'slides', 'script', 'social', 'as-run'] as const).map(tab => (
           <button
             key={tab}
             onClick={() => setActiveTab(tab)}
@@ -114,13 +163,15 @@ export function ShowDetail() {
         ))}
       </div>
 
-      {/* Rundown */}
-      {activeTab === 'rundown' && (
-        <div className="space-y-1">
-          {show.rundown.map((entry, i) => (
-            <RundownRow key={i} entry={entry} />
-          ))}
-        </div>
+      {/* Rundown — kept mounted while other tabs are open, so unsaved edits
+          survive a look at the slides */}
+      <div className={cn(activeTab !== 'rundown' && 'hidden')}>
+        <RundownEditor key={rundownRevision} show={show} onSaved={setShow} onDirtyChange={setRundownDirty} />
+      </div>
+      {activeTab !== 'rundown' && rundownDirty && (
+        <p className="mb-4 text-sm text-yellow-400">
+          Showing the last saved rundown — your unsaved edits are still in the Rundown tab.
+        </p>
       )}
 
       {/* Slides (built from show + tapes) */}
@@ -133,13 +184,13 @@ export function ShowDetail() {
             Show Script (generated from rundown)
           </h3>
           <div className="space-y-4">
-            {show.rundown.filter(r => r.talkingPoints || r.presenterNotes).map((entry, i) => (
+            {show.rundown.filter(r => r.script || r.talkingPoints || r.presenterNotes).map((entry, i) => (
               <div key={i} className="border-l-2 border-accent/30 pl-4">
                 <div className="text-sm font-semibold text-accent">{entry.label || entry.type}</div>
                 <div className="text-xs text-muted-foreground mb-2">{entry.timeCode} &middot; {entry.duration}</div>
-                {entry.talkingPoints && (
+                {(entry.script || entry.talkingPoints) && (
                   <ul className="space-y-1 mb-2">
-                    {entry.talkingPoints.map((tp, j) => (
+                    {(entry.script || entry.talkingPoints)!.map((tp, j) => (
                       <li key={j} className="text-sm flex gap-2">
                         <span className="text-accent mt-1 text-xs">&#9679;</span>
                         {tp}
@@ -181,6 +232,9 @@ export function ShowDetail() {
           )}
         </div>
       )}
+
+      {/* As-run (planned vs actual from the presenter's log) */}
+      {activeTab === 'as-run' && <AsRunPanel show={show} />}
     </div>
   );
 }
@@ -412,6 +466,16 @@ function SlideRow({ index, slide, expanded, onToggle }: {
             </div>
           )}
 
+          {/* Quote card */}
+          {slide.type === 'quote-card' && (
+            <div className="text-sm text-foreground/80">
+              {slide.parts > 1 && (
+                <div className="text-xs text-muted-foreground mb-1">Card {slide.part} of {slide.parts}</div>
+              )}
+              <p className="border-l-2 border-teal-500/40 pl-3">{slide.answer}</p>
+            </div>
+          )}
+
           {/* Education fields */}
           {slide.type === 'education' && slide.keyPoints?.length > 0 && (
             <div>
@@ -481,37 +545,133 @@ function SlideRow({ index, slide, expanded, onToggle }: {
   );
 }
 
-// ── Rundown Row (existing) ─────────────────────────────────────────────
+// ── As-Run Report ──────────────────────────────────────────────────────
 
-function RundownRow({ entry }: { entry: RundownEntry }) {
-  const colorClass = SEGMENT_COLORS[entry.type] || 'border-l-gray-500';
+/** "+1:05" / "−0:30" — over or under the plan. */
+function formatDelta(ms: number): string {
+  if (Math.abs(ms) < 1000) return '0:00';
+  return `${ms > 0 ? '+' : '−'}${formatShowTime(Math.abs(ms))}`;
+}
+
+function AsRunPanel({ show }: { show: Show }) {
+  // The presenter logs to this browser's storage; a log from another
+  // machine comes in as its exported JSON
+  const [log, setLog] = useState<AsRunLog | null>(() => loadAsRun(show.id));
+  const [importError, setImportError] = useState<string | null>(null);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  async function handleImport(file: File | undefined) {
+    if (!file) return;
+    try {
+      setLog(parseAsRunJson(await file.text()));
+      setImportError(null);
+    } catch (err) {
+      setImportError(`Could not read ${file.name}: ${err instanceof Error ? err.message : String(err)}`);
+    }
+  }
+
+  const buttonClass = 'inline-flex items-center gap-2 px-3 py-1.5 rounded-lg border border-border text-sm font-semibold text-muted-foreground hover:text-foreground hover:bg-muted transition-colors disabled:opacity-50';
+
+  const report = log ? buildAsRunReport(log, show.rundown) : null;
 
   return (
-    <div className={cn(
-      'flex items-center gap-4 px-4 py-3 rounded-lg border-l-4 bg-card/50 hover:bg-muted/30 transition-colors',
-      colorClass
-    )}>
-      <div className="w-16 text-xs font-mono text-muted-foreground">
-        {entry.timeCode}
-      </div>
-      <div className="w-14 text-xs font-mono text-muted-foreground">
-        {entry.duration}
-      </div>
-      <div className="flex-1">
-        <div className="text-sm font-medium">
-          {entry.label || entry.type}
+    <div>
+      <div className="flex items-center gap-2 mb-4 pb-4 border-b border-border">
+        <div className="text-sm text-muted-foreground flex-1">
+          {log
+            ? <>Run started {new Date(log.showStartTime).toLocaleString()} &middot; {log.events.length} events</>
+            : 'No as-run log in this browser yet — it is recorded by the presenter window once the show clock starts.'}
         </div>
-        {entry.tapeId && (
-          <div className="text-xs text-muted-foreground mt-0.5 flex items-center gap-1">
-            <Disc3 size={10} />
-            {entry.tapeId}
-            {entry.tapeType && <span className="text-accent/60">({entry.tapeType})</span>}
-          </div>
-        )}
-      </div>
-      <div className="text-xs px-2 py-0.5 rounded bg-muted text-muted-foreground">
-        {entry.type}
+        <button onClick={() => fileInputRef.current?.click()} className={buttonClass}>
+          <Upload size={14} />
+          Import JSON
+        </button>
+        <button onClick={() => log && downloadAsRun(log, 'json')} disabled={!log} className={buttonClass}>
+          <Download size={14} />
+          JSON
+        </button>
+        <button onClick={() => log && downloadAsRun(log, 'csv')} disabled={!log} className={buttonClass}>
+          <Download size={14} />
+          CSV
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          onChange={e => {
+            handleImport(e.target.files?.[0]);
+            e.target.value = '';
+          }}
+        />
       </div>
+      {importError && <p className="mb-4 text-sm text-destructive">{importError}</p>}
+
+      {report && (
+        <Card className="p-0 overflow-hidden">
+          <table className="w-full text-sm">
+            <thead className="text-xs text-muted-foreground uppercase tracking-wider border-b border-border">
+              <tr>
+                <th className="text-left font-semibold px-4 py-2">#</th>
+                <th className="text-left font-semibold px-4 py-2">Entry</th>
+                <th className="text-right font-semibold px-4 py-2">Planned start</th>
+                <th className="text-right font-semibold px-4 py-2">Actual start</th>
+                <th className="text-right font-semibold px-4 py-2">Planned</th>
+                <th className="text-right font-semibold px-4 py-2">Actual</th>
+                <th className="text-right font-semibold px-4 py-2">Over / under</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.entries.map(row => (
+                <tr key={row.index} className={cn('border-b border-border/50', row.actualStartMs === null && 'text-muted-foreground')}>
+                  <td className="px-4 py-2 tabular-nums">{row.index + 1}</td>
+                  <td className="px-4 py-2">
+                    {row.label}
+                    {row.optional && <span className="ml-2 text-xs text-muted-foreground">optional</span>}
+                  </td>
+                  <td className="px-4 py-2 text-right tabular-nums">{formatShowTime(row.plannedStartMs)}</td>
+                  <td className="px-4 py-2 text-right tabular-nums">
+                    {row.actualStartMs !== null ? formatShowTime(row.actualStartMs) : row.dropped ? 'dropped' : 'not aired'}
+                  </td>
+                  <td className="px-4 py-2 text-right tabular-nums">{formatShowTime(row.plannedMs)}</td>
+                  <td className="px-4 py-2 text-right tabular-nums">
+                    {row.actualStartMs !== null ? formatShowTime(row.actualMs) : '—'}
+                  </td>
+                  <td className={cn(
+                    'px-4 py-2 text-right tabular-nums font-semibold',
+                    row.deltaMs !== null && row.deltaMs >= 1000 && 'text-red-400',
+                    row.deltaMs !== null && row.deltaMs <= -1000 && 'text-green-400'
+                  )}>
+                    {row.deltaMs !== null ? formatDelta(row.deltaMs) : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr className="font-semibold">
+                <td className="px-4 py-2" />
+                <td className="px-4 py-2">Show</td>
+                <td className="px-4 py-2" />
+                <td className="px-4 py-2" />
+                <td className="px-4 py-2 text-right tabular-nums">{formatShowTime(report.plannedTotalMs)}</td>
+                <td className="px-4 py-2 text-right tabular-nums">{formatShowTime(report.actualTotalMs)}</td>
+                <td className={cn(
+                  'px-4 py-2 text-right tabular-nums',
+                  report.actualTotalMs - report.plannedTotalMs >= 1000 && 'text-red-400',
+                  report.actualTotalMs - report.plannedTotalMs <= -1000 && 'text-green-400'
+                )}>
+                  {formatDelta(report.actualTotalMs - report.plannedTotalMs)}
+                </td>
+              </tr>
+            </tfoot>
+          </table>
+          {report.unmatchedMs > 0 && (
+            <p className="px-4 py-2 text-xs text-muted-foreground border-t border-border">
+              {formatShowTime(report.unmatchedMs)} on slides outside any rundown entry.
+            </p>
+          )}
+        </Card>
+      )}
     </div>
   );
 }
@@ -1,13 +1,16 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { Film } from 'lucide-react';
+import { Film, Plus } from 'lucide-react';
 import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { NewShowWizard } from './NewShowWizard';
 import { listShows } from '@/lib/api';
 import type { Show } from '@/lib/types';
 
 export function ShowList() {
   const [shows, setShows] = useState<Show[]>([]);
   const [loading, setLoading] = useState(true);
+  const [wizardOpen, setWizardOpen] = useState(false);
 
   useEffect(() => {
     listShows().then(s => { setShows(s); setLoading(false); }).catch(() => setLoading(false));
@@ -19,9 +22,16 @@ export function ShowList() {
     <div className="p-8 max-w-5xl">
       <div className="flex items-center justify-between mb-6">
         <h1 className="text-2xl font-bold">Shows</h1>
-        <span className="text-sm text-muted-foreground">{shows.length} shows</span>
+        <div className="flex items-center gap-4">
+          <span className="text-sm text-muted-foreground">{shows.length} shows</span>
+          <Button size="sm" onClick={() => setWizardOpen(true)}>
+            <Plus size={14} /> New Show
+          </Button>
+        </div>
       </div>
 
+      <NewShowWizard isOpen={wizardOpen} onClose={() => setWizardOpen(false)} shows={shows} />
+
       {shows.length === 0 ? (
         <Card>
           <div className="text-center py-8">
@@ -1,10 +1,12 @@
 import { useState, useEffect, useMemo } from 'react';
 import { useParams, Link } from 'react-router-dom';
-import { ArrowLeft, ExternalLink } from 'lucide-react';
+import { ArrowLeft, ExternalLink, Save, AlertTriangle, CheckCircle } from 'lucide-react';
 import { Card } from '@/components/ui/Card';
-import { fetchTape } from '@/lib/api';
-import { tapeContentToMarkdown } from '@/lib/markdown';
-import type { Tape } from '@/lib/types';
+import { SaveNotice, IssueList } from '@/components/ui/SaveNotice';
+import { fetchTape, fetchTapeSchema, saveTape } from '@/lib/api';
+import { validateTapeAgainstSchema } from '@/lib/tapeSchema';
+import { tapeContentToMarkdown, markdownToTapeContent } from '@/lib/markdown';
+import type { Tape, SaveResult, TapeSchemaFile, TapeValidationResult } from '@/lib/types';
 import { cn } from '@/lib/utils';
 
 const STATUS_COLORS: Record<string, string> = {
@@ -29,6 +31,9 @@ export function TapeDetail() {
   const [error, setError] = useState('');
   const [activeTab, setActiveTab] = useState<'details' | 'markdown' | 'media'>('details');
   const [markdown, setMarkdown] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [saveResult, setSaveResult] = useState<SaveResult | null>(null);
+  const [schema, setSchema] = useState<TapeSchemaFile | null>(null);
 
   useEffect(() => {
     if (!id) return;
@@ -41,6 +46,32 @@ export function TapeDetail() {
       .finally(() => setLoading(false));
   }, [id]);
 
+  useEffect(() => {
+    fetchTapeSchema()
+      .then(setSchema)
+      .catch(err => console.warn('[TapeDetail] tape-schema.json unavailable:', err.message));
+  }, []);
+
+  const validation = useMemo(
+    () => (tape && schema ? validateTapeAgainstSchema(tape, schema) : null),
+    [tape, schema]
+  );
+
+  async function handleSave(force = false) {
+    if (!tape) return;
+    // Markdown only covers part of each content shape — merge over the original
+    const updated = {
+      ...tape,
+      content: { ...tape.content, ...markdownToTapeContent(markdown, tape.type) },
+    } as Tape;
+
+    setSaving(true);
+    const result = await saveTape(tape.id, updated, { force });
+    setSaving(false);
+    setSaveResult(result);
+    if (result.ok) setTape(updated);
+  }
+
   if (loading) return <div className="p-8 text-muted-foreground">Loading tape...</div>;
   if (error || !tape) {
     return (
@@ -69,10 +100,21 @@ export function TapeDetail() {
             <span className="text-sm text-muted-foreground">{tape.type}</span>
             <span className="text-sm text-muted-foreground">&middot; {tape.estimatedDuration}m</span>
             <span className="text-sm text-muted-foreground">&middot; {tape.createdDate}</span>
+            {validation && <SchemaBadge validation={validation} onClick={() => setActiveTab('details')} />}
           </div>
         </div>
+        <button
+          onClick={() => handleSave()}
+          disabled={saving}
+          className="inline-flex items-center gap-2 px-4 py-2 rounded-lg bg-accent text-white text-sm font-semibold hover:bg-accent/90 transition-colors disabled:opacity-50"
+        >
+          <Save size={14} />
+          {saving ? 'Saving...' : 'Save'}
+        </button>
       </div>
 
+      <SaveNotice result={saveResult} onForce={() => handleSave(true)} className="mb-6" />
+
       {/* Tabs */}
       <div className="flex border-b border-border mb-6">
         {(['details', 'markdown', 'media'] as const).map(tab => (
@@ -94,6 +136,24 @@ export function TapeDetail() {
       {/* Tab content */}
       {activeTab === 'details' && (
         <div className="space-y-4">
+          {validation && (validation.errors.length > 0 || validation.warnings.length > 0) && (
+            <Card>
+              <h3 className="text-sm font-semibold text-muted-foreground uppercase tracking-wider mb-3">Schema Check</h3>
+              {validation.errors.length > 0 && (
+                <div className="text-sm">
+                  <div className="font-medium text-destructive mb-1">Errors ({validation.errors.length})</div>
+                  <IssueList issues={validation.errors} />
+                </div>
+              )}
+              {validation.warnings.length > 0 && (
+                <div className={cn('text-sm', validation.errors.length > 0 && 'mt-3')}>
+                  <div className="font-medium text-yellow-400 mb-1">Warnings ({validation.warnings.length})</div>
+                  <IssueList issues={validation.warnings} />
+                </div>
+              )}
+            </Card>
+          )}
+
           {/* Subject info */}
           {'subject' in tape && tape.subject && (
             <Card>
@@ -227,6 +287,32 @@ export function TapeDetail() {
   );
 }
 
+/** Header indicator for the tape-schema.json check */
+function SchemaBadge({ validation, onClick }: { validation: TapeValidationResult; onClick: () => void }) {
+  const { errors, warnings } = validation;
+  if (errors.length === 0 && warnings.length === 0) {
+    return (
+      <span className="inline-flex items-center gap-1 text-xs text-green-400">
+        <CheckCircle size={12} /> schema ok
+      </span>
+    );
+  }
+  return (
+    <button
+      onClick={onClick}
+      className={cn(
+        'inline-flex items-center gap-1 text-xs hover:underline',
+        errors.length > 0 ? 'text-destructive' : 'text-yellow-400'
+      )}
+    >
+      <AlertTriangle size={12} />
+      {errors.length > 0 && `${errors.length} error${errors.length === 1 ? '' : 's'}`}
+      {errors.length > 0 && warnings.length > 0 && ', '}
+      {warnings.length > 0 && `${warnings.length} warning${warnings.length === 1 ? '' : 's'}`}
+    </button>
+  );
+}
+
 /** Simple markdown preview (controlled subset) */
 function MarkdownPreview({ markdown }: { markdown: string }) {
   const html = useMemo(() => {
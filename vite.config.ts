@@ -2,10 +2,13 @@ import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 import path from 'path'
+import { contentManifest } from './plugins/contentManifest'
+import { dataWriteApi } from './plugins/dataWriteApi'
+import { shortLinkApi } from './plugins/shortLinkApi'
 
 export default defineConfig({
   base: '/tattoonow-show/',
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), contentManifest(), dataWriteApi(), shortLinkApi()],
   resolve: {
     alias: {
       '@': path.resolve(__dirname, './src'),